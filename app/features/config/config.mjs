@@ -0,0 +1,234 @@
+import { readFileSync } from 'fs';
+
+/**
+ * @typedef {object} FirebaseConfig
+ * @property {string | undefined} projectId The Google Cloud project ID, read from FIREBASE_PROJECT_ID
+ * @property {string} databaseId The ID of the Firestore database, read from FIREBASE_DATABASE_ID
+ * @property {string | undefined} storageBucket The default Cloud Storage bucket, read from FIREBASE_STORAGE_BUCKET
+ * @property {string | undefined} credentialsPath The path to a service account JSON file. Without it, the application
+ * default credentials are used, e.g. the service account of the Cloud Run service.
+ */
+
+/**
+ * @typedef {object} ServerConfig The options of a FindMeServer, see its constructor
+ * @property {number} heartbeatTimeout
+ * @property {number} roomIdLength
+ * @property {number} resumeGracePeriod
+ * @property {number} authenticationTimeout
+ * @property {number} maxPasscodeAttempts
+ * @property {number} passcodeAttemptWindow
+ * @property {number} roomTtl
+ * @property {number} staleRoomAge
+ * @property {number} janitorInterval
+ * @property {number} locationWriteInterval
+ * @property {number} maxLocationUpdateRate
+ * @property {number} meetingPointQuorum
+ * @property {number} arrivalRadius
+ * @property {number} arrivalHysteresis
+ * @property {number} distanceInterval
+ * @property {number} shutdownTimeout
+ * @property {number} reconnectDelay
+ */
+
+/**
+ * @typedef {object} Config
+ * @property {number} port The port the HTTP server listens on
+ * @property {'firestore' | 'memory'} storage The storage backend
+ * @property {boolean} insecureAuth Whether every non-empty ID token is accepted instead of verifying it with Firebase,
+ * read from FINDME_INSECURE_AUTH. Only allowed if NODE_ENV is 'development'.
+ * @property {FirebaseConfig} firebase
+ * @property {ServerConfig} server
+ * @property {import('../storage/roomStorage.mjs').LocationRetention} locationRetention
+ * @property {LoggingConfig} logging
+ */
+
+/**
+ * @typedef {object} LoggingConfig The options of the Logger, see its constructor
+ * @property {import('../logging/logger.mjs').LogLevel} level The minimum level of logged entries, read from FINDME_LOG_LEVEL
+ * @property {boolean} redactLocations Whether coordinates are redacted, read from FINDME_LOG_REDACT_LOCATIONS
+ */
+
+/**
+ * Thrown if the configuration is invalid. Its message lists every invalid setting.
+ */
+export class ConfigError extends Error {
+    /**
+     * @param {string[]} problems
+     */
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Parses and validates the value of a setting.
+ * @typedef {(value: unknown) => unknown} Parser
+ * Returns the parsed value or throws an Error whose message describes the expected value.
+ */
+
+/**
+ * @param {number} min
+ * @param {number} max
+ * @returns {Parser}
+ */
+function integer(min, max = Number.MAX_SAFE_INTEGER) {
+    return value => {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (!Number.isInteger(number) || number < min || number > max) {
+            throw new Error(max === Number.MAX_SAFE_INTEGER ? `an integer of at least ${min}` : `an integer from ${min} to ${max}`);
+        }
+        return number;
+    };
+}
+
+/** @type {Parser} */
+function positiveNumber(value) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !(number > 0) || number === Infinity) throw new Error('a positive number');
+    return number;
+}
+
+/** @type {Parser} */
+function nonNegativeNumber(value) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !(number >= 0) || number === Infinity) throw new Error('a non-negative number');
+    return number;
+}
+
+/** @type {Parser} */
+function fraction(value) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !(number > 0 && number <= 1)) throw new Error('a number greater than 0 and at most 1');
+    return number;
+}
+
+/** @type {Parser} */
+function string(value) {
+    if (typeof value !== 'string' || value.trim() === '') throw new Error('a non-empty string');
+    return value.trim();
+}
+
+/** @type {Parser} */
+function boolean(value) {
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    throw new Error('true or false');
+}
+
+/**
+ * @param {string[]} values
+ * @returns {Parser}
+ */
+function oneOf(...values) {
+    return value => {
+        if (!values.includes(value)) throw new Error(`one of ${values.map(value => `'${value}'`).join(', ')}`);
+        return value;
+    };
+}
+
+/**
+ * All settings with their path in the config file, their environment variable, parser and default value.
+ * Environment variables override the config file.
+ * The deploy workflow also sets the Firebase web app settings (FIREBASE_API_KEY, FIREBASE_APP_ID, …),
+ * which are only needed by clients and therefore not read here.
+ * @type {{ path: string[], env: string, parse: Parser, default?: unknown }[]}
+ */
+const SETTINGS = [
+    { path: ['port'], env: 'PORT', parse: integer(0, 65535), default: 8080 },
+    { path: ['storage'], env: 'FINDME_STORAGE', parse: oneOf('firestore', 'memory'), default: 'firestore' },
+    { path: ['insecureAuth'], env: 'FINDME_INSECURE_AUTH', parse: boolean, default: false },
+    { path: ['firebase', 'projectId'], env: 'FIREBASE_PROJECT_ID', parse: string },
+    { path: ['firebase', 'databaseId'], env: 'FIREBASE_DATABASE_ID', parse: string, default: 'findme-db' },
+    { path: ['firebase', 'storageBucket'], env: 'FIREBASE_STORAGE_BUCKET', parse: string },
+    { path: ['firebase', 'credentialsPath'], env: 'FIREBASE_CREDENTIALS_PATH', parse: string },
+    { path: ['server', 'heartbeatTimeout'], env: 'FINDME_HEARTBEAT_TIMEOUT', parse: integer(1), default: 30000 },
+    { path: ['server', 'roomIdLength'], env: 'FINDME_ROOM_ID_LENGTH', parse: integer(4, 32), default: 4 },
+    { path: ['server', 'resumeGracePeriod'], env: 'FINDME_RESUME_GRACE_PERIOD', parse: integer(0), default: 60000 },
+    { path: ['server', 'authenticationTimeout'], env: 'FINDME_AUTHENTICATION_TIMEOUT', parse: integer(1), default: 10000 },
+    { path: ['server', 'maxPasscodeAttempts'], env: 'FINDME_MAX_PASSCODE_ATTEMPTS', parse: integer(1), default: 5 },
+    { path: ['server', 'passcodeAttemptWindow'], env: 'FINDME_PASSCODE_ATTEMPT_WINDOW', parse: integer(1), default: 60000 },
+    { path: ['server', 'roomTtl'], env: 'FINDME_ROOM_TTL', parse: integer(1), default: 24 * 60 * 60 * 1000 },
+    { path: ['server', 'staleRoomAge'], env: 'FINDME_STALE_ROOM_AGE', parse: integer(1), default: 2 * 60 * 60 * 1000 },
+    { path: ['server', 'janitorInterval'], env: 'FINDME_JANITOR_INTERVAL', parse: integer(1000), default: 5 * 60 * 1000 },
+    { path: ['server', 'locationWriteInterval'], env: 'FINDME_LOCATION_WRITE_INTERVAL', parse: integer(0), default: 1000 },
+    { path: ['server', 'maxLocationUpdateRate'], env: 'FINDME_MAX_LOCATION_UPDATE_RATE', parse: positiveNumber, default: 20 },
+    { path: ['server', 'meetingPointQuorum'], env: 'FINDME_MEETING_POINT_QUORUM', parse: fraction, default: 1 },
+    { path: ['server', 'arrivalRadius'], env: 'FINDME_ARRIVAL_RADIUS', parse: positiveNumber, default: 50 },
+    { path: ['server', 'arrivalHysteresis'], env: 'FINDME_ARRIVAL_HYSTERESIS', parse: nonNegativeNumber, default: 25 },
+    { path: ['server', 'distanceInterval'], env: 'FINDME_DISTANCE_INTERVAL', parse: integer(0), default: 5000 },
+    { path: ['server', 'shutdownTimeout'], env: 'FINDME_SHUTDOWN_TIMEOUT', parse: integer(0), default: 8000 },
+    { path: ['server', 'reconnectDelay'], env: 'FINDME_RECONNECT_DELAY', parse: integer(0), default: 5000 },
+    { path: ['locationRetention', 'maxCount'], env: 'FINDME_LOCATION_RETENTION_COUNT', parse: integer(1), default: 100 },
+    { path: ['locationRetention', 'maxAge'], env: 'FINDME_LOCATION_RETENTION_AGE', parse: integer(1) },
+    { path: ['logging', 'level'], env: 'FINDME_LOG_LEVEL', parse: oneOf('debug', 'info', 'warn', 'error', 'silent'), default: 'info' },
+    { path: ['logging', 'redactLocations'], env: 'FINDME_LOG_REDACT_LOCATIONS', parse: boolean, default: true }
+];
+
+/**
+ * Reads a JSON config file.
+ * @param {string} path
+ * @param {string[]} problems Collects the problems of the file
+ * @returns {object}
+ */
+function readConfigFile(path, problems) {
+    let file;
+    try {
+        file = JSON.parse(readFileSync(path, 'utf8'));
+    } catch (error) {
+        problems.push(`config file ${path} can't be read: ${error.message}`);
+        return {};
+    }
+    if (!file || typeof file !== 'object' || Array.isArray(file)) {
+        problems.push(`config file ${path} must contain a JSON object`);
+        return {};
+    }
+    const knownPaths = new Set(SETTINGS.map(({ path }) => path.join('.')));
+    const sections = new Set(SETTINGS.filter(({ path }) => path.length > 1).map(({ path }) => path[0]));
+    for (const [key, value] of Object.entries(file)) {
+        if (sections.has(key) && value && typeof value === 'object' && !Array.isArray(value)) {
+            Object.keys(value).filter(subKey => !knownPaths.has(`${key}.${subKey}`))
+                .forEach(subKey => problems.push(`${key}.${subKey} in config file ${path} is unknown`));
+        } else if (!knownPaths.has(key)) {
+            problems.push(`${key} in config file ${path} is ${sections.has(key) ? 'not an object' : 'unknown'}`);
+        }
+    }
+    return file;
+}
+
+/**
+ * Loads the configuration from the environment and an optional JSON config file, whose path is read from FINDME_CONFIG.
+ * The config file has the same structure as the returned configuration. Environment variables override it.
+ * Insecure authentication is refused unless NODE_ENV is 'development', so that a deployment can't switch it on by accident.
+ * @param {NodeJS.ProcessEnv} [env] The environment variables, defaults to process.env
+ * @returns {Readonly<Config>}
+ * @throws {ConfigError} If the config file can't be read or any setting is invalid
+ */
+export function loadConfig(env = process.env) {
+    const problems = [];
+    const file = env.FINDME_CONFIG ? readConfigFile(env.FINDME_CONFIG, problems) : {};
+    const config = {};
+    for (const { path, env: name, parse, default: defaultValue } of SETTINGS) {
+        const fileValue = path.reduce((section, key) => section?.[key], file);
+        const [value, source] = env[name] !== undefined && env[name] !== ''
+            ? [env[name], name]
+            : [fileValue, `${path.join('.')} in config file ${env.FINDME_CONFIG}`];
+        let parsedValue = defaultValue;
+        if (value !== undefined) {
+            try {
+                parsedValue = parse(value);
+            } catch (error) {
+                problems.push(`${source} must be ${error.message}, got ${JSON.stringify(value)}`);
+            }
+        }
+        const section = path.slice(0, -1).reduce((section, key) => section[key] ??= {}, config);
+        section[path.at(-1)] = parsedValue;
+    }
+    if (config.insecureAuth && env.NODE_ENV !== 'development') {
+        problems.push(`insecure authentication may only be switched on if NODE_ENV is 'development', got ${JSON.stringify(env.NODE_ENV)}`);
+    }
+    if (problems.length) throw new ConfigError(problems);
+    Object.values(config).filter(value => value && typeof value === 'object').forEach(section => Object.freeze(section));
+    return Object.freeze(config);
+}
@@ -0,0 +1,87 @@
+import { afterEach, describe, expect, test } from "vitest";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { ConfigError, loadConfig } from "./config.mjs";
+
+describe('config.mjs', () => {
+    let directory;
+
+    /**
+     * Writes a config file into a temporary directory.
+     * @param {string} content
+     * @returns {string} The path of the config file
+     */
+    function writeConfigFile(content) {
+        directory ??= mkdtempSync(join(tmpdir(), 'findme-config-'));
+        const path = join(directory, 'config.json');
+        writeFileSync(path, content);
+        return path;
+    }
+
+    afterEach(() => {
+        if (directory) rmSync(directory, { recursive: true, force: true });
+        directory = undefined;
+    });
+
+    test('should use the defaults without environment variables', () => {
+        const config = loadConfig({});
+        expect(config).toMatchObject({
+            port: 8080,
+            storage: 'firestore',
+            firebase: { databaseId: 'findme-db', credentialsPath: undefined },
+            server: { heartbeatTimeout: 30000, roomIdLength: 4 },
+            locationRetention: { maxCount: 100, maxAge: undefined }
+        });
+        expect(Object.isFrozen(config.server)).toBe(true);
+    });
+
+    test('should read the Firebase settings of the deploy workflow', () => {
+        const config = loadConfig({ PORT: '9000', FIREBASE_PROJECT_ID: 'findme', FIREBASE_DATABASE_ID: 'other-db', FIREBASE_API_KEY: 'key' });
+        expect(config.port).toBe(9000);
+        expect(config.firebase).toMatchObject({ projectId: 'findme', databaseId: 'other-db' });
+    });
+
+    test('should let environment variables override the config file', () => {
+        const path = writeConfigFile(JSON.stringify({ storage: 'memory', server: { roomIdLength: 6, heartbeatTimeout: 5000 } }));
+        const config = loadConfig({ FINDME_CONFIG: path, FINDME_ROOM_ID_LENGTH: '8' });
+        expect(config.storage).toBe('memory');
+        expect(config.server).toMatchObject({ roomIdLength: 8, heartbeatTimeout: 5000 });
+    });
+
+    test('should read the logging settings', () => {
+        expect(loadConfig({}).logging).toEqual({ level: 'info', redactLocations: true });
+        expect(loadConfig({ FINDME_LOG_LEVEL: 'debug', FINDME_LOG_REDACT_LOCATIONS: 'false' }).logging).toEqual({ level: 'debug', redactLocations: false });
+        expect(() => loadConfig({ FINDME_LOG_REDACT_LOCATIONS: 'no' })).toThrow('FINDME_LOG_REDACT_LOCATIONS must be true or false, got "no"');
+    });
+
+    test('should only allow insecure authentication in development', () => {
+        expect(loadConfig({}).insecureAuth).toBe(false);
+        expect(loadConfig({ FINDME_STORAGE: 'memory' }).insecureAuth).toBe(false);
+        expect(loadConfig({ FINDME_INSECURE_AUTH: 'true', NODE_ENV: 'development' }).insecureAuth).toBe(true);
+        expect(() => loadConfig({ FINDME_INSECURE_AUTH: 'true' })).toThrow(ConfigError);
+        expect(() => loadConfig({ FINDME_INSECURE_AUTH: 'true', NODE_ENV: 'production' }))
+            .toThrow(`insecure authentication may only be switched on if NODE_ENV is 'development', got "production"`);
+    });
+
+    test('should list every invalid setting', () => {
+        const path = writeConfigFile(JSON.stringify({ server: { heartbeatTimeout: 'soon', unknownSetting: 1 } }));
+        let error;
+        try {
+            loadConfig({ FINDME_CONFIG: path, PORT: 'http', FINDME_STORAGE: 'redis' });
+        } catch (thrown) {
+            error = thrown;
+        }
+        expect(error).toBeInstanceOf(ConfigError);
+        expect(error.problems).toEqual([
+            `server.unknownSetting in config file ${path} is unknown`,
+            'PORT must be an integer from 0 to 65535, got "http"',
+            "FINDME_STORAGE must be one of 'firestore', 'memory', got \"redis\"",
+            `server.heartbeatTimeout in config file ${path} must be an integer of at least 1, got "soon"`
+        ]);
+    });
+
+    test('should fail if the config file can not be read', () => {
+        expect(() => loadConfig({ FINDME_CONFIG: join(tmpdir(), 'missing-findme-config.json') })).toThrow(ConfigError);
+    });
+});
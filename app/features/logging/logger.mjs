@@ -0,0 +1,145 @@
+/**
+ * @typedef {'debug' | 'info' | 'warn' | 'error' | 'silent'} LogLevel
+ * @typedef {Object<string, unknown>} LogFields
+ * @typedef {LogFields | (() => LogFields)} LogContext
+ * Fields that are added to every entry of a logger. A function is called for every entry,
+ * so that the fields can change, e.g. when a member joins a room.
+ */
+
+/**
+ * The Cloud Logging severity of every level. `silent` disables logging.
+ * @type {Object<LogLevel, { rank: number, severity?: string }>}
+ */
+const LEVELS = {
+    debug: { rank: 0, severity: 'DEBUG' },
+    info: { rank: 1, severity: 'INFO' },
+    warn: { rank: 2, severity: 'WARNING' },
+    error: { rank: 3, severity: 'ERROR' },
+    silent: { rank: 4 }
+};
+
+/**
+ * The fields that hold coordinates. Their values are redacted unless location logging is enabled.
+ */
+const LOCATION_FIELDS = new Set(['lat', 'lng', 'latitude', 'longitude']);
+
+/**
+ * Replaces all coordinates in plain objects and arrays.
+ * @param {unknown} value
+ * @returns {unknown}
+ */
+function redactLocations(value) {
+    if (Array.isArray(value)) return value.map(redactLocations);
+    if (!value || typeof value !== 'object' || Object.getPrototypeOf(value) !== Object.prototype) return value;
+    return Object.fromEntries(Object.entries(value).map(([key, fieldValue]) => [
+        key,
+        LOCATION_FIELDS.has(key) ? '[REDACTED]' : redactLocations(fieldValue)
+    ]));
+}
+
+/**
+ * Converts an error into log fields. The stack trace is put into `stack_trace`, where Cloud Error Reporting finds it.
+ * Values that are thrown but are no Errors are converted into a string and logged as the error message.
+ * @param {unknown} error
+ * @returns {LogFields}
+ */
+function serializeError(error) {
+    if (!(error instanceof Error)) return { error: { message: String(error) } };
+    return {
+        error: { name: error.name, code: error.code, message: error.message },
+        stack_trace: error.stack
+    };
+}
+
+/**
+ * Writes leveled log entries as newline-delimited JSON, which Cloud Logging parses into structured entries.
+ * Every entry has a `severity`, a `time` and a `message`, followed by the fields of the logger's context.
+ */
+export class Logger {
+    /**
+     * @private
+     * @type {{ level: LogLevel, write: function(string): void, redactLocations: boolean }}
+     */
+    #options;
+
+    /**
+     * The contexts of this logger and all of its parents.
+     * @private
+     * @type {LogContext[]}
+     */
+    #contexts;
+
+    /**
+     * @param {object} [options]
+     * @param {LogLevel} [options.level] The minimum level of logged entries, defaults to `info`
+     * @param {function(string): void} [options.write] Writes a line, defaults to writing to stdout
+     * @param {boolean} [options.redactLocations] Whether coordinates are replaced by `[REDACTED]`, defaults to true
+     * @param {LogContext[]} [contexts] The contexts of the entries, used by {@link Logger#child}
+     * @throws {Error} If the level is unknown
+     */
+    constructor({ level = 'info', write = line => process.stdout.write(`${line}\n`), redactLocations = true } = {}, contexts = []) {
+        if (!Object.hasOwn(LEVELS, level)) throw new Error(`Log level ${level} is unknown`);
+        this.#options = { level, write, redactLocations };
+        this.#contexts = contexts;
+    }
+
+    /**
+     * Creates a logger that adds fields to every entry of this logger.
+     * @param {LogContext} context
+     * @returns {Logger}
+     */
+    child(context) {
+        return new Logger(this.#options, [...this.#contexts, context]);
+    }
+
+    /**
+     * @param {LogLevel} level
+     * @param {string} message
+     * @param {LogFields & { error?: unknown }} fields
+     */
+    #log(level, message, { error, ...fields }) {
+        if (LEVELS[level].rank < LEVELS[this.#options.level].rank) return;
+        let entry = {
+            severity: LEVELS[level].severity,
+            time: new Date().toISOString(),
+            message,
+            ...Object.assign({}, ...this.#contexts.map(context => typeof context === 'function' ? context() : context)),
+            ...fields,
+            ...(error !== undefined ? serializeError(error) : {})
+        };
+        if (this.#options.redactLocations) entry = redactLocations(entry);
+        this.#options.write(JSON.stringify(entry));
+    }
+
+    /**
+     * @param {string} message
+     * @param {LogFields} [fields]
+     */
+    debug(message, fields = {}) {
+        this.#log('debug', message, fields);
+    }
+
+    /**
+     * @param {string} message
+     * @param {LogFields} [fields]
+     */
+    info(message, fields = {}) {
+        this.#log('info', message, fields);
+    }
+
+    /**
+     * @param {string} message
+     * @param {LogFields} [fields]
+     */
+    warn(message, fields = {}) {
+        this.#log('warn', message, fields);
+    }
+
+    /**
+     * @param {string} message
+     * @param {LogFields & { error?: unknown }} [fields] An `error` field is logged with its name, code, message and stack trace
+     */
+    error(message, fields = {}) {
+        this.#log('error', message, fields);
+    }
+}
@@ -0,0 +1,84 @@
+import { describe, expect, test } from "vitest";
+import { Logger } from "./logger.mjs";
+
+describe('logger.mjs', () => {
+    /**
+     * Creates a logger that collects its entries.
+     * @param {object} [options] The options of the logger
+     * @returns {{ logger: Logger, entries: object[] }}
+     */
+    function createLogger(options = {}) {
+        const entries = [];
+        return { logger: new Logger({ ...options, write: line => entries.push(JSON.parse(line)) }), entries };
+    }
+
+    test('should write entries with a Cloud Logging severity', () => {
+        const { logger, entries } = createLogger();
+        logger.info('Room created', { roomId: 'ABCD' });
+        logger.warn('Message rejected');
+        expect(entries).toEqual([
+            { severity: 'INFO', time: expect.any(String), message: 'Room created', roomId: 'ABCD' },
+            { severity: 'WARNING', time: expect.any(String), message: 'Message rejected' }
+        ]);
+        expect(new Date(entries[0].time).toISOString()).toBe(entries[0].time);
+    });
+
+    test('should skip entries below the level', () => {
+        const { logger, entries } = createLogger({ level: 'warn' });
+        logger.debug('debug');
+        logger.info('info');
+        logger.error('error');
+        expect(entries.map(({ severity }) => severity)).toEqual(['ERROR']);
+        createLogger({ level: 'silent' }).logger.error('error');
+        expect(() => new Logger({ level: 'verbose' })).toThrow('Log level verbose is unknown');
+    });
+
+    test('should add the context of the logger and its parents to every entry', () => {
+        const { logger, entries } = createLogger();
+        let roomId;
+        const child = logger.child({ connectionId: 'c1' }).child(() => ({ roomId }));
+        child.info('Connected');
+        roomId = 'ABCD';
+        child.info('Joined', { event: 'join' });
+        logger.info('Other');
+        expect(entries).toMatchObject([
+            { message: 'Connected', connectionId: 'c1' },
+            { message: 'Joined', connectionId: 'c1', roomId: 'ABCD', event: 'join' },
+            { message: 'Other' }
+        ]);
+        expect(entries[2]).not.toHaveProperty('connectionId');
+    });
+
+    test('should log the name, code and stack trace of errors', () => {
+        const { logger, entries } = createLogger();
+        const error = Object.assign(new TypeError('Broken'), { code: 'BROKEN' });
+        logger.error('Error processing message', { error });
+        expect(entries[0]).toMatchObject({
+            error: { name: 'TypeError', code: 'BROKEN', message: 'Broken' },
+            stack_trace: error.stack
+        });
+    });
+
+    test('should log values that are thrown but are no errors as a string', () => {
+        const { logger, entries } = createLogger();
+        logger.error('Error processing message', { error: 'Broken' });
+        logger.error('Error processing message', { error: null });
+        logger.error('Error processing message');
+        expect(entries[0].error).toEqual({ message: 'Broken' });
+        expect(entries[1].error).toEqual({ message: 'null' });
+        expect(entries[2]).not.toHaveProperty('error');
+    });
+
+    test('should redact coordinates unless disabled', () => {
+        const { logger, entries } = createLogger();
+        logger.info('Location', { lat: 1, location: { lat: 2, lng: 3 }, members: [{ latitude: 4, longitude: 5, id: 'a' }] });
+        expect(entries[0]).toMatchObject({
+            lat: '[REDACTED]',
+            location: { lat: '[REDACTED]', lng: '[REDACTED]' },
+            members: [{ latitude: '[REDACTED]', longitude: '[REDACTED]', id: 'a' }]
+        });
+        const unredacted = createLogger({ redactLocations: false });
+        unredacted.logger.info('Location', { location: { lat: 2, lng: 3 } });
+        expect(unredacted.entries[0].location).toEqual({ lat: 2, lng: 3 });
+    });
+});
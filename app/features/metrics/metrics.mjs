@@ -0,0 +1,293 @@
+/**
+ * @typedef {Object<string, string | number>} Labels
+ */
+
+/**
+ * The default buckets of histograms in seconds, suitable for storage and network latencies.
+ */
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escapes a label value for the Prometheus text format.
+ * @param {string | number} value
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Formats labels for the Prometheus text format, e.g. `{type="join"}`.
+ * @param {Labels} labels
+ * @returns {string}
+ */
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (!entries.length) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Formats a sample value. Prometheus writes infinite values as `+Inf` and `-Inf`.
+ * @param {number} value
+ * @returns {string}
+ */
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+/**
+ * The base class of all metrics. Every metric keeps one series per combination of label values.
+ * @abstract
+ */
+class Metric {
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {string[]} labelNames
+     */
+    constructor(name, help, labelNames) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+    }
+
+    /**
+     * Returns a stable key for the values of this metric's labels.
+     * @protected
+     * @param {Labels} labels
+     * @returns {string}
+     * @throws {Error} If the labels don't match the label names of this metric
+     */
+    key(labels) {
+        const names = Object.keys(labels);
+        if (names.length !== this.labelNames.length || names.some(name => !this.labelNames.includes(name))) {
+            throw new Error(`Metric ${this.name} requires the labels ${this.labelNames.join(', ') || '(none)'}`);
+        }
+        return JSON.stringify(this.labelNames.map(name => String(labels[name])));
+    }
+
+    /**
+     * Converts a key back into labels.
+     * @protected
+     * @param {string} key
+     * @returns {Labels}
+     */
+    labels(key) {
+        const values = JSON.parse(key);
+        return Object.fromEntries(this.labelNames.map((name, index) => [name, values[index]]));
+    }
+
+    /**
+     * Renders the metric in the Prometheus text format.
+     * @abstract
+     * @returns {string[]} The lines of the metric
+     */
+    render() {
+        throw new Error('render is not implemented');
+    }
+}
+
+/**
+ * A value that only goes up, e.g. the number of received messages.
+ */
+export class Counter extends Metric {
+    /**
+     * @private
+     * @type {Map<string, number>}
+     */
+    #values = new Map();
+
+    /**
+     * Increments the counter.
+     * @param {Labels} [labels]
+     * @param {number} [value] The non-negative amount to add, defaults to 1
+     */
+    inc(labels = {}, value = 1) {
+        if (!(value >= 0)) throw new Error('Counters can only be incremented by non-negative values');
+        const key = this.key(labels);
+        this.#values.set(key, (this.#values.get(key) ?? 0) + value);
+    }
+
+    /**
+     * @param {Labels} [labels]
+     * @returns {number}
+     */
+    get(labels = {}) {
+        return this.#values.get(this.key(labels)) ?? 0;
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+        if (!this.labelNames.length && !this.#values.size) lines.push(`${this.name} 0`);
+        this.#values.forEach((value, key) => lines.push(`${this.name}${formatLabels(this.labels(key))} ${formatValue(value)}`));
+        return lines;
+    }
+}
+
+/**
+ * A value that is read whenever the metrics are rendered, e.g. the number of open connections.
+ */
+export class Gauge extends Metric {
+    /**
+     * @private
+     * @type {function(): number}
+     */
+    #collect;
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {function(): number} collect Returns the current value
+     */
+    constructor(name, help, collect) {
+        super(name, help, []);
+        this.#collect = collect;
+    }
+
+    /**
+     * @returns {number}
+     */
+    get() {
+        return this.#collect();
+    }
+
+    render() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} gauge`, `${this.name} ${formatValue(this.get())}`];
+    }
+}
+
+/**
+ * Counts observed values in buckets, e.g. the durations of storage operations.
+ */
+export class Histogram extends Metric {
+    /**
+     * @private
+     * @type {number[]}
+     */
+    #buckets;
+
+    /**
+     * @private
+     * @type {Map<string, { counts: number[], sum: number, count: number }>}
+     */
+    #series = new Map();
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {string[]} labelNames
+     * @param {number[]} buckets The upper bounds of the buckets in ascending order
+     */
+    constructor(name, help, labelNames, buckets) {
+        super(name, help, labelNames);
+        this.#buckets = buckets;
+    }
+
+    /**
+     * Observes a value.
+     * @param {Labels} labels
+     * @param {number} value
+     */
+    observe(labels, value) {
+        const key = this.key(labels);
+        if (!this.#series.has(key)) this.#series.set(key, { counts: this.#buckets.map(() => 0), sum: 0, count: 0 });
+        const series = this.#series.get(key);
+        this.#buckets.forEach((bucket, index) => {
+            if (value <= bucket) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * @param {Labels} [labels]
+     * @returns {number} The number of observed values
+     */
+    getCount(labels = {}) {
+        return this.#series.get(this.key(labels))?.count ?? 0;
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+        this.#series.forEach(({ counts, sum, count }, key) => {
+            const labels = this.labels(key);
+            this.#buckets.forEach((bucket, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bucket) })} ${counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        });
+        return lines;
+    }
+}
+
+/**
+ * Holds all metrics of the process and renders them in the Prometheus text format.
+ */
+export class MetricsRegistry {
+    /**
+     * @private
+     * @type {Map<string, Metric>}
+     */
+    #metrics = new Map();
+
+    /**
+     * @template {Metric} T
+     * @param {T} metric
+     * @returns {T}
+     * @throws {Error} If a metric with the same name is already registered
+     */
+    #register(metric) {
+        if (this.#metrics.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+        this.#metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {string[]} [labelNames]
+     * @returns {Counter}
+     */
+    counter(name, help, labelNames = []) {
+        return this.#register(new Counter(name, help, labelNames));
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {function(): number} collect Returns the current value whenever the metrics are rendered
+     * @returns {Gauge}
+     */
+    gauge(name, help, collect) {
+        return this.#register(new Gauge(name, help, collect));
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {string[]} [labelNames]
+     * @param {number[]} [buckets] The upper bounds of the buckets in seconds
+     * @returns {Histogram}
+     */
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        return this.#register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    /**
+     * Renders all metrics in the Prometheus text format.
+     * @returns {string}
+     */
+    render() {
+        return [...this.#metrics.values()].flatMap(metric => metric.render()).join('\n') + '\n';
+    }
+}
+
+/**
+ * The content type of the Prometheus text format.
+ */
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
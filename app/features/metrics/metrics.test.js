@@ -0,0 +1,54 @@
+import { describe, expect, test } from "vitest";
+import { MetricsRegistry } from "./metrics.mjs";
+import { MemoryStorage } from "../storage/memoryStorage.mjs";
+import { instrumentStorage } from "../storage/instrumentedStorage.mjs";
+import { RoomInfoDoesNotExistError } from "../server/errors.mjs";
+
+describe('metrics.mjs', () => {
+    test('should render counters, gauges and histograms in the Prometheus text format', () => {
+        const metrics = new MetricsRegistry();
+        const messages = metrics.counter('messages_total', 'Messages', ['type']);
+        metrics.gauge('connections', 'Connections', () => 3);
+        const duration = metrics.histogram('duration_seconds', 'Duration', [], [0.1, 1]);
+        messages.inc({ type: 'join' });
+        messages.inc({ type: 'say "hi"' }, 2);
+        duration.observe({}, 0.5);
+        expect(metrics.render()).toBe([
+            '# HELP messages_total Messages',
+            '# TYPE messages_total counter',
+            'messages_total{type="join"} 1',
+            'messages_total{type="say \\"hi\\""} 2',
+            '# HELP connections Connections',
+            '# TYPE connections gauge',
+            'connections 3',
+            '# HELP duration_seconds Duration',
+            '# TYPE duration_seconds histogram',
+            'duration_seconds_bucket{le="0.1"} 0',
+            'duration_seconds_bucket{le="1"} 1',
+            'duration_seconds_bucket{le="+Inf"} 1',
+            'duration_seconds_sum 0.5',
+            'duration_seconds_count 1',
+            ''
+        ].join('\n'));
+    });
+
+    test('should reject duplicate metrics and wrong labels', () => {
+        const metrics = new MetricsRegistry();
+        const counter = metrics.counter('errors_total', 'Errors', ['error']);
+        expect(() => metrics.counter('errors_total', 'Errors')).toThrow('already registered');
+        expect(() => counter.inc({ code: 'X' })).toThrow('requires the labels error');
+    });
+
+    test('should record the duration of storage operations', async () => {
+        const metrics = new MetricsRegistry();
+        const storage = instrumentStorage(new MemoryStorage(), metrics);
+        await storage.createRoom('abcd', { lat: 0, lng: 0 });
+        await expect(storage.addMember('none', { lat: 0, lng: 0 })).rejects.toThrow(RoomInfoDoesNotExistError);
+        const unsubscribe = storage.subscribeToRoom('abcd', { onInfoChange: () => { }, onMemberChange: () => { } });
+        unsubscribe();
+        const rendered = metrics.render();
+        expect(rendered).toContain('findme_storage_operation_duration_seconds_count{operation="createRoom",result="success"} 1');
+        expect(rendered).toContain('findme_storage_operation_duration_seconds_count{operation="addMember",result="error"} 1');
+        expect(rendered).not.toContain('subscribeToRoom');
+    });
+});
@@ -0,0 +1,36 @@
+/**
+ * @typedef {object} ArrivalOptions
+ * @property {number} radius The distance in meters from the meeting point within which a member has arrived
+ * @property {number} hysteresis The additional distance in meters an arrived member has to move away to depart again,
+ * so that GPS jitter at the edge of the radius does not make members arrive and depart over and over
+ */
+
+/**
+ * The arrival options that are used if none are configured.
+ * @type {ArrivalOptions}
+ */
+export const DEFAULT_ARRIVAL_OPTIONS = { radius: 50, hysteresis: 25 };
+
+/**
+ * Validates arrival options.
+ * @param {ArrivalOptions} options
+ * @returns {ArrivalOptions}
+ * @throws {Error} If the radius is not a positive number or the hysteresis is negative
+ */
+export function validateArrivalOptions({ radius, hysteresis }) {
+    if (typeof radius !== 'number' || !(radius > 0) || radius === Infinity) throw new Error('Arrival radius must be a positive number');
+    if (typeof hysteresis !== 'number' || !(hysteresis >= 0) || hysteresis === Infinity) throw new Error('Arrival hysteresis must be a non-negative number');
+    return { radius, hysteresis };
+}
+
+/**
+ * Decides if a member is at the meeting point. A member arrives within the radius and only departs beyond
+ * the radius plus the hysteresis.
+ * @param {boolean} arrived Whether the member was at the meeting point before
+ * @param {number} distance The current distance of the member from the meeting point in meters
+ * @param {ArrivalOptions} options
+ * @returns {boolean} Whether the member is at the meeting point now
+ */
+export function detectArrival(arrived, distance, { radius, hysteresis }) {
+    return arrived ? distance <= radius + hysteresis : distance <= radius;
+}
@@ -0,0 +1,34 @@
+import { describe, expect, test } from "vitest";
+import { DEFAULT_ARRIVAL_OPTIONS, detectArrival, validateArrivalOptions } from "./arrival.mjs";
+import { getDistance } from "./location.mjs";
+
+describe('arrival.mjs', () => {
+    const options = { radius: 50, hysteresis: 25 };
+
+    test('should arrive within the radius', () => {
+        expect(detectArrival(false, 50, options)).toBe(true);
+        expect(detectArrival(false, 51, options)).toBe(false);
+    });
+
+    test('should only depart beyond the radius and the hysteresis', () => {
+        expect(detectArrival(true, 60, options)).toBe(true);
+        expect(detectArrival(true, 75, options)).toBe(true);
+        expect(detectArrival(true, 76, options)).toBe(false);
+    });
+
+    test('should validate the arrival options', () => {
+        expect(validateArrivalOptions(DEFAULT_ARRIVAL_OPTIONS)).toEqual(DEFAULT_ARRIVAL_OPTIONS);
+        expect(validateArrivalOptions({ radius: 10, hysteresis: 0 })).toEqual({ radius: 10, hysteresis: 0 });
+        expect(() => validateArrivalOptions({ radius: 0, hysteresis: 25 })).toThrow('Arrival radius must be a positive number');
+        expect(() => validateArrivalOptions({ radius: 50, hysteresis: -1 })).toThrow('Arrival hysteresis must be a non-negative number');
+    });
+});
+
+describe('getDistance', () => {
+    test('should calculate the distance between two locations in meters', () => {
+        expect(getDistance({ lat: 0, lng: 0 }, { lat: 0, lng: 0 })).toBe(0);
+        expect(getDistance({ lat: 0, lng: 0 }, { lat: 0, lng: 1 })).toBeCloseTo(111195, 0);
+        // Berlin to Paris
+        expect(getDistance({ lat: 52.52, lng: 13.405 }, { lat: 48.8566, lng: 2.3522 })).toBeCloseTo(877500, -3);
+    });
+});
@@ -0,0 +1,108 @@
+import { getBearing, getDistance } from './location.mjs';
+
+/**
+ * @typedef {{ lat: number, lng: number, time: number }} TimedLocation A location with the time in milliseconds since the epoch it was written
+ * @typedef {{ proposerId: string, agreed: boolean, lat: number, lng: number }} Destination
+ * The agreed meeting point of a room or, if the members did not agree on one yet, its leading proposal
+ * @typedef {{ distance: number, bearing: number | null }} Route
+ * @typedef {object} MemberDistances
+ * @property {string} userId
+ * @property {number | null} distance The distance in meters from the recipient of the digest to the member, or null for the recipient itself
+ * @property {number | null} bearing The bearing in degrees from the recipient of the digest to the member, or null for the recipient itself
+ * @property {number | null} speed The speed of the member in meters per second, or null if it is unknown
+ * @property {(Route & { eta: number | null }) | null} destination The route of the member to the destination
+ * with the estimated time of arrival in seconds, which is null if the member is not moving
+ */
+
+/**
+ * The time in milliseconds of location history the speed of a member is estimated from.
+ */
+export const SPEED_WINDOW = 60000;
+
+/**
+ * The maximum number of locations of a member that are kept to estimate its speed.
+ */
+const MAX_HISTORY_LENGTH = 20;
+
+/**
+ * The speed in meters per second below which a member counts as standing still and gets no ETA.
+ */
+export const MIN_ETA_SPEED = 0.5;
+
+/**
+ * Adds a location to the recent location history of a member and drops the locations that fell out of the speed window.
+ * @param {TimedLocation[]} history
+ * @param {TimedLocation} location
+ * @returns {TimedLocation[]} The new history
+ */
+export function addToHistory(history, location) {
+    return [...history.filter(({ time }) => time > location.time - SPEED_WINDOW && time < location.time), location].slice(-MAX_HISTORY_LENGTH);
+}
+
+/**
+ * Estimates the speed of a member from the distance between the oldest and the newest location of its recent history.
+ * Using the straight distance instead of the travelled path keeps GPS jitter from adding up to a speed.
+ * @param {TimedLocation[]} history
+ * @returns {number | null} The speed in meters per second, or null if the history is too short
+ */
+export function estimateSpeed(history) {
+    if (history.length < 2) return null;
+    const first = history[0];
+    const last = history.at(-1);
+    const elapsed = (last.time - first.time) / 1000;
+    return elapsed > 0 ? getDistance(first, last) / elapsed : null;
+}
+
+/**
+ * Estimates the time a member needs to cover a distance at its current speed.
+ * @param {number} distance The distance in meters
+ * @param {number | null} speed The speed in meters per second
+ * @returns {number | null} The time in seconds, or null if the member is not moving
+ */
+export function estimateEta(distance, speed) {
+    if (speed === null || speed < MIN_ETA_SPEED) return null;
+    return distance / speed;
+}
+
+/**
+ * Describes the way from one location to another, rounded to whole meters and degrees.
+ * The bearing is null if both locations are the same.
+ * @param {{ lat: number, lng: number }} from
+ * @param {{ lat: number, lng: number }} to
+ * @returns {Route}
+ */
+function describeRoute(from, to) {
+    const distance = Math.round(getDistance(from, to));
+    return { distance, bearing: distance > 0 ? Math.round(getBearing(from, to)) % 360 : null };
+}
+
+/**
+ * Calculates the distances between the recipient of a digest and the other members of its room,
+ * and the routes of all members to the destination. Members are sorted by their ID and members
+ * without a location are left out, so that the same state always results in the same digest.
+ * @param {string} recipientId The ID of the member the digest is sent to
+ * @param {Map<string, TimedLocation[]>} histories The recent location histories of all members, including the recipient
+ * @param {Destination | null} destination
+ * @returns {{ destination: Destination | null, members: MemberDistances[] }}
+ */
+export function createDistanceDigest(recipientId, histories, destination) {
+    const recipientLocation = histories.get(recipientId)?.at(-1);
+    const members = [...histories]
+        .filter(([, history]) => history.length > 0)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([userId, history]) => {
+            const location = history.at(-1);
+            const speed = estimateSpeed(history);
+            const route = recipientLocation && userId !== recipientId ? describeRoute(recipientLocation, location) : null;
+            const destinationRoute = destination && describeRoute(location, destination);
+            const eta = destinationRoute && estimateEta(destinationRoute.distance, speed);
+            return {
+                userId,
+                distance: route?.distance ?? null,
+                bearing: route?.bearing ?? null,
+                speed: speed === null ? null : Math.round(speed * 10) / 10,
+                destination: destinationRoute && { ...destinationRoute, eta: eta === null ? null : Math.round(eta) }
+            };
+        });
+    return { destination, members };
+}
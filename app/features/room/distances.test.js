@@ -0,0 +1,54 @@
+import { describe, expect, test } from "vitest";
+import { addToHistory, createDistanceDigest, estimateEta, estimateSpeed, SPEED_WINDOW } from "./distances.mjs";
+import { getBearing } from "./location.mjs";
+
+describe('distances.mjs', () => {
+    test('should calculate the bearing between two locations', () => {
+        expect(getBearing({ lat: 0, lng: 0 }, { lat: 1, lng: 0 })).toBeCloseTo(0);
+        expect(getBearing({ lat: 0, lng: 0 }, { lat: 0, lng: 1 })).toBeCloseTo(90);
+        expect(getBearing({ lat: 0, lng: 0 }, { lat: -1, lng: 0 })).toBeCloseTo(180);
+        expect(getBearing({ lat: 0, lng: 0 }, { lat: 0, lng: -1 })).toBeCloseTo(270);
+    });
+
+    test('should only keep the locations of the speed window', () => {
+        let history = addToHistory([], { lat: 0, lng: 0, time: 0 });
+        history = addToHistory(history, { lat: 0, lng: 0.001, time: 1000 });
+        expect(history).toHaveLength(2);
+        history = addToHistory(history, { lat: 0, lng: 0.002, time: SPEED_WINDOW + 500 });
+        expect(history).toEqual([{ lat: 0, lng: 0.001, time: 1000 }, { lat: 0, lng: 0.002, time: SPEED_WINDOW + 500 }]);
+    });
+
+    test('should estimate the speed from the oldest and the newest location', () => {
+        expect(estimateSpeed([{ lat: 0, lng: 0, time: 0 }])).toBeNull();
+        expect(estimateSpeed([{ lat: 0, lng: 0, time: 0 }, { lat: 0, lng: 0.001, time: 0 }])).toBeNull();
+        // About 111 meters in 100 seconds, with a detour in between
+        expect(estimateSpeed([
+            { lat: 0, lng: 0, time: 0 },
+            { lat: 0.01, lng: 0, time: 50000 },
+            { lat: 0, lng: 0.001, time: 100000 }
+        ])).toBeCloseTo(1.11, 2);
+    });
+
+    test('should only estimate the time of arrival of moving members', () => {
+        expect(estimateEta(100, 2)).toBe(50);
+        expect(estimateEta(100, 0.1)).toBeNull();
+        expect(estimateEta(100, null)).toBeNull();
+    });
+
+    test('should create a digest of the distances between the members and to the destination', () => {
+        const histories = new Map([
+            ['b', [{ lat: 0, lng: 0.001, time: 0 }, { lat: 0, lng: 0.002, time: 100000 }]],
+            ['a', [{ lat: 0, lng: 0, time: 0 }]],
+            ['c', []]
+        ]);
+        const destination = { proposerId: 'a', agreed: true, lat: 0, lng: 0.003 };
+        expect(createDistanceDigest('a', histories, destination)).toEqual({
+            destination,
+            members: [
+                { userId: 'a', distance: null, bearing: null, speed: null, destination: { distance: 334, bearing: 90, eta: null } },
+                { userId: 'b', distance: 222, bearing: 90, speed: 1.1, destination: { distance: 111, bearing: 90, eta: 100 } }
+            ]
+        });
+        expect(createDistanceDigest('a', histories, null).members[1].destination).toBeNull();
+    });
+});
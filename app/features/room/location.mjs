@@ -0,0 +1,68 @@
+import { GeoPoint } from 'firebase-admin/firestore';
+import {
+    LatitudeError,
+    LatitudeRequiredError,
+    LongitudeError,
+    LongitudeRequiredError
+} from '../server/errors.mjs';
+
+/**
+ * Validates a geographical location.
+ * @param {number} lat The latitude to validate
+ * @param {number} lng The longitude to validate
+ * @throws {LatitudeRequiredError} If latitude is not provided
+ * @throws {LongitudeRequiredError} If longitude is not provided
+ * @throws {LatitudeError} If latitude is not a number or out of range
+ * @throws {LongitudeError} If longitude is not a number or out of range
+ */
+export function validateLocation(lat, lng) {
+    if (lat === undefined || lat === null) throw new LatitudeRequiredError();
+    if (lng === undefined || lng === null) throw new LongitudeRequiredError();
+    if (typeof lat !== 'number' || Number.isNaN(lat) || lat < -90 || lat > 90) throw new LatitudeError();
+    if (typeof lng !== 'number' || Number.isNaN(lng) || lng < -180 || lng > 180) throw new LongitudeError();
+}
+
+/**
+ * Converts a validated latitude and longitude into a GeoPoint.
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {GeoPoint}
+ * @throws If the location is invalid, see {@link validateLocation}
+ */
+export function toGeoPoint(lat, lng) {
+    validateLocation(lat, lng);
+    return new GeoPoint(lat, lng);
+}
+
+/**
+ * The mean radius of the earth in meters.
+ */
+export const EARTH_RADIUS = 6371008.8;
+
+/**
+ * Calculates the great-circle distance between two locations with the haversine formula.
+ * @param {{ lat: number, lng: number }} from
+ * @param {{ lat: number, lng: number }} to
+ * @returns {number} The distance in meters
+ */
+export function getDistance(from, to) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const deltaLat = toRadians(to.lat - from.lat);
+    const deltaLng = toRadians(to.lng - from.lng);
+    const a = Math.sin(deltaLat / 2) ** 2 + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(deltaLng / 2) ** 2;
+    return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Calculates the initial bearing of the great circle from one location to another.
+ * @param {{ lat: number, lng: number }} from
+ * @param {{ lat: number, lng: number }} to
+ * @returns {number} The bearing in degrees clockwise from north, from 0 up to but excluding 360
+ */
+export function getBearing(from, to) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const deltaLng = toRadians(to.lng - from.lng);
+    const y = Math.sin(deltaLng) * Math.cos(toRadians(to.lat));
+    const x = Math.cos(toRadians(from.lat)) * Math.sin(toRadians(to.lat)) - Math.sin(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.cos(deltaLng);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
@@ -0,0 +1,132 @@
+import { LocationRateLimitError } from '../server/errors.mjs';
+
+/**
+ * @typedef {{ lat: number, lng: number }} Location
+ */
+
+/**
+ * Limits how often the locations of a room member are written. A location that arrives less than the write interval
+ * after the last write is held back and replaced by every newer location, so only the latest one is written when the
+ * interval is over.
+ */
+export class LocationCoalescer {
+    /**
+     * Writes a location to the storage.
+     * @private
+     * @type {function(Location): Promise<void>}
+     */
+    #write;
+
+    /**
+     * The minimum time in milliseconds between two writes.
+     * @private
+     * @type {number}
+     */
+    #interval;
+
+    /**
+     * The maximum number of locations per second. Clients that send more locations are rejected.
+     * @private
+     * @type {number}
+     */
+    #maxRate;
+
+    /**
+     * Called with the error if a held back location could not be written, because nobody awaits that write.
+     * @private
+     * @type {function(unknown): void}
+     */
+    #onError;
+
+    /**
+     * @private
+     * @type {number | undefined}
+     */
+    #lastWrite;
+
+    /**
+     * The latest location that was held back.
+     * @private
+     * @type {Location | undefined}
+     */
+    #pending;
+
+    /**
+     * The timeout that writes the held back location.
+     * @private
+     * @type {NodeJS.Timeout | undefined}
+     */
+    #timeout;
+
+    /**
+     * The start of the current one-second rate window and the number of locations received in it.
+     * @private
+     * @type {{ start: number, count: number }}
+     */
+    #rateWindow = { start: 0, count: 0 };
+
+    /**
+     * @param {function(Location): Promise<void>} write Writes a location to the storage
+     * @param {object} [options]
+     * @param {number} [options.interval] The minimum time in milliseconds between two writes, defaults to 0, i.e. no coalescing
+     * @param {number} [options.maxRate] The maximum number of locations per second, defaults to no limit
+     * @param {function(unknown): void} [options.onError] Called with the error if a held back location could not be written.
+     * The location is superseded by the next one.
+     */
+    constructor(write, { interval = 0, maxRate = Infinity, onError = () => { } } = {}) {
+        this.#write = write;
+        this.#interval = interval;
+        this.#maxRate = maxRate;
+        this.#onError = onError;
+    }
+
+    /**
+     * Writes a location now or holds it back until the write interval is over.
+     * @param {Location} location
+     * @returns {Promise<void>} Resolves when the location was written or held back
+     * @throws {LocationRateLimitError} If more locations than the maximum rate were received within one second
+     */
+    async push(location) {
+        const now = Date.now();
+        if (now - this.#rateWindow.start >= 1000) this.#rateWindow = { start: now, count: 0 };
+        if (++this.#rateWindow.count > this.#maxRate) throw new LocationRateLimitError();
+        if (!this.#timeout && (this.#lastWrite === undefined || now - this.#lastWrite >= this.#interval)) {
+            this.#lastWrite = now;
+            await this.#write(location);
+            return;
+        }
+        this.#pending = location;
+        this.#timeout ??= setTimeout(() => this.#flush(), this.#lastWrite + this.#interval - now);
+    }
+
+    /**
+     * Writes the held back location.
+     * @private
+     */
+    #flush() {
+        const location = this.#pending;
+        this.#timeout = undefined;
+        this.#pending = undefined;
+        if (!location) return;
+        this.#lastWrite = Date.now();
+        this.#write(location).catch(this.#onError);
+    }
+
+    /**
+     * Changes the minimum time between two writes, e.g. because the member's room suggests a longer location interval.
+     * A location that is already held back is written when the old interval is over.
+     * @param {number} interval The minimum time in milliseconds between two writes
+     */
+    updateInterval(interval) {
+        this.#interval = interval;
+    }
+
+    /**
+     * Discards the held back location, e.g. because the member left its room.
+     */
+    cancel() {
+        clearTimeout(this.#timeout);
+        this.#timeout = undefined;
+        this.#pending = undefined;
+    }
+}
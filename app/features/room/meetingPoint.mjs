@@ -0,0 +1,99 @@
+import { isProposalExpired } from './proposal.mjs';
+
+/**
+ * @typedef {import('../storage/roomStorage.mjs').StoredProposal} StoredProposal
+ */
+
+/**
+ * The fraction of a room's members that has to accept a proposal if no quorum is configured: all of them.
+ */
+export const DEFAULT_MEETING_POINT_QUORUM = 1;
+
+/**
+ * Validates the fraction of a room's members that has to accept a proposal.
+ * @param {number} quorum
+ * @returns {number}
+ * @throws {Error} If the quorum is not a number greater than 0 and at most 1
+ */
+export function validateMeetingPointQuorum(quorum) {
+    if (typeof quorum !== 'number' || !(quorum > 0 && quorum <= 1)) throw new Error('Meeting point quorum must be a number greater than 0 and at most 1');
+    return quorum;
+}
+
+/**
+ * Ranks the proposals of a room by the number of current members that accepted them. A proposer counts as accepting
+ * its own proposal, and only proposers and acceptances of current members count. Expired proposals are ignored.
+ * Ties are broken by the proposer ID, so that every server ranks the proposals in the same order.
+ * @param {Object<string, StoredProposal>} proposals The proposals by proposer ID
+ * @param {string[]} memberIds The IDs of the room's current members
+ * @param {number} now The current time in milliseconds since the epoch
+ * @returns {{ proposerId: string, votes: number }[]}
+ */
+function rankProposals(proposals, memberIds, now) {
+    const members = new Set(memberIds);
+    return Object.entries(proposals)
+        .filter(([proposerId, proposal]) => members.has(proposerId) && !isProposalExpired(proposal, now))
+        .map(([proposerId, { acceptedBy }]) => ({
+            proposerId,
+            votes: new Set([proposerId, ...acceptedBy.filter(memberId => members.has(memberId))]).size
+        }))
+        .sort((a, b) => b.votes - a.votes || a.proposerId.localeCompare(b.proposerId));
+}
+
+/**
+ * Finds the proposal the members of a room agreed on, see {@link rankProposals} for how acceptances are counted.
+ * At least two members have to agree, so that a member that is alone in its room can't agree with itself.
+ * If several proposals reach the quorum, the one with the most acceptances wins.
+ * @param {Object<string, StoredProposal>} proposals The proposals by proposer ID
+ * @param {string[]} memberIds The IDs of the room's current members
+ * @param {number} quorum The fraction of members that has to agree, see {@link validateMeetingPointQuorum}
+ * @param {number} [now] The current time in milliseconds since the epoch
+ * @returns {string | undefined} The ID of the proposer whose proposal was agreed on, or undefined if none was
+ */
+export function findAgreedProposal(proposals, memberIds, quorum, now = Date.now()) {
+    return findAgreedProposals(proposals, memberIds, quorum, now)[0];
+}
+
+/**
+ * Finds all proposals that reached the quorum, ranked like in {@link rankProposals}.
+ * @param {Object<string, StoredProposal>} proposals The proposals by proposer ID
+ * @param {string[]} memberIds The IDs of the room's current members
+ * @param {number} quorum The fraction of members that has to agree, see {@link validateMeetingPointQuorum}
+ * @param {number} now The current time in milliseconds since the epoch
+ * @returns {string[]} The IDs of the proposers whose proposals reached the quorum
+ */
+function findAgreedProposals(proposals, memberIds, quorum, now) {
+    // The epsilon keeps rounding errors like 0.6 * 5 = 3.0000000000000004 from requiring another member
+    const required = Math.max(2, Math.ceil(quorum * new Set(memberIds).size - 1e-9));
+    return rankProposals(proposals, memberIds, now)
+        .filter(({ votes }) => votes >= required)
+        .map(({ proposerId }) => proposerId);
+}
+
+/**
+ * Re-evaluates the agreed meeting point of a room, e.g. after members joined or left. The agreed proposal is kept
+ * as long as it reaches the quorum of the current members. Otherwise the room agrees on the proposal that does,
+ * see {@link findAgreedProposal}. If none does, the agreed proposal is kept, so that it stays locked in until it is cleared.
+ * @param {Object<string, StoredProposal>} proposals The proposals by proposer ID
+ * @param {string[]} memberIds The IDs of the room's current members
+ * @param {number} quorum The fraction of members that has to agree, see {@link validateMeetingPointQuorum}
+ * @param {string | undefined} agreedProposerId The proposer ID of the agreed meeting point, if the room has one
+ * @param {number} [now] The current time in milliseconds since the epoch
+ * @returns {string | undefined} The ID of the proposer whose proposal the room agrees on instead, or undefined if nothing changes
+ */
+export function reevaluateAgreedProposal(proposals, memberIds, quorum, agreedProposerId, now = Date.now()) {
+    const agreed = findAgreedProposals(proposals, memberIds, quorum, now);
+    if (agreedProposerId !== undefined && agreed.includes(agreedProposerId)) return undefined;
+    return agreed[0];
+}
+
+/**
+ * Finds the proposal with the most acceptances, which the members are likely to agree on.
+ * @param {Object<string, StoredProposal>} proposals The proposals by proposer ID
+ * @param {string[]} memberIds The IDs of the room's current members
+ * @param {number} [now] The current time in milliseconds since the epoch
+ * @returns {string | undefined} The ID of the proposer of the leading proposal, or undefined if the room has no proposals
+ */
+export function findLeadingProposal(proposals, memberIds, now = Date.now()) {
+    return rankProposals(proposals, memberIds, now)[0]?.proposerId;
+}
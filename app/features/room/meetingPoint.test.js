@@ -0,0 +1,63 @@
+import { describe, expect, test } from "vitest";
+import { GeoPoint } from "firebase-admin/firestore";
+import { findAgreedProposal, findLeadingProposal, reevaluateAgreedProposal, validateMeetingPointQuorum } from "./meetingPoint.mjs";
+
+describe('meetingPoint.mjs', () => {
+    const location = new GeoPoint(5, 10);
+
+    test('should agree on a proposal that every member accepted', () => {
+        const proposals = { a: { location, acceptedBy: ['b'] } };
+        expect(findAgreedProposal(proposals, ['a', 'b'], 1)).toBe('a');
+        expect(findAgreedProposal(proposals, ['a', 'b', 'c'], 1)).toBeUndefined();
+    });
+
+    test('should require at least two members to agree', () => {
+        expect(findAgreedProposal({ a: { location, acceptedBy: [] } }, ['a'], 1)).toBeUndefined();
+        expect(findAgreedProposal({ a: { location, acceptedBy: [] } }, ['a', 'b', 'c'], 0.1)).toBeUndefined();
+    });
+
+    test('should agree on a proposal that reached the quorum', () => {
+        const proposals = { a: { location, acceptedBy: ['b', 'c'] } };
+        const members = ['a', 'b', 'c', 'd', 'e'];
+        expect(findAgreedProposal(proposals, members, 0.6)).toBe('a');
+        expect(findAgreedProposal(proposals, members, 0.61)).toBeUndefined();
+    });
+
+    test('should ignore proposers and acceptances of members that left', () => {
+        expect(findAgreedProposal({ a: { location, acceptedBy: ['b', 'c'] } }, ['b', 'c'], 1)).toBeUndefined();
+        expect(findAgreedProposal({ a: { location, acceptedBy: ['b', 'gone'] } }, ['a', 'b', 'c'], 1)).toBeUndefined();
+        expect(findAgreedProposal({ a: { location, acceptedBy: ['b', 'c', 'gone'] } }, ['a', 'b', 'c'], 1)).toBe('a');
+    });
+
+    test('should prefer the proposal with the most acceptances and break ties by proposer ID', () => {
+        const members = ['a', 'b', 'c', 'd'];
+        expect(findAgreedProposal({
+            a: { location, acceptedBy: ['b'] },
+            c: { location, acceptedBy: ['a', 'd'] }
+        }, members, 0.5)).toBe('c');
+        expect(findAgreedProposal({
+            c: { location, acceptedBy: ['d'] },
+            a: { location, acceptedBy: ['b'] }
+        }, members, 0.5)).toBe('a');
+    });
+
+    test('should only replace an agreed proposal that lost the quorum', () => {
+        const proposals = { a: { location, acceptedBy: ['b'] }, c: { location, acceptedBy: ['d'] } };
+        expect(reevaluateAgreedProposal(proposals, ['a', 'b', 'c', 'd'], 0.5, 'a')).toBeUndefined();
+        expect(reevaluateAgreedProposal(proposals, ['a', 'c', 'd'], 0.5, 'a')).toBe('c');
+        expect(reevaluateAgreedProposal(proposals, ['a', 'b', 'c', 'd', 'e'], 1, 'a')).toBeUndefined();
+        expect(reevaluateAgreedProposal(proposals, ['a', 'b'], 1, undefined)).toBe('a');
+    });
+
+    test('should reject invalid quorums', () => {
+        expect(validateMeetingPointQuorum(0.5)).toBe(0.5);
+        for (const quorum of [0, 1.5, NaN, '1']) expect(() => validateMeetingPointQuorum(quorum)).toThrow();
+    });
+
+    test('should find the proposal with the most acceptances', () => {
+        const proposals = { a: { location, acceptedBy: [] }, b: { location, acceptedBy: ['c'] }, d: { location, acceptedBy: ['c'] } };
+        expect(findLeadingProposal(proposals, ['a', 'b', 'c', 'd'])).toBe('b');
+        expect(findLeadingProposal(proposals, ['a', 'c', 'd'])).toBe('d');
+        expect(findLeadingProposal({}, ['a'])).toBeUndefined();
+    });
+});
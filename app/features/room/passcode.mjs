@@ -0,0 +1,47 @@
+import { randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { PasscodeFormatError } from '../server/errors.mjs';
+
+const scryptAsync = promisify(scrypt);
+
+/**
+ * The length in bytes of the derived key and of the random salt.
+ */
+const KEY_LENGTH = 32;
+
+/**
+ * Validates the passcode of a private room.
+ * @param {unknown} passcode
+ * @throws {PasscodeFormatError} If the passcode is not a string of 4 to 128 characters
+ */
+export function validatePasscode(passcode) {
+    if (typeof passcode !== 'string' || passcode.length < 4 || passcode.length > 128) throw new PasscodeFormatError();
+}
+
+/**
+ * Hashes a passcode with scrypt and a random salt.
+ * @param {string} passcode
+ * @returns {Promise<string>} The salt and the hash in the format `scrypt:<salt>:<hash>`, both base64url encoded
+ * @throws {PasscodeFormatError} If the passcode is invalid
+ */
+export async function hashPasscode(passcode) {
+    validatePasscode(passcode);
+    const salt = randomBytes(KEY_LENGTH);
+    const hash = await scryptAsync(passcode, salt, KEY_LENGTH);
+    return `scrypt:${salt.toString('base64url')}:${hash.toString('base64url')}`;
+}
+
+/**
+ * Checks a passcode against a hash created by {@link hashPasscode}.
+ * @param {unknown} passcode
+ * @param {string} passcodeHash
+ * @returns {Promise<boolean>} True if the passcode matches the hash
+ */
+export async function verifyPasscode(passcode, passcodeHash) {
+    if (typeof passcode !== 'string') return false;
+    const [algorithm, salt, hash] = passcodeHash.split(':');
+    if (algorithm !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'base64url');
+    const actual = await scryptAsync(passcode, Buffer.from(salt, 'base64url'), expected.length);
+    return timingSafeEqual(actual, expected);
+}
@@ -0,0 +1,105 @@
+import { AvatarError, ColorError, DisplayNameError } from '../server/errors.mjs';
+
+/**
+ * @typedef {object} Profile How a member is shown to the other members of its room
+ * @property {string | null} [displayName] The name of the member, e.g. "Alex"
+ * @property {string | null} [color] The color of the member's marker as a hex color, e.g. "#1a2b3c"
+ * @property {string | null} [avatar] A single emoji or the key of an avatar image of the client, e.g. "fox"
+ */
+
+/**
+ * @typedef {{ displayName: string | null, color: string | null, avatar: string | null }} StoredProfile
+ */
+
+export const MAX_DISPLAY_NAME_LENGTH = 40;
+
+export const MAX_AVATAR_LENGTH = 32;
+
+/**
+ * The profile of a member that did not set one.
+ * @type {Readonly<StoredProfile>}
+ */
+export const EMPTY_PROFILE = Object.freeze({ displayName: null, color: null, avatar: null });
+
+/**
+ * The names of all profile fields.
+ */
+export const PROFILE_FIELDS = Object.keys(EMPTY_PROFILE);
+
+/**
+ * Control characters and the characters that reverse the direction of text, which could make a display name look
+ * like another one.
+ */
+const FORBIDDEN_DISPLAY_NAME_CHARACTERS = /[\p{Cc}\u202A-\u202E\u2066-\u2069]/u;
+
+const AVATAR_KEY = /^[a-z0-9][a-z0-9-]*$/;
+
+const EMOJI = /^[\p{Extended_Pictographic}\p{Regional_Indicator}]/u;
+
+const graphemes = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+/**
+ * @param {unknown} displayName
+ * @returns {string} The display name without leading and trailing whitespace
+ * @throws {DisplayNameError}
+ */
+function parseDisplayName(displayName) {
+    const trimmed = typeof displayName === 'string' ? displayName.trim() : displayName;
+    if (typeof trimmed !== 'string' || !trimmed.length || trimmed.length > MAX_DISPLAY_NAME_LENGTH
+        || FORBIDDEN_DISPLAY_NAME_CHARACTERS.test(trimmed)) {
+        throw new DisplayNameError();
+    }
+    return trimmed;
+}
+
+/**
+ * @param {unknown} color
+ * @returns {string} The color in lowercase
+ * @throws {ColorError}
+ */
+function parseColor(color) {
+    if (typeof color !== 'string' || !/^#[0-9a-f]{6}$/i.test(color)) throw new ColorError();
+    return color.toLowerCase();
+}
+
+/**
+ * @param {unknown} avatar
+ * @returns {string}
+ * @throws {AvatarError}
+ */
+function parseAvatar(avatar) {
+    if (typeof avatar !== 'string' || !avatar.length || avatar.length > MAX_AVATAR_LENGTH) throw new AvatarError();
+    const isEmoji = [...graphemes.segment(avatar)].length === 1 && EMOJI.test(avatar);
+    if (!isEmoji && !AVATAR_KEY.test(avatar)) throw new AvatarError();
+    return avatar;
+}
+
+/**
+ * @type {Object<keyof StoredProfile, function(unknown): string>}
+ */
+const PARSERS = { displayName: parseDisplayName, color: parseColor, avatar: parseAvatar };
+
+/**
+ * Validates a change of a member's profile. Fields that are undefined are left out, so that they keep their value,
+ * and fields that are null are cleared.
+ * @param {Profile} [profile]
+ * @returns {Partial<StoredProfile>} The changed fields
+ * @throws {DisplayNameError} If the display name is not a string of 1 to 40 characters without control characters
+ * @throws {ColorError} If the color is not a hex color like #1a2b3c
+ * @throws {AvatarError} If the avatar is neither a single emoji nor a key of lowercase letters, digits and dashes
+ */
+export function createProfileUpdate(profile = {}) {
+    return Object.fromEntries(PROFILE_FIELDS
+        .filter(field => profile[field] !== undefined)
+        .map(field => [field, profile[field] === null ? null : PARSERS[field](profile[field])]));
+}
+
+/**
+ * Validates the profile of a new member. Missing fields are stored as null.
+ * @param {Profile} [profile]
+ * @returns {StoredProfile}
+ * @throws If the profile is invalid, see {@link createProfileUpdate}
+ */
+export function createProfile(profile = {}) {
+    return { ...EMPTY_PROFILE, ...createProfileUpdate(profile) };
+}
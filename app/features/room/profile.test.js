@@ -0,0 +1,31 @@
+import { describe, expect, test } from "vitest";
+import { createProfile, createProfileUpdate, EMPTY_PROFILE } from "./profile.mjs";
+import { AvatarError, ColorError, DisplayNameError } from "../server/errors.mjs";
+
+describe('profile.mjs', () => {
+    test('should store missing fields as null', () => {
+        expect(createProfile()).toEqual(EMPTY_PROFILE);
+        expect(createProfile({ displayName: ' Alex ', color: '#A1B2C3', avatar: 'fox' })).toEqual({ displayName: 'Alex', color: '#a1b2c3', avatar: 'fox' });
+    });
+
+    test('should only change the given fields', () => {
+        expect(createProfileUpdate({ displayName: 'Sam' })).toEqual({ displayName: 'Sam' });
+        expect(createProfileUpdate({ color: null, avatar: undefined })).toEqual({ color: null });
+    });
+
+    test('should reject invalid display names', () => {
+        for (const displayName of ['', '   ', 'x'.repeat(41), 'Line\nbreak', 'Al\u202Eex', 42]) {
+            expect(() => createProfile({ displayName })).toThrow(DisplayNameError);
+        }
+        expect(createProfile({ displayName: 'Zoë 🦊' }).displayName).toBe('Zoë 🦊');
+    });
+
+    test('should reject invalid colors', () => {
+        for (const color of ['red', '#fff', '#12345g', '1a2b3c']) expect(() => createProfile({ color })).toThrow(ColorError);
+    });
+
+    test('should accept a single emoji or an avatar key', () => {
+        for (const avatar of ['🦊', '👩‍🚀', '🇩🇪', 'cat-2']) expect(createProfile({ avatar }).avatar).toBe(avatar);
+        for (const avatar of ['🦊🦊', 'Cat', '-cat', 'a'.repeat(33), 'a b']) expect(() => createProfile({ avatar })).toThrow(AvatarError);
+    });
+});
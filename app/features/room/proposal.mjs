@@ -0,0 +1,100 @@
+import { Timestamp } from 'firebase-admin/firestore';
+import { MeetingTimeError, ProposalDescriptionError, ProposalExpiryError, ProposalLabelError } from '../server/errors.mjs';
+
+/**
+ * @typedef {object} ProposalDetails The optional details a member can add to a proposed meeting point
+ * @property {string} [label] A short name of the meeting point, e.g. "Café at the north gate"
+ * @property {string} [description] A longer description, e.g. how to find the meeting point
+ * @property {number} [meetingTime] The planned time of the meeting in milliseconds since the epoch
+ * @property {number} [expiresAt] The time in milliseconds since the epoch after which the proposal is removed
+ */
+
+/**
+ * @typedef {object} StoredProposalDetails
+ * @property {string | null} label
+ * @property {string | null} description
+ * @property {Timestamp | null} meetingTime
+ * @property {Timestamp | null} expiresAt
+ */
+
+export const MAX_LABEL_LENGTH = 80;
+
+export const MAX_DESCRIPTION_LENGTH = 500;
+
+/**
+ * How far in the past a meeting time may be, so that clients whose clock is slightly behind can propose to meet now.
+ */
+const MEETING_TIME_TOLERANCE = 5 * 60 * 1000;
+
+/**
+ * How far in the future a meeting may be planned.
+ */
+const MAX_MEETING_TIME_AHEAD = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * How long a proposal with an expiry may live at most.
+ */
+const MAX_PROPOSAL_LIFETIME = 24 * 60 * 60 * 1000;
+
+/**
+ * Validates the details of a proposal and converts them into the fields that are stored with it.
+ * Leading and trailing whitespace of the label and description is removed, and missing details are stored as null.
+ * @param {ProposalDetails} details
+ * @param {number} [now] The current time in milliseconds since the epoch
+ * @returns {StoredProposalDetails}
+ * @throws {ProposalLabelError} If the label is not a string of 1 to 80 characters
+ * @throws {ProposalDescriptionError} If the description is not a string of at most 500 characters
+ * @throws {MeetingTimeError} If the meeting time is not an integer within the next 7 days
+ * @throws {ProposalExpiryError} If the expiry is not an integer within the next 24 hours
+ */
+export function createProposalDetails({ label, description, meetingTime, expiresAt } = {}, now = Date.now()) {
+    const trimmedLabel = typeof label === 'string' ? label.trim() : label;
+    if (trimmedLabel !== undefined && trimmedLabel !== null
+        && (typeof trimmedLabel !== 'string' || !trimmedLabel.length || trimmedLabel.length > MAX_LABEL_LENGTH)) {
+        throw new ProposalLabelError();
+    }
+    const trimmedDescription = typeof description === 'string' ? description.trim() : description;
+    if (trimmedDescription !== undefined && trimmedDescription !== null
+        && (typeof trimmedDescription !== 'string' || trimmedDescription.length > MAX_DESCRIPTION_LENGTH)) {
+        throw new ProposalDescriptionError();
+    }
+    if (meetingTime !== undefined && meetingTime !== null
+        && (!Number.isInteger(meetingTime) || meetingTime < now - MEETING_TIME_TOLERANCE || meetingTime > now + MAX_MEETING_TIME_AHEAD)) {
+        throw new MeetingTimeError();
+    }
+    if (expiresAt !== undefined && expiresAt !== null
+        && (!Number.isInteger(expiresAt) || expiresAt <= now || expiresAt > now + MAX_PROPOSAL_LIFETIME)) {
+        throw new ProposalExpiryError();
+    }
+    return {
+        label: trimmedLabel || null,
+        description: trimmedDescription || null,
+        meetingTime: typeof meetingTime === 'number' ? Timestamp.fromMillis(meetingTime) : null,
+        expiresAt: typeof expiresAt === 'number' ? Timestamp.fromMillis(expiresAt) : null
+    };
+}
+
+/**
+ * Checks if a proposal has expired.
+ * @param {{ expiresAt?: Timestamp | null }} proposal
+ * @param {number} [now] The current time in milliseconds since the epoch
+ * @returns {boolean}
+ */
+export function isProposalExpired({ expiresAt }, now = Date.now()) {
+    return Boolean(expiresAt) && expiresAt.toMillis() <= now;
+}
+
+/**
+ * Converts stored proposals into the form they are sent to clients in, with times in milliseconds since the epoch
+ * like the clients send them, instead of timestamps.
+ * @template {StoredProposalDetails} T
+ * @param {Object<string, T>} proposals The proposals by proposer ID
+ * @returns {Object<string, Omit<T, 'meetingTime' | 'expiresAt'> & { meetingTime: number | null, expiresAt: number | null }>}
+ */
+export function serializeProposals(proposals) {
+    return Object.fromEntries(Object.entries(proposals ?? {}).map(([proposerId, proposal]) => [proposerId, {
+        ...proposal,
+        meetingTime: proposal.meetingTime?.toMillis() ?? null,
+        expiresAt: proposal.expiresAt?.toMillis() ?? null
+    }]));
+}
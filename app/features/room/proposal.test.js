@@ -0,0 +1,58 @@
+import { describe, expect, test } from "vitest";
+import { Timestamp } from "firebase-admin/firestore";
+import { createProposalDetails, isProposalExpired, serializeProposals } from "./proposal.mjs";
+import { MeetingTimeError, ProposalDescriptionError, ProposalExpiryError, ProposalLabelError } from "../server/errors.mjs";
+
+describe('proposal.mjs', () => {
+    const now = Date.UTC(2025, 0, 1, 12);
+    const hour = 60 * 60 * 1000;
+
+    test('should store missing details as null', () => {
+        expect(createProposalDetails({}, now)).toEqual({ label: null, description: null, meetingTime: null, expiresAt: null });
+        expect(createProposalDetails(undefined, now)).toEqual({ label: null, description: null, meetingTime: null, expiresAt: null });
+    });
+
+    test('should trim the label and description and convert the times', () => {
+        expect(createProposalDetails({
+            label: ' Café at the north gate ',
+            description: '   ',
+            meetingTime: now + hour,
+            expiresAt: now + 2 * hour
+        }, now)).toEqual({
+            label: 'Café at the north gate',
+            description: null,
+            meetingTime: Timestamp.fromMillis(now + hour),
+            expiresAt: Timestamp.fromMillis(now + 2 * hour)
+        });
+    });
+
+    test('should reject invalid details', () => {
+        expect(() => createProposalDetails({ label: ' ' }, now)).toThrow(ProposalLabelError);
+        expect(() => createProposalDetails({ label: 'x'.repeat(81) }, now)).toThrow(ProposalLabelError);
+        expect(() => createProposalDetails({ description: 42 }, now)).toThrow(ProposalDescriptionError);
+        expect(() => createProposalDetails({ description: 'x'.repeat(501) }, now)).toThrow(ProposalDescriptionError);
+        expect(() => createProposalDetails({ meetingTime: now - hour }, now)).toThrow(MeetingTimeError);
+        expect(() => createProposalDetails({ meetingTime: now + 8 * 24 * hour }, now)).toThrow(MeetingTimeError);
+        expect(() => createProposalDetails({ expiresAt: now }, now)).toThrow(ProposalExpiryError);
+        expect(() => createProposalDetails({ expiresAt: now + 25 * hour }, now)).toThrow(ProposalExpiryError);
+        expect(() => createProposalDetails({ expiresAt: now + 0.5 }, now)).toThrow(ProposalExpiryError);
+    });
+
+    test('should allow meeting times slightly in the past', () => {
+        expect(createProposalDetails({ meetingTime: now - 60000 }, now).meetingTime).toEqual(Timestamp.fromMillis(now - 60000));
+    });
+
+    test('should detect expired proposals', () => {
+        expect(isProposalExpired({ expiresAt: null }, now)).toBe(false);
+        expect(isProposalExpired({ expiresAt: Timestamp.fromMillis(now + 1) }, now)).toBe(false);
+        expect(isProposalExpired({ expiresAt: Timestamp.fromMillis(now) }, now)).toBe(true);
+    });
+
+    test('should send the times of proposals in milliseconds since the epoch', () => {
+        const details = createProposalDetails({ label: 'North gate', meetingTime: now + hour }, now);
+        expect(serializeProposals({ a: { acceptedBy: ['b'], ...details } })).toEqual({
+            a: { acceptedBy: ['b'], label: 'North gate', description: null, meetingTime: now + hour, expiresAt: null }
+        });
+        expect(serializeProposals(undefined)).toEqual({});
+    });
+});
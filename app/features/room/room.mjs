@@ -1,78 +1,74 @@
-import { FieldValue } from 'firebase-admin/firestore';
+import { PasscodeError, PasscodeRequiredError, RoomDoesNotExistError } from '../server/errors.mjs';
+import { verifyPasscode } from './passcode.mjs';
+import { EMPTY_PROFILE } from './profile.mjs';
+import { DEFAULT_ROOM_SETTINGS } from './settings.mjs';
 
 export class Room {
     /**
-     * @param {import('firebase-admin/firestore').Firestore} firestore
+     * @param {import('../storage/roomStorage.mjs').RoomStorage} storage
      * @param {string} id
-     * @param {Map<string, any>} info
      */
-    constructor(firestore, id) {
-        this.firestore = firestore;
+    constructor(storage, id) {
+        this.storage = storage;
         this.id = id;
     }
 
     /**
-     * Creates a new room with a unique 4-character ID and adds the first member.
-     * @param {import('firebase-admin/firestore').Firestore} firestore
-     * @param {object} memberFields
+     * Creates a new room with a unique random ID and adds the first member.
+     * @param {import('../storage/roomStorage.mjs').RoomStorage} storage
      * @param {number} lat
      * @param {number} lng
+     * @param {object} [options]
+     * @param {string | null} [options.passcodeHash] The hashed passcode of a private room, or null for a public room
+     * @param {number} [options.idLength] The number of characters of the room ID, defaults to 4
+     * @param {import('./profile.mjs').StoredProfile} [options.profile] The profile of the first member
+     * @param {string | null} [options.uid] The verified user ID of the first member, who owns the room
+     * @param {import('./settings.mjs').StoredRoomSettings} [options.settings] The settings of the room
      * @returns {Promise<{ room: Room, memberId: string }>}
      */
-    static async create(firestore, lat, lng) {
+    static async create(storage, lat, lng, {
+        passcodeHash = null,
+        idLength = 4,
+        profile = EMPTY_PROFILE,
+        uid = null,
+        settings = DEFAULT_ROOM_SETTINGS
+    } = {}) {
         const chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
-        let success = false, attempts = 0, infoDoc, roomId;
-        let memberId;
-        let infoFields;
-        await firestore.runTransaction(async transaction => {
-            while (!success && attempts < 10) {
-                roomId = Array.from({ length: 4 }, () => chars[Math.floor(Math.random() * chars.length)]).join('');
-                infoDoc = await transaction.get(firestore.doc(`${roomId}/info`));
-                success = !infoDoc.exists;
-                attempts++;
-            }
-            if (!success) throw new Error('Failed to create room after 10 attempts');
-            const memberDoc = firestore.collection(roomId).doc();
-            infoFields = {
-                createdAt: FieldValue.serverTimestamp(),
-                proposals: {},
-            };
-            transaction.set(infoDoc.ref, infoFields);
-            transaction.set(memberDoc, { joinedAt: FieldValue.serverTimestamp(), lost: false });
-            memberId = memberDoc.id;
-            transaction.set(firestore.collection(`${roomId}/${memberId}/locations`).doc(), {
-                lat,
-                lng,
-                time: FieldValue.serverTimestamp()
-            });
-        });
-        return { room: new Room(firestore, roomId), memberId };
+        let attempts = 0, roomId, memberId;
+        while (!memberId && attempts < 10) {
+            roomId = Array.from({ length: idLength }, () => chars[Math.floor(Math.random() * chars.length)]).join('');
+            memberId = await storage.createRoom(roomId, { lat, lng }, passcodeHash, profile, uid, settings);
+            attempts++;
+        }
+        if (!memberId) throw new Error('Failed to create room after 10 attempts');
+        return { room: new Room(storage, roomId), memberId };
     }
 
     /**
      * Gets a Room instance for an existing room.
-     * @param {import('firebase-admin/firestore').Firestore} firestore
+     * @param {import('../storage/roomStorage.mjs').RoomStorage} storage
      * @param {string} roomId
      * @returns {Promise<Room>}
+     * @throws {RoomDoesNotExistError} If the room does not exist
      */
-    static async get(firestore, roomId) {
-        const infoRef = firestore.doc(`${roomId}/info`);
-        const infoDoc = await infoRef.get();
-        if (!infoDoc.exists) throw new Error('Room does not exist');
-        return new Room(firestore, roomId);
+    static async get(storage, roomId) {
+        if (!(await storage.roomExists(roomId))) throw new RoomDoesNotExistError();
+        return new Room(storage, roomId);
     }
 
     /**
-     * Returns the Firestore collection reference for this room.
+     * Checks the passcode a client wants to join this room with. Public rooms accept every passcode.
+     * @param {unknown} passcode
+     * @returns {Promise<void>}
+     * @throws {RoomDoesNotExistError} If the room does not exist anymore
+     * @throws {PasscodeRequiredError} If the room is private and no passcode is given
+     * @throws {PasscodeError} If the room is private and the passcode is incorrect
      */
-    get collection() {
-        return this.firestore.collection(this.id);
-    }
-
-    /**
-     * Returns the info document reference for this room.
-     */
-    get infoRef() {
-        return this.firestore.doc(`${this.id}/info`);
+    async verifyPasscode(passcode) {
+        const info = await this.storage.getRoomInfo(this.id);
+        if (!info || info.closed) throw new RoomDoesNotExistError();
+        if (!info.passcodeHash) return;
+        if (passcode === undefined || passcode === null || passcode === '') throw new PasscodeRequiredError();
+        if (!(await verifyPasscode(passcode, info.passcodeHash))) throw new PasscodeError();
     }
 }
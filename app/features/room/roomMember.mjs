@@ -1,31 +1,58 @@
 
-import { Firestore, FieldValue } from 'firebase-admin/firestore';
+import { GeoPoint } from 'firebase-admin/firestore';
 import { Room } from './room.mjs';
+import { getDistance, validateLocation } from './location.mjs';
+import { hashPasscode } from './passcode.mjs';
+import { LocationCoalescer } from './locationCoalescer.mjs';
+import { DEFAULT_MEETING_POINT_QUORUM, findLeadingProposal, validateMeetingPointQuorum } from './meetingPoint.mjs';
+import { createProposalDetails, serializeProposals } from './proposal.mjs';
+import { DEFAULT_ARRIVAL_OPTIONS, detectArrival, validateArrivalOptions } from './arrival.mjs';
+import { addToHistory, createDistanceDigest } from './distances.mjs';
+import { suggestMeetingPoints } from './suggestion.mjs';
+import { createProfile, createProfileUpdate, PROFILE_FIELDS } from './profile.mjs';
+import { createRoomSettings, createRoomSettingsUpdate, getRoomSettings } from './settings.mjs';
+import { ID_PATTERN } from '../storage/roomStorage.mjs';
 
 import {
+    GeoPointError,
+    KickSelfError,
     LatitudeError,
     LatitudeRequiredError,
+    LocationRateLimitError,
     LongitudeError,
     LongitudeRequiredError,
+    NotRoomOwnerError,
+    PasscodeError,
+    PasscodeFormatError,
+    PasscodeRequiredError,
+    PeerIdRequiredError,
+    ProposalDoesNotExistError,
+    ProposalsDisabledError,
+    ProposerIdRequiredError,
+    RoomDoesNotExistError,
     RoomIdRequiredError,
     RoomInfoDoesNotExistError,
+    ResumeTokenError,
     UserInRoomError,
+    UserNotInRoomError,
     WebSocketError
 } from '../server/errors.mjs';
 import { WebSocket } from 'ws';
+import { createHash, randomBytes } from 'crypto';
 
 export class RoomMember {
     /**
-     * @typedef {import("firebase/firestore").Unsubscribe} Unsubscribe
+     * @typedef {import('../storage/roomStorage.mjs').Unsubscribe} Unsubscribe
+     * @typedef {import('../storage/roomStorage.mjs').RoomStorage} RoomStorage
      */
 
     /**
-     * The main Firestore database instance responsible for all rooms
+     * The storage backend responsible for all rooms
      * @private
      * @memberof RoomMember
-     * @type {Firestore}
+     * @type {RoomStorage}
      */
-    #firestoreDatabase;
+    #storage;
 
     /**
      * The WebSocket instance for this room member
@@ -59,7 +86,7 @@ export class RoomMember {
     /**
      * A map to store data of other room members.
      * @private
-     * @type {Map<string, FirebaseFirestore.DocumentData>}
+     * @type {Map<string, import('../storage/roomStorage.mjs').StoredMember>}
      * @memberof RoomMember
      */
     #otherMembersData = new Map();
@@ -78,22 +105,200 @@ export class RoomMember {
      */
     id;
 
+    /**
+     * The verified user ID of the client. It is undefined until the connection is authenticated.
+     * @type {string | undefined}
+     * @memberof RoomMember
+     */
+    uid;
 
-    get locationRef() {
-        if (!this.room || !this.id) throw new Error('Not in a room');
-        return this.#firestoreDatabase.collection(`${this.room.id}/${this.id}/locations`);
-    }
+    /**
+     * The secret a reconnecting client uses to re-attach to this room member.
+     * It is issued when the member creates or joins a room and replaced on every resume.
+     * @type {string | undefined}
+     * @memberof RoomMember
+     */
+    resumeToken;
+
+    /**
+     * Whether the member's connection was lost and the member waits to be resumed.
+     * @type {boolean}
+     * @memberof RoomMember
+     */
+    suspended = false;
+
+    /**
+     * Called when the member did not answer a ping in time.
+     * @private
+     * @type {function(RoomMember): (void | Promise<void>)}
+     */
+    #onHeartbeatTimeout;
+
+    /**
+     * Limits how often the member's locations are written.
+     * @private
+     * @type {LocationCoalescer}
+     */
+    #locationCoalescer;
+
+    /**
+     * The time in milliseconds the member has to answer a ping.
+     * @private
+     * @type {number}
+     */
+    #heartbeatTimeout;
+
+    /**
+     * The number of characters of the IDs of rooms created by this member.
+     * @private
+     * @type {number}
+     */
+    #roomIdLength;
+
+    /**
+     * The fraction of a room's members that has to accept a proposal to agree on it as the meeting point.
+     * @private
+     * @type {number}
+     */
+    #meetingPointQuorum;
+
+    /**
+     * The agreed meeting point of the member's room the client was told about, so that it is only told about changes.
+     * @private
+     * @type {import('../storage/roomStorage.mjs').StoredMeetingPoint | null}
+     */
+    #meetingPoint = null;
+
+    /**
+     * The timeout that deletes the next proposal of the member's room that expires.
+     * Every member schedules it, so that expired proposals are removed as long as any member is connected.
+     * @private
+     * @type {NodeJS.Timeout | undefined}
+     */
+    #proposalExpiryTimeout;
+
+    /**
+     * The radius around the agreed meeting point within which the member has arrived, and its hysteresis.
+     * @private
+     * @type {import('./arrival.mjs').ArrivalOptions}
+     */
+    #arrivalOptions;
+
+    /**
+     * The recent locations of the member that were written. The latest one is compared with the agreed meeting point.
+     * @private
+     * @type {import('./distances.mjs').TimedLocation[]}
+     */
+    #locationHistory = [];
+
+    /**
+     * The recent locations of the other members of the room, used to estimate their speed.
+     * @private
+     * @type {Map<string, import('./distances.mjs').TimedLocation[]>}
+     */
+    #locationHistories = new Map();
+
+    /**
+     * The proposals of the member's room, used to find the leading proposal as long as no meeting point is agreed.
+     * @private
+     * @type {Object<string, import('../storage/roomStorage.mjs').StoredProposal>}
+     */
+    #proposals = {};
+
+    /**
+     * The minimum time in milliseconds between two location writes of the server. Rooms can suggest a longer interval.
+     * @private
+     * @type {number}
+     */
+    #locationWriteInterval;
+
+    /**
+     * The time in milliseconds between two distance digests, or 0 if none are sent.
+     * @private
+     * @type {number}
+     */
+    #distanceInterval;
+
+    /**
+     * The interval that sends the distance digests.
+     * @private
+     * @type {NodeJS.Timeout | undefined}
+     */
+    #distanceTimer;
+
+    /**
+     * The last distance digest the client received, so that an unchanged digest is not sent again.
+     * @private
+     * @type {string | undefined}
+     */
+    #lastDistances;
+
+    /**
+     * Whether the member has arrived at the agreed meeting point of its room.
+     * @private
+     * @type {boolean}
+     */
+    #arrived = false;
+
+    /**
+     * The IDs of the members of the room the client was told have arrived at the agreed meeting point,
+     * so that it is only told about arrivals and departures.
+     * @private
+     * @type {Set<string>}
+     */
+    #arrivedMembers = new Set();
 
     /**
      * Creates an instance of RoomMember.
-     * @param {Firestore} firestoreDatabase 
+     * @param {RoomStorage} storage
      * @param {WebSocket} webSocket
-     * @throws {Error} If firestoreDatabase or webSocket is not provided
+     * @param {function(RoomMember): (void | Promise<void>)} [onHeartbeatTimeout] Called when the member did not answer a ping in time.
+     * By default, the member leaves its room and the WebSocket is terminated.
+     * @param {object} [options]
+     * @param {number} [options.heartbeatTimeout] The time in milliseconds the member has to answer a ping, defaults to 30000
+     * @param {number} [options.roomIdLength] The number of characters of the IDs of rooms created by this member, defaults to 4
+     * @param {number} [options.locationWriteInterval] The minimum time in milliseconds between two location writes.
+     * Locations in between are coalesced, so that only the latest one is written. Defaults to 0, i.e. every location is written.
+     * @param {number} [options.maxLocationUpdateRate] The maximum number of locations per second, defaults to no limit
+     * @param {function(unknown, RoomMember): void} [options.onLocationWriteError] Called with the error and the member if a coalesced
+     * location could not be written. Errors of locations that are written right away are thrown by {@link RoomMember#updateLocation}.
+     * @param {number} [options.meetingPointQuorum] The fraction of a room's members that has to accept a proposal, defaults to all members
+     * @param {number} [options.arrivalRadius] The distance in meters from the agreed meeting point within which the member has arrived, defaults to 50
+     * @param {number} [options.arrivalHysteresis] The additional distance in meters the member has to move away from the agreed meeting point
+     * to depart again, defaults to 25
+     * @param {number} [options.distanceInterval] The time in milliseconds between two digests of the distances between the members
+     * and to the meeting point. Defaults to 5000, 0 disables the digests.
+     * @throws {Error} If storage or webSocket is not provided or the meeting point quorum or the arrival options are invalid
      */
-    constructor(firestoreDatabase, webSocket) {
-        if (!firestoreDatabase) throw new Error('Firestore database is required');
+    constructor(storage, webSocket, onHeartbeatTimeout = async member => {
+        await member.leaveRoom();
+        member.ws.terminate();
+    }, {
+        heartbeatTimeout = 30000,
+        roomIdLength = 4,
+        locationWriteInterval = 0,
+        maxLocationUpdateRate = Infinity,
+        onLocationWriteError = () => { },
+        meetingPointQuorum = DEFAULT_MEETING_POINT_QUORUM,
+        arrivalRadius = DEFAULT_ARRIVAL_OPTIONS.radius,
+        arrivalHysteresis = DEFAULT_ARRIVAL_OPTIONS.hysteresis,
+        distanceInterval = 5000
+    } = {}) {
+        if (!storage) throw new Error('Storage is required');
         if (!webSocket) throw new WebSocketError();
-        this.#firestoreDatabase = firestoreDatabase;
+        this.#storage = storage;
+        this.#onHeartbeatTimeout = onHeartbeatTimeout;
+        this.#heartbeatTimeout = heartbeatTimeout;
+        this.#roomIdLength = roomIdLength;
+        this.#meetingPointQuorum = validateMeetingPointQuorum(meetingPointQuorum);
+        this.#arrivalOptions = validateArrivalOptions({ radius: arrivalRadius, hysteresis: arrivalHysteresis });
+        this.#distanceInterval = distanceInterval;
+        this.#locationWriteInterval = locationWriteInterval;
+        this.#locationCoalescer = new LocationCoalescer(location => this.#writeLocation(location), {
+            interval: locationWriteInterval,
+            maxRate: maxLocationUpdateRate,
+            onError: error => onLocationWriteError(error, this)
+        });
         this.ws = webSocket;
         this.id = undefined;
         this.roomUnsubscribe = undefined;
@@ -101,24 +306,26 @@ export class RoomMember {
     }
 
     /**
-     * Deletes all documents in a Firestore collection.
-     * @param {FirebaseFirestore.CollectionReference} collectionRef - The Firestore collection reference.
-     * @param {number} batchSize - The number of documents to delete in each batch. Default is 100. The batch size must be between 1 and 500.
-     * @returns {Promise<void>} A promise that resolves when all documents are deleted.
-     * @throws If the collection reference is not provided
-     * @throws If the batch size is less than 1 or greater than 500
+     * Writes a location of the member and updates whether it arrived at the meeting point. If the member leaves its room
+     * while the location is written, the location is dropped.
+     * @private
+     * @param {{ lat: number, lng: number }} location
+     * @returns {Promise<void>}
+     * @memberof RoomMember
      */
-    async #deleteLocations(batchSize = 100) {
-        if (batchSize < 1 || batchSize > 500) throw new Error('Batch size must be between 1 and 500');
-
-        // eslint-disable-next-line no-constant-condition
-        while (true) {
-            const snapshot = await this.locationRef.limit(batchSize).get();
-            if (snapshot.empty) break;
-            const batch = this.#firestoreDatabase.batch();
-            snapshot.docs.forEach(location => batch.delete(location.ref));
-            await batch.commit();
-            if (snapshot.size < batchSize) break;
+    async #writeLocation(location) {
+        const roomId = this.room?.id;
+        const memberId = this.id;
+        if (!roomId || !memberId) return;
+        const isInRoom = () => this.room?.id === roomId && this.id === memberId;
+        try {
+            await this.#storage.addLocation(roomId, memberId, location);
+            if (!isInRoom()) return;
+            this.#locationHistory = addToHistory(this.#locationHistory, { ...location, time: Date.now() });
+            await this.#updateArrival(roomId);
+        } catch (error) {
+            // The member or its room was removed while the location was written
+            if (isInRoom()) throw error;
         }
     }
 
@@ -131,25 +338,148 @@ export class RoomMember {
      */
     async leaveRoom() {
         if (!this.room || !this.id) return;
+        this.#unsubscribe();
+        try {
+            await this.#storage.removeMember(this.room.id, this.id);
+            // The members that are left may have accepted a proposal now
+            await this.#storage.agreeOnMeetingPoint(this.room.id, this.#meetingPointQuorum);
+        } catch (error) {
+            // The room was already deleted, e.g. by the janitor
+            if (!(error instanceof RoomInfoDoesNotExistError)) throw error;
+        }
+        this.#sendLeft();
+        this.#reset();
+    }
+
+    /**
+     * Forgets the room of this member.
+     * @private
+     * @memberof RoomMember
+     */
+    #reset() {
+        this.room = undefined;
+        this.id = undefined;
+        this.resumeToken = undefined;
+        this.suspended = false;
+        this.#locationHistory = [];
+        this.#arrived = false;
+        this.#locationCoalescer.updateInterval(this.#locationWriteInterval);
+    }
+
+    /**
+     * Stops all snapshot listeners of this member and forgets the data of the other members.
+     * @private
+     * @memberof RoomMember
+     */
+    #unsubscribe() {
+        this.#locationCoalescer.cancel();
         if (this.roomUnsubscribe) {
             this.roomUnsubscribe();
             this.roomUnsubscribe = undefined;
         }
         this.#locationUnsubscribes.forEach(unsubscribe => unsubscribe());
-        await this.#firestoreDatabase.runTransaction(async transaction => {
-            const infoDoc = await transaction.get(this.room.infoRef);
-            if (!infoDoc.exists) throw new Error('Room does not exist');
-            await this.#deleteLocations();
-            if ((await this.room.collection.count().get()).data().count <= 2) {
-                transaction.delete(this.room.infoRef);
-            }
-            transaction.delete(this.#firestoreDatabase.doc(`${this.room.id}/${this.id}`));
-        });
-        this.#sendLeft();
         this.#locationUnsubscribes.clear();
         this.#otherMembersData.clear();
-        this.room = undefined;
-        this.id = undefined;
+        this.#arrivedMembers.clear();
+        this.#locationHistories.clear();
+        this.#proposals = {};
+        this.#meetingPoint = null;
+        clearInterval(this.#distanceTimer);
+        this.#lastDistances = undefined;
+        clearTimeout(this.#proposalExpiryTimeout);
+    }
+
+    /**
+     * Suspends the member after its connection was lost. The member stays in its room and is marked as lost,
+     * so that it can be resumed with its resume token, on this server or, see {@link RoomMember#restore}, on another one.
+     * @returns {Promise<boolean>} True if the member was suspended, false if it is not in a room
+     * @memberof RoomMember
+     */
+    async suspend() {
+        if (!this.room || !this.id) return false;
+        this.#unsubscribe();
+        clearTimeout(this.heartbeatTimeout);
+        this.suspended = true;
+        await this.#storage.setMemberLost(this.room.id, this.id, true, this.resumeToken ? hashResumeToken(this.resumeToken) : null);
+        // Lost members don't count towards the quorum, so the members that are left may agree now
+        await this.#storage.agreeOnMeetingPoint(this.room.id, this.#meetingPointQuorum);
+        return true;
+    }
+
+    /**
+     * Takes over a member that another server suspended, e.g. because it shut down. Afterwards the member is suspended
+     * on this server and can be resumed with {@link RoomMember#resume}.
+     * @param {string} resumeToken The resume token of the suspended member
+     * @returns {Promise<void>}
+     * @throws {UserInRoomError} If this member is already in a room
+     * @throws {ResumeTokenError} If no lost member of this user can be resumed with the token
+     * @throws {RoomDoesNotExistError} If the member's room was deleted
+     * @memberof RoomMember
+     */
+    async restore(resumeToken) {
+        if (this.room) throw new UserInRoomError();
+        const [roomId = '', memberId = ''] = resumeToken.split('.');
+        const member = ID_PATTERN.test(roomId) && ID_PATTERN.test(memberId) ? await this.#storage.getMember(roomId, memberId) : undefined;
+        if (!member?.lost || member.uid !== (this.uid ?? null) || member.resumeTokenHash !== hashResumeToken(resumeToken)) {
+            throw new ResumeTokenError();
+        }
+        this.room = await Room.get(this.#storage, roomId);
+        this.id = memberId;
+        // A new token invalidates the old one, so that the server that suspended the member doesn't remove it anymore
+        this.resumeToken = createResumeToken(roomId, memberId);
+        this.suspended = true;
+        await this.#storage.setMemberLost(roomId, memberId, true, hashResumeToken(this.resumeToken));
+        const location = (await this.#storage.getLocations(roomId, memberId)).at(-1);
+        if (location) this.#locationHistory = [{ lat: location.lat, lng: location.lng, time: location.time.toMillis() }];
+    }
+
+    /**
+     * Checks if the member is still lost and can be resumed with its resume token.
+     * It can't after another server restored it, see {@link RoomMember#restore}.
+     * @returns {Promise<boolean>}
+     * @memberof RoomMember
+     */
+    async isStillLost() {
+        if (!this.room || !this.id || !this.resumeToken) return false;
+        const member = await this.#storage.getMember(this.room.id, this.id);
+        return Boolean(member?.lost) && member.resumeTokenHash === hashResumeToken(this.resumeToken);
+    }
+
+    /**
+     * Stops the heartbeat and all snapshot listeners of the member without changing its room, e.g. when the server shuts down.
+     */
+    dispose() {
+        clearTimeout(this.heartbeatTimeout);
+        this.#unsubscribe();
+    }
+
+    /**
+     * Re-attaches the member to a new WebSocket, e.g. after the client reconnected.
+     * The member is marked as found again and receives the current state of its room.
+     * @param {WebSocket} webSocket
+     * @returns {Promise<{ roomId: string, userId: string, resumeToken: string }>}
+     * @throws {WebSocketError} If webSocket is not provided
+     * @throws {UserNotInRoomError} If the member is not in a room
+     * @throws {RoomDoesNotExistError} If the member's room was deleted while it was suspended
+     * @memberof RoomMember
+     */
+    async resume(webSocket) {
+        if (!webSocket) throw new WebSocketError();
+        if (!this.room || !this.id) throw new UserNotInRoomError();
+        this.#unsubscribe();
+        if (!(await this.#storage.getMember(this.room.id, this.id))) {
+            this.#reset();
+            throw new RoomDoesNotExistError();
+        }
+        this.ws = webSocket;
+        this.suspended = false;
+        await this.#storage.setMemberLost(this.room.id, this.id, false);
+        this.resumeToken = createResumeToken(this.room.id, this.id);
+        this.roomUnsubscribe = this.#createRoomSnapshotListener();
+        const session = { roomId: this.room.id, userId: this.id, resumeToken: this.resumeToken };
+        this.ws.send(JSON.stringify({ type: 'resumed', ...session }));
+        this.checkAlive();
+        return session;
     }
 
     #sendLeft(id = this.id) {
@@ -164,96 +494,139 @@ export class RoomMember {
      * @param {string} roomId The ID of the room to join
      * @param {lat} lat The latitude of the room member's location
      * @param {lng} lng The longitude of the room member's location
+     * @param {string} [passcode] The passcode of the room, required if the room is private
+     * @param {import('./profile.mjs').Profile} [profile] How the member is shown to the other members
+     * @returns {Promise<{ roomId: string, userId: string, resumeToken: string }>} The IDs of the joined room and of the new member and its resume token
      * @throws {UserInRoomError} If the user is already in a room
      * @throws {LatitudeRequiredError} If latitude is not provided
      * @throws {LongitudeRequiredError} If longitude is not provided
      * @throws {LatitudeError} If latitude is not a number or out of range
      * @throws {LongitudeError} If longitude is not a number or out of range
+     * @throws {RoomDoesNotExistError} If the room does not exist
+     * @throws {RoomInfoDoesNotExistError} If the room was deleted while joining
+     * @throws {PasscodeRequiredError} If the room is private and no passcode is given
+     * @throws {PasscodeError} If the room is private and the passcode is incorrect
+     * @throws {RoomLockedError} If the room is locked
+     * @throws {BannedError} If the user is banned from the room
+     * @throws {RoomFullError} If the room has its maximum number of members
+     * @throws If the profile is invalid, see {@link createProfile}
      */
-    async joinRoom(roomId, lat, lng) {
+    async joinRoom(roomId, lat, lng, passcode, profile) {
         if (this.room) throw new UserInRoomError();
-        if (!roomId || roomId.trim() === '') throw new RoomIdRequiredError();
-        if (lat === undefined || lat === null) throw new LatitudeRequiredError();
-        if (lng === undefined || lng === null) throw new LongitudeRequiredError();
-        if (typeof lat !== 'number' || lat < -90 || lat > 90) throw new LatitudeError();
-        if (typeof lng !== 'number' || lng < -180 || lng > 180) throw new LongitudeError();
-        const room = await Room.get(this.#firestoreDatabase, roomId);
-        const clientFields = { joinedAt: FieldValue.serverTimestamp(), lost: false };
-        await this.#firestoreDatabase.runTransaction(async transaction => {
-            const infoDoc = await transaction.get(room.infoRef);
-            if (!infoDoc.exists) throw new RoomInfoDoesNotExistError();
-            const memberDoc = room.collection.doc();
-            transaction.set(memberDoc, clientFields);
-            this.id = memberDoc.id;
-            transaction.set(memberDoc.collection(`locations`).doc(), {
-                lat,
-                lng,
-                time: FieldValue.serverTimestamp()
-            });
-        });
+        if (!roomId || typeof roomId !== 'string' || roomId.trim() === '') throw new RoomIdRequiredError();
+        validateLocation(lat, lng);
+        const memberProfile = createProfile(profile);
+        const room = await Room.get(this.#storage, roomId);
+        await room.verifyPasscode(passcode);
+        this.id = await this.#storage.addMember(room.id, { lat, lng }, memberProfile, this.uid ?? null);
         this.room = room;
+        this.#locationHistory = [{ lat, lng, time: Date.now() }];
+        this.resumeToken = createResumeToken(this.room.id, this.id);
         this.roomUnsubscribe = this.#createRoomSnapshotListener();
+        const session = { roomId: room.id, userId: this.id, resumeToken: this.resumeToken };
+        this.ws.send(JSON.stringify({ type: 'joined', ...session }));
+        await this.#storage.agreeOnMeetingPoint(room.id, this.#meetingPointQuorum);
+        return session;
     }
 
     /**
-     * Creates a new room.
+     * Creates a new room. Rooms with a passcode are private and can only be joined with the same passcode.
      * @param {number} lat 
      * @param {number} lng 
+     * @param {string} [passcode] The passcode of a private room
+     * @param {import('./profile.mjs').Profile} [profile] How the member is shown to the other members
+     * @param {import('./settings.mjs').RoomSettings} [settings] How the room behaves
+     * @returns {Promise<{ roomId: string, userId: string, resumeToken: string }>} The IDs of the new room and of its first member and its resume token
+     * @throws {PasscodeFormatError} If the passcode is not a string of 4 to 128 characters
+     * @throws If the profile is invalid, see {@link createProfile}
+     * @throws If the settings are invalid, see {@link createRoomSettings}
      */
-    async createRoom(lat, lng) {
+    async createRoom(lat, lng, passcode, profile, settings) {
         if (this.room) throw new UserInRoomError();
-        if (lat === undefined || lat === null) throw new LatitudeRequiredError();
-        if (lng === undefined || lng === null) throw new LongitudeRequiredError();
-        if (typeof lat !== 'number' || lat < -90 || lat > 90) throw new LatitudeError();
-        if (typeof lng !== 'number' || lng < -180 || lng > 180) throw new LongitudeError();
-        const { room, memberId } = await Room.create(this.#firestoreDatabase, lat, lng);
+        validateLocation(lat, lng);
+        const memberProfile = createProfile(profile);
+        const roomSettings = createRoomSettings(settings);
+        const passcodeHash = passcode === undefined || passcode === null ? null : await hashPasscode(passcode);
+        const { room, memberId } = await Room.create(this.#storage, lat, lng, {
+            passcodeHash,
+            idLength: this.#roomIdLength,
+            profile: memberProfile,
+            uid: this.uid ?? null,
+            settings: roomSettings
+        });
         this.room = room;
         this.id = memberId;
+        this.#locationHistory = [{ lat, lng, time: Date.now() }];
+        this.resumeToken = createResumeToken(this.room.id, this.id);
         this.roomUnsubscribe = this.#createRoomSnapshotListener();
-        this.ws.send(JSON.stringify({
-            type: 'created',
-            roomId: room.id,
-            userId: this.id
-        }));
+        const session = { roomId: room.id, userId: this.id, resumeToken: this.resumeToken };
+        this.ws.send(JSON.stringify({ type: 'created', ...session }));
+        return session;
     }
 
     /**
-     * Creates a snapshot listener for the room this member belongs to.
+     * Creates a snapshot listener for the room this member belongs to and starts sending distance digests.
      * @private
      * @memberof RoomMember
-     * @returns {Promise<Unsubscribe>}
+     * @returns {Unsubscribe}
      */
     #createRoomSnapshotListener() {
         if (!this.room) throw new Error('Not in a room');
-        return this.room.collection.onSnapshot(snap => {
-            for (const { type, doc } of snap.docChanges()) {
-                const id = doc.id;
-                const data = doc.data();
-                if (id === this.id) continue;
-                if (id === 'info') {
-                    this.ws.send(JSON.stringify({
-                        type: 'roomUpdate',
-                        roomId: this.room.id,
-                        proposals: data.proposals
-                    }));
-                    continue;
+        const roomId = this.room.id;
+        if (this.#distanceInterval > 0) this.#distanceTimer = setInterval(() => this.#sendDistances(), this.#distanceInterval);
+        return this.#storage.subscribeToRoom(roomId, {
+            onInfoChange: info => {
+                if (info.closed) {
+                    this.#onRemoved(roomId, 'roomClosed');
+                    return;
+                }
+                if (info.removals?.[this.id]) {
+                    this.#onRemoved(roomId, info.removals[this.id]);
+                    return;
+                }
+                this.#proposals = info.proposals ?? {};
+                const settings = getRoomSettings(info);
+                this.#locationCoalescer.updateInterval(Math.max(this.#locationWriteInterval, settings.locationInterval ?? 0));
+                this.ws.send(JSON.stringify({
+                    type: 'roomUpdate',
+                    roomId,
+                    proposals: serializeProposals(info.proposals),
+                    meetingPoint: info.meetingPoint ?? null,
+                    ownerId: info.ownerId ?? null,
+                    locked: info.locked ?? false,
+                    settings
+                }));
+                if (this.#sendMeetingPointChange(roomId, info.meetingPoint ?? null)) {
+                    // Whether the member arrived at a previous meeting point doesn't matter for the new one.
+                    // If updating fails, e.g. because the room was deleted, the next location retries it
+                    this.#updateArrival(roomId, false).catch(() => { });
+                }
+                this.#scheduleProposalExpiry(roomId, info.proposals);
+            },
+            onMemberChange: (type, id, data) => {
+                if (id === this.id) {
+                    // The member was removed without leaving, e.g. by the owner or because the janitor deleted the room
+                    if (type === 'removed') this.#onMemberRemoved(roomId, id);
+                    else this.#sendArrivalChange(type, id, data);
+                    return;
                 }
                 switch (type) {
                     case 'added':
+                        this.#sendArrivalChange(type, id, data);
                         this.#otherMembersData.set(id, data);
                         this.#sendMemberUpdate(id, data);
-                        this.#locationUnsubscribes.set(id, doc.ref.collection('locations').orderBy('time', 'desc').limit(1).onSnapshot(locSnap => {
-                            if (!locSnap.empty) {
-                                const { lat, lng, time } = locSnap.docs[0].data();
-                                this.ws.send(JSON.stringify({ type: 'location', userId: id, lat, lng, time }));
-                            }
+                        this.#locationUnsubscribes.set(id, this.#storage.subscribeToLatestLocation(roomId, id, ({ lat, lng, time }) => {
+                            this.#locationHistories.set(id, addToHistory(this.#locationHistories.get(id) ?? [], { lat, lng, time: time.toMillis() }));
+                            this.ws.send(JSON.stringify({ type: 'location', userId: id, lat, lng, time }));
                         }));
                         break;
                     case 'modified':
                         const oldData = this.#otherMembersData.get(id);
                         if (oldData?.lost !== data.lost) {
-                            this.#sendMemberUpdate(id, data);
+                            this.ws.send(JSON.stringify({ type: data.lost ? 'lost' : 'found', userId: id }));
                         }
+                        this.#sendArrivalChange(type, id, data);
+                        if (PROFILE_FIELDS.some(field => oldData?.[field] !== data[field])) this.#sendMemberUpdate(id, data);
                         this.#otherMembersData.set(id, data);
                         break;
                     case 'removed':
@@ -261,6 +634,8 @@ export class RoomMember {
                         this.#locationUnsubscribes.get(id)?.();
                         this.#locationUnsubscribes.delete(id);
                         this.#otherMembersData.delete(id);
+                        this.#arrivedMembers.delete(id);
+                        this.#locationHistories.delete(id);
                         break;
                 }
             }
@@ -268,103 +643,406 @@ export class RoomMember {
     }
 
     /**
-     * Updates the location of the room member,
+     * Tells the client when the members of its room agreed on a meeting point or the agreed meeting point was cleared.
+     * @private
+     * @param {string} roomId
+     * @param {import('../storage/roomStorage.mjs').StoredMeetingPoint | null} meetingPoint The agreed meeting point of the room
+     * @returns {boolean} Whether the agreed meeting point changed
      * @memberof RoomMember
+     */
+    #sendMeetingPointChange(roomId, meetingPoint) {
+        const previous = this.#meetingPoint;
+        this.#meetingPoint = meetingPoint;
+        if (meetingPoint && (meetingPoint.proposerId !== previous?.proposerId || !meetingPoint.agreedAt.isEqual(previous.agreedAt))) {
+            this.ws.send(JSON.stringify({
+                type: 'meetingPointAgreed',
+                roomId,
+                proposerId: meetingPoint.proposerId,
+                lat: meetingPoint.location.latitude,
+                lng: meetingPoint.location.longitude,
+                agreedAt: meetingPoint.agreedAt
+            }));
+        } else if (!meetingPoint && previous) {
+            this.ws.send(JSON.stringify({ type: 'meetingPointCleared', roomId }));
+        } else {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Decides if the member is at the agreed meeting point of its room and stores it if that changed.
+     * A member without an agreed meeting point has not arrived.
+     * @private
+     * @param {string} roomId
+     * @param {boolean} [arrived] Whether the member was at the meeting point before, see {@link detectArrival}
      * @returns {Promise<void>}
+     * @memberof RoomMember
      */
-    async updateLocation(lat, lng) {
-        if (!this.room || !this.id) throw new UserInRoomError();
-        if (lat === undefined || lat === null) throw new LatitudeRequiredError();
-        if (lng === undefined || lng === null) throw new LongitudeRequiredError();
-        if (typeof lat !== 'number' || lat < -90 || lat > 90) throw new LatitudeError();
-        if (typeof lng !== 'number' || lng < -180 || lng > 180) throw new LongitudeError();
-        await this.locationRef.doc().set({
-            lat,
-            lng,
-            time: FieldValue.serverTimestamp()
+    async #updateArrival(roomId, arrived = this.#arrived) {
+        const meetingPoint = this.#meetingPoint;
+        const location = this.#locationHistory.at(-1);
+        const isArrived = Boolean(meetingPoint && location) && detectArrival(arrived, getDistance(location, {
+            lat: meetingPoint.location.latitude,
+            lng: meetingPoint.location.longitude
+        }), this.#arrivalOptions);
+        if (isArrived === this.#arrived || !this.id) return;
+        await this.#storage.setMemberArrived(roomId, this.id, isArrived);
+        this.#arrived = isArrived;
+    }
+
+    /**
+     * Returns where the members of the room are heading: the agreed meeting point or, if there is none, the leading proposal.
+     * @private
+     * @returns {import('./distances.mjs').Destination | null}
+     * @memberof RoomMember
+     */
+    #getDestination() {
+        if (this.#meetingPoint) {
+            const { proposerId, location } = this.#meetingPoint;
+            return { proposerId, agreed: true, lat: location.latitude, lng: location.longitude };
+        }
+        const proposerId = findLeadingProposal(this.#proposals, [this.id, ...this.#otherMembersData.keys()]);
+        if (!proposerId) return null;
+        const { location } = this.#proposals[proposerId];
+        return { proposerId, agreed: false, lat: location.latitude, lng: location.longitude };
+    }
+
+    /**
+     * Sends the client the distances between it and the other members of its room and their routes to the destination,
+     * unless nothing changed since the last digest.
+     * @private
+     * @memberof RoomMember
+     */
+    #sendDistances() {
+        if (!this.room || !this.id) return;
+        const histories = new Map([...this.#locationHistories, [this.id, this.#locationHistory]]);
+        const message = JSON.stringify({
+            type: 'distances',
+            roomId: this.room.id,
+            ...createDistanceDigest(this.id, histories, this.#getDestination())
         });
+        if (message === this.#lastDistances) return;
+        this.#lastDistances = message;
+        this.ws.send(message);
+    }
+
+    /**
+     * Tells the client when a member of its room, including the member itself, arrived at or departed from the agreed meeting point.
+     * Members that were already there when the client learned about them are not announced, their member update says so.
+     * @private
+     * @param {import('../storage/roomStorage.mjs').ChangeType} type
+     * @param {string} memberId
+     * @param {import('../storage/roomStorage.mjs').StoredMember} data
+     * @memberof RoomMember
+     */
+    #sendArrivalChange(type, memberId, data) {
+        if (Boolean(data.arrived) === this.#arrivedMembers.has(memberId)) return;
+        if (data.arrived) this.#arrivedMembers.add(memberId);
+        else this.#arrivedMembers.delete(memberId);
+        if (type === 'modified') this.ws.send(JSON.stringify({ type: data.arrived ? 'arrived' : 'departed', userId: memberId }));
+    }
+
+    /**
+     * Deletes the expired proposals of the member's room when the next proposal expires.
+     * @private
+     * @param {string} roomId
+     * @param {Object<string, import('../storage/roomStorage.mjs').StoredProposal>} proposals
+     * @memberof RoomMember
+     */
+    #scheduleProposalExpiry(roomId, proposals) {
+        clearTimeout(this.#proposalExpiryTimeout);
+        const expiries = Object.values(proposals ?? {}).filter(({ expiresAt }) => expiresAt).map(({ expiresAt }) => expiresAt.toMillis());
+        if (!expiries.length) return;
+        this.#proposalExpiryTimeout = setTimeout(() => {
+            // If deleting fails, e.g. because the room was deleted, another member or the next info change retries it
+            this.#storage.deleteExpiredProposals(roomId).catch(() => { });
+        }, Math.max(0, Math.min(...expiries) - Date.now()));
+    }
+
+    /**
+     * Detaches the member from a room it was removed from and tells the client why.
+     * @private
+     * @param {string} roomId
+     * @param {'roomDeleted' | 'roomClosed' | 'kicked' | 'banned'} [reason] The type of the message the client receives
+     * @memberof RoomMember
+     */
+    #onRemoved(roomId, reason = 'roomDeleted') {
+        this.#unsubscribe();
+        this.#reset();
+        this.ws.send(JSON.stringify({ type: reason, roomId }));
+    }
+
+    /**
+     * Detaches the member from a room it was removed from before it saw why, and reads the reason from the room's info.
+     * @private
+     * @param {string} roomId
+     * @param {string} memberId
+     * @returns {Promise<void>}
+     * @memberof RoomMember
+     */
+    async #onMemberRemoved(roomId, memberId) {
+        this.#unsubscribe();
+        this.#reset();
+        const info = await this.#storage.getRoomInfo(roomId).catch(() => undefined);
+        this.ws.send(JSON.stringify({ type: info?.removals?.[memberId] ?? 'roomDeleted', roomId }));
+    }
+
+    /**
+     * Updates the location of the room member. Locations that arrive faster than the location write interval,
+     * or the longer location interval of the room, are coalesced, so that only the latest one is written when the interval is over.
+     * @memberof RoomMember
+     * @returns {Promise<void>}
+     * @throws {UserNotInRoomError} If the member is not in a room
+     * @throws {LocationRateLimitError} If the member sent more locations per second than allowed
+     */
+    async updateLocation(lat, lng) {
+        if (!this.room || !this.id) throw new UserNotInRoomError();
+        validateLocation(lat, lng);
+        await this.#locationCoalescer.push({ lat, lng });
     }
 
     /**
      * Proposes a meeting location to other room members.
-     * Only one proposal per member at a time.
+     * Only one proposal per member at a time. A proposal with an expiry is removed automatically once it expired.
      * @param {import('firebase-admin/firestore').GeoPoint} geoPoint
+     * @param {import('./proposal.mjs').ProposalDetails} [details] The label, description, meeting time and expiry of the proposal
      * @returns {Promise<void>}
+     * @throws {UserNotInRoomError} If the member is not in a room
+     * @throws {GeoPointError} If geoPoint is not a GeoPoint
+     * @throws {ProposalsDisabledError} If the room does not allow proposals
+     * @throws If the details are invalid, see {@link createProposalDetails}
      */
-    async proposeMeetingPoint(geoPoint) {
-        return this.#firestoreDatabase.runTransaction(async t => {
-            if (!this.room || !this.id) throw new UserInRoomError();
-            if (!geoPoint || !(geoPoint instanceof Firestore.GeoPoint)) {
-                throw new Error('Invalid GeoPoint provided');
-            }
-            t.update(this.room.infoRef, {
-                [`proposals.${this.id}`]: {
-                    location: geoPoint,
-                    acceptedBy: []
-                }
-            })
+    async proposeMeetingPoint(geoPoint, details = {}) {
+        if (!this.room || !this.id) throw new UserNotInRoomError();
+        if (!geoPoint || !(geoPoint instanceof GeoPoint)) throw new GeoPointError();
+        const info = await this.#storage.getRoomInfo(this.room.id);
+        if (info && !getRoomSettings(info).allowProposals) throw new ProposalsDisabledError();
+        await this.#storage.setProposal(this.room.id, this.id, {
+            location: geoPoint,
+            acceptedBy: [],
+            ...createProposalDetails(details)
         });
     }
 
     /**
      * Accepts a proposed location from another member. Only one accepted at a time.
+     * If the proposal reaches the quorum, the room agrees on it as its meeting point.
      * @param {string} proposerId - The userId of the member whose proposal to accept
      * @returns {Promise<void>}
+     * @throws {UserNotInRoomError} If the member is not in a room
+     * @throws {ProposerIdRequiredError} If proposerId is not a non-empty string
+     * @throws {ProposalDoesNotExistError} If the proposer has no proposal
      */
     async acceptMeetingPoint(proposerId) {
-        return this.#firestoreDatabase.runTransaction(async t => {
-            if (!proposerId || typeof proposerId !== 'string') {
-                throw new Error('Invalid proposerId provided');
-            }
-            t.update(this.room.infoRef, {
-                [`proposals.${proposerId}.acceptedBy`]: FieldValue.arrayUnion(this.id)
-            });
-        });
+        if (!this.room || !this.id) throw new UserNotInRoomError();
+        if (!proposerId || typeof proposerId !== 'string') throw new ProposerIdRequiredError();
+        await this.#storage.acceptProposal(this.room.id, proposerId, this.id);
+        await this.#storage.agreeOnMeetingPoint(this.room.id, this.#meetingPointQuorum);
     }
 
     /**
      * Withdraws the acceptance of another member's proposed location.
      * @param {string} proposerId - The userId of the member whose proposal to withdraw acceptance from
      * @returns {Promise<void>}
+     * @throws {UserNotInRoomError} If the member is not in a room
+     * @throws {ProposerIdRequiredError} If proposerId is not a non-empty string
+     * @throws {ProposalDoesNotExistError} If the proposer has no proposal
      * @memberof RoomMember
      */
     async revokeMeetingPointAcceptance(proposerId) {
-        return this.#firestoreDatabase.runTransaction(async t => {
-            if (!proposerId || typeof proposerId !== 'string') {
-                throw new Error('Invalid proposerId provided');
-            }
-            t.update(this.room.infoRef, {
-                [`proposals.${proposerId}.acceptedBy`]: FieldValue.arrayRemove(this.id)
-            });
-        });
+        if (!this.room || !this.id) throw new UserNotInRoomError();
+        if (!proposerId || typeof proposerId !== 'string') throw new ProposerIdRequiredError();
+        await this.#storage.revokeProposalAcceptance(this.room.id, proposerId, this.id);
     }
 
     /**
      * Clears the member's own proposed location.
      * @returns {Promise<void>}
+     * @throws {UserNotInRoomError} If the member is not in a room
      */
     async deleteProposedMeetingPoint() {
-        return this.#firestoreDatabase.runTransaction(async t => {
-            t.update(this.room.infoRef, {
-                [`proposals.${this.id}`]: FieldValue.delete()
-            });
-        });
+        if (!this.room || !this.id) throw new UserNotInRoomError();
+        await this.#storage.deleteProposal(this.room.id, this.id);
+    }
+
+    /**
+     * Clears the agreed meeting point of the member's room, e.g. because the members want to meet somewhere else.
+     * The acceptances of the agreed proposal are reset.
+     * @returns {Promise<void>}
+     * @throws {UserNotInRoomError} If the member is not in a room
+     * @throws {MeetingPointDoesNotExistError} If the room has no agreed meeting point
+     */
+    async clearMeetingPoint() {
+        if (!this.room || !this.id) throw new UserNotInRoomError();
+        await this.#storage.clearMeetingPoint(this.room.id);
+    }
+
+    /**
+     * Checks that the member owns its room.
+     * @private
+     * @returns {Promise<string>} The ID of the member's room
+     * @throws {UserNotInRoomError} If the member is not in a room
+     * @throws {RoomDoesNotExistError} If the room was deleted
+     * @throws {NotRoomOwnerError} If another member owns the room
+     * @memberof RoomMember
+     */
+    async #verifyOwner() {
+        if (!this.room || !this.id) throw new UserNotInRoomError();
+        const info = await this.#storage.getRoomInfo(this.room.id);
+        if (!info) throw new RoomDoesNotExistError();
+        if (info.ownerId !== this.id) throw new NotRoomOwnerError();
+        return this.room.id;
+    }
+
+    /**
+     * Removes another member from the room. Only the owner of the room can kick members.
+     * The kicked member receives a `kicked` message and can join again.
+     * @param {string} memberId
+     * @returns {Promise<void>}
+     * @throws {UserNotInRoomError} If the member is not in a room
+     * @throws {PeerIdRequiredError} If memberId is not a non-empty string
+     * @throws {NotRoomOwnerError} If the member does not own its room
+     * @throws {KickSelfError} If the member tries to kick itself
+     * @throws {MemberDoesNotExistError} If the other member is not in the room
+     */
+    async kickMember(memberId) {
+        await this.#removeMember(memberId, false);
+    }
+
+    /**
+     * Removes another member from the room and bans its user ID, so that it can't join the room again.
+     * Only the owner of the room can ban members. The banned member receives a `banned` message.
+     * @param {string} memberId
+     * @returns {Promise<void>}
+     * @throws If the member can't be removed, see {@link RoomMember#kickMember}
+     */
+    async banMember(memberId) {
+        await this.#removeMember(memberId, true);
+    }
+
+    /**
+     * @private
+     * @param {string} memberId
+     * @param {boolean} ban
+     * @returns {Promise<void>}
+     * @memberof RoomMember
+     */
+    async #removeMember(memberId, ban) {
+        if (!memberId || typeof memberId !== 'string') throw new PeerIdRequiredError();
+        const roomId = await this.#verifyOwner();
+        if (memberId === this.id) throw new KickSelfError();
+        await this.#storage.kickMember(roomId, memberId, ban);
+    }
+
+    /**
+     * Locks the room, so that nobody can join it, or unlocks it again. Only the owner of the room can lock it.
+     * @param {boolean} [locked]
+     * @returns {Promise<void>}
+     * @throws {UserNotInRoomError} If the member is not in a room
+     * @throws {NotRoomOwnerError} If the member does not own its room
+     */
+    async lockRoom(locked = true) {
+        await this.#storage.setRoomLocked(await this.#verifyOwner(), locked);
+    }
+
+    /**
+     * Ends the room for all members, who receive a `roomClosed` message. Only the owner of the room can close it.
+     * @returns {Promise<void>}
+     * @throws {UserNotInRoomError} If the member is not in a room
+     * @throws {NotRoomOwnerError} If the member does not own its room
+     */
+    async closeRoom() {
+        await this.#storage.closeRoom(await this.#verifyOwner());
+    }
+
+    /**
+     * Changes some of the settings of the room. Only the owner of the room can change them.
+     * A lower maximum number of members does not remove members, it only keeps new members out.
+     * @param {import('./settings.mjs').RoomSettings} settings The changed settings, null resets a setting to its default
+     * @returns {Promise<void>}
+     * @throws {UserNotInRoomError} If the member is not in a room
+     * @throws {NotRoomOwnerError} If the member does not own its room
+     * @throws If the settings are invalid, see {@link createRoomSettingsUpdate}
+     */
+    async updateRoomSettings(settings) {
+        const update = createRoomSettingsUpdate(settings);
+        await this.#storage.setRoomSettings(await this.#verifyOwner(), update);
+    }
+
+    /**
+     * Changes how the member is shown to the other members of its room. They receive a member update.
+     * @param {import('./profile.mjs').Profile} profile The changed fields. Fields that are not given keep their value, null clears them.
+     * @returns {Promise<void>}
+     * @throws {UserNotInRoomError} If the member is not in a room
+     * @throws If the profile is invalid, see {@link createProfileUpdate}
+     */
+    async updateProfile(profile) {
+        if (!this.room || !this.id) throw new UserNotInRoomError();
+        const update = createProfileUpdate(profile);
+        if (Object.keys(update).length) await this.#storage.setMemberProfile(this.room.id, this.id, update);
+    }
+
+    /**
+     * Suggests meeting points from the latest locations of the members of the member's room, see {@link suggestMeetingPoints}.
+     * The suggestions are sent to the client as draft proposals, which it can propose unchanged. They are not stored.
+     * @param {Object<string, number>} [weights] The weights of the weighted midpoint by member ID
+     * @returns {Promise<void>}
+     * @throws {UserNotInRoomError} If the member is not in a room
+     * @throws {SuggestionWeightError} If the weights are invalid
+     */
+    async suggestMeetingPoint(weights = {}) {
+        if (!this.room || !this.id) throw new UserNotInRoomError();
+        const locations = new Map([...this.#locationHistories, [this.id, this.#locationHistory]]
+            .filter(([, history]) => history.length > 0)
+            .map(([memberId, history]) => [memberId, history.at(-1)]));
+        const suggestions = suggestMeetingPoints(locations, weights);
+        this.ws.send(JSON.stringify({ type: 'meetingPointSuggestions', roomId: this.room.id, suggestions }));
+    }
+
+    /**
+     * Sends a WebRTC signaling message of another member of the same room to this member.
+     * @param {'offer' | 'answer' | 'ice-candidate'} type
+     * @param {string} senderId The ID of the member that sent the signaling message
+     * @param {{ sdp: string } | { candidate: object | null }} payload
+     * @memberof RoomMember
+     */
+    receiveSignal(type, senderId, payload) {
+        this.ws.send(JSON.stringify({ type, userId: senderId, ...payload }));
     }
 
     #sendMemberUpdate(memberId, data) {
+        // The verified user ID of a member is only used for bans and not shown to other members, just like its session and since when it is lost
+        const { uid, resumeTokenHash, lostAt, ...memberData } = data;
         this.ws.send(JSON.stringify({
             type: 'memberUpdate',
             userId: memberId,
-            ...data
+            ...memberData
         }));
     }
 
     checkAlive() {
         this.ws.send(JSON.stringify({ type: 'ping' }));
         clearTimeout(this.heartbeatTimeout);
-        this.heartbeatTimeout = setTimeout(async () => {
-            await this.leaveRoom();
-            this.ws.terminate();
-        }, 30000);
+        this.heartbeatTimeout = setTimeout(() => this.#onHeartbeatTimeout(this), this.#heartbeatTimeout);
     }
+}
+
+/**
+ * Creates a random resume token. It starts with the room and member ID, so that any server can find the member it resumes.
+ * @param {string} roomId
+ * @param {string} memberId
+ * @returns {string}
+ */
+function createResumeToken(roomId, memberId) {
+    return `${roomId}.${memberId}.${randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Hashes a resume token, so that the stored hash can't be used to resume the member.
+ * @param {string} resumeToken
+ * @returns {string}
+ */
+function hashResumeToken(resumeToken) {
+    return createHash('sha256').update(resumeToken).digest('base64url');
 }
\ No newline at end of file
@@ -1,7 +1,10 @@
-import { describe, expect } from "vitest";
+import { describe, expect, vi } from "vitest";
 import { test } from "../server/serverTestUtils.mjs";
+import { RoomMember } from "./roomMember.mjs";
 import { GeoPoint, Timestamp } from "firebase-admin/firestore";
-import { RoomIdRequiredError, UserInRoomError } from "../server/errors.mjs";
+import { DEFAULT_ROOM_SETTINGS } from "./settings.mjs";
+import { MemoryStorage } from "../storage/memoryStorage.mjs";
+import { ColorError, DisplayNameError, GeoPointError, KickSelfError, MaxMembersError, MeetingPointDoesNotExistError, MemberDoesNotExistError, NotRoomOwnerError, ProposalDoesNotExistError, ProposalLabelError, ProposalsDisabledError, RoomFullError, RoomDoesNotExistError, RoomIdRequiredError, RoomLockedError, UserInRoomError, UserNotInRoomError } from "../server/errors.mjs";
 
 describe('create room', () => {
     test('should create a room with correct data', async ({ roomOpener }) => {
@@ -12,13 +15,14 @@ describe('create room', () => {
         await expect.poll(() => roomOpener.messages).toContainEqual({
             type: 'created',
             roomId: roomOpener.getRoomId(),
-            userId: roomOpener.getId()
+            userId: roomOpener.getId(),
+            resumeToken: expect.any(String)
         });
         const openerDoc = await roomOpener.getDoc();
         const locations = await roomOpener.getLocations();
-        expect(openerDoc.exists).toBe(true);
-        expect(locations.docs).toHaveLength(1);
-        expect(locations.docs[0].data()).toMatchObject({
+        expect(openerDoc).toBeDefined();
+        expect(locations).toHaveLength(1);
+        expect(locations[0]).toMatchObject({
             lat: location.latitude,
             lng: location.longitude,
             time: expect.any(Object)
@@ -26,21 +30,30 @@ describe('create room', () => {
     });
 });
 
+describe('create room with options', () => {
+    test('should create a room ID with the configured length', async ({ storage }) => {
+        const roomMember = new RoomMember(storage, { send: vi.fn(), terminate: vi.fn() }, undefined, { roomIdLength: 6 });
+        const { roomId } = await roomMember.createRoom(0, 0);
+        expect(roomId).toHaveLength(6);
+        clearTimeout(roomMember.heartbeatTimeout);
+        await roomMember.leaveRoom();
+    });
+});
+
 describe('join room', () => {
     test('should join a room with correct data', async ({ roomOpener, roomJoiner }) => {
         await roomOpener.createRoom(0, 0);
         await roomJoiner.joinRoom(roomOpener.getRoomId(), 1, 1);
         const joinerDoc = await roomJoiner.getDoc();
-        expect(joinerDoc.exists).toBe(true);
-        expect(joinerDoc.data()).toMatchObject({
+        expect(joinerDoc).toMatchObject({
             lost: false,
             joinedAt: expect.any(Object)
         });
         expect(roomJoiner.getRoomId()).toBe(roomOpener.getRoomId());
-        expect(roomJoiner.getId()).toBe(joinerDoc.id);
+        expect(roomJoiner.getId()).toBeDefined();
         const locations = await roomJoiner.getLocations();
-        expect(locations.docs).toHaveLength(1);
-        expect(locations.docs.map(doc => doc.data())).toContainEqual({
+        expect(locations).toHaveLength(1);
+        expect(locations).toContainEqual({
             lat: 1,
             lng: 1,
             time: expect.any(Object)
@@ -59,14 +72,22 @@ describe('join room', () => {
             type: 'memberUpdate',
             userId: roomOpener.getId(),
             joinedAt: expect.any(Object),
-            lost: false
+            lost: false,
+            arrived: false,
+            displayName: null,
+            color: null,
+            avatar: null
         });
 
         await expect.poll(() => roomOpener.messages).toContainEqual({
             type: 'memberUpdate',
             userId: roomJoiner.getId(),
             joinedAt: expect.any(Object),
-            lost: false
+            lost: false,
+            arrived: false,
+            displayName: null,
+            color: null,
+            avatar: null
         });
     });
 
@@ -104,42 +125,69 @@ describe('join room', () => {
     test('should throw an error if roomId is not provided', async ({ roomJoiner }) => {
         await expect(roomJoiner.joinRoom('', 1, 1)).rejects.toThrow(RoomIdRequiredError);
     });
+
+    test('should throw an error if the room ID addresses another storage path', async ({ roomJoiner }) => {
+        await expect(roomJoiner.joinRoom('a/b', 1, 1)).rejects.toThrow(RoomDoesNotExistError);
+    });
+});
+
+describe('suspend and resume', () => {
+    test('should notify other members when a member is lost and found again', async ({ roomOpener, roomJoiner, storage }) => {
+        await roomOpener.createRoom(0, 0);
+        await roomJoiner.joinRoom(roomOpener.getRoomId(), 1, 1);
+        await expect.poll(() => roomJoiner.messages).toContainEqual(expect.objectContaining({ type: 'memberUpdate', userId: roomOpener.getId() }));
+        await roomOpener.suspend();
+        await expect.poll(() => roomJoiner.messages).toContainEqual({ type: 'lost', userId: roomOpener.getId() });
+        expect(await roomOpener.getDoc()).toMatchObject({ lost: true });
+        const messages = [];
+        const session = await roomOpener.resume({ send: m => messages.push(JSON.parse(m)), terminate: vi.fn() });
+        expect(session).toEqual({ roomId: roomJoiner.getRoomId(), userId: roomOpener.getId(), resumeToken: expect.any(String) });
+        await expect.poll(() => roomJoiner.messages).toContainEqual({ type: 'found', userId: roomOpener.getId() });
+        await expect.poll(() => messages).toContainEqual({ type: 'resumed', ...session });
+        await expect.poll(() => messages).toContainEqual(expect.objectContaining({ type: 'location', userId: roomJoiner.getId() }));
+        expect(await storage.countMembers(roomOpener.getRoomId())).toBe(2);
+    });
+
+    test('should issue a new resume token when a member resumes', async ({ roomOpener }) => {
+        const { resumeToken } = await roomOpener.createRoom(0, 0);
+        await roomOpener.suspend();
+        const session = await roomOpener.resume({ send: vi.fn(), terminate: vi.fn() });
+        expect(session.resumeToken).not.toBe(resumeToken);
+    });
 });
 
 describe('Remove room member', () => {
-    test('should remove a member from a room', async ({ roomOpener, database }) => {
+    test('should remove a member from a room', async ({ roomOpener, storage }) => {
         await roomOpener.createRoom(0, 0);
-        let openerDoc = await roomOpener.getDoc();
         const roomId = roomOpener.getRoomId();
+        const id = roomOpener.getId();
         await roomOpener.leaveRoom();
-        await expect.poll(() => roomOpener.messages).toContainEqual({ type: 'left', userId: openerDoc.id });
-        openerDoc = await database.doc(`${roomId}/${openerDoc.id}`).get();
-        expect(openerDoc.exists).toBe(false);
+        await expect.poll(() => roomOpener.messages).toContainEqual({ type: 'left', userId: id });
+        expect(await storage.getMember(roomId, id)).toBeUndefined();
     });
 
-    test('Remove member from room after 30s of inactivity', { timeout: 34000 }, async ({ roomOpener, database }) => {
+    test('Remove member from room after 30s of inactivity', { timeout: 34000 }, async ({ roomOpener, storage }) => {
         await roomOpener.createRoom(0, 0);
         const roomId = roomOpener.getRoomId();
-        const id = roomOpener.id;
+        const id = roomOpener.getId();
         await expect.poll(() => roomOpener.messages, { timeout: 32000, interval: 500 }).toContainEqual({
             type: 'left',
-            userId: roomOpener.getId()
+            userId: id
         });
-        const openerDoc = await database.doc(`${roomId}/${id}`).get();
-        expect(openerDoc.exists).toBe(false);
+        expect(await storage.getMember(roomId, id)).toBeUndefined();
     });
 
-    test('should remove a second member from a room', async ({ roomJoiner, roomOpener, database }) => {
+    test('should remove a second member from a room', async ({ roomJoiner, roomOpener, storage }) => {
         await roomOpener.createRoom(0, 0);
         await roomJoiner.joinRoom(roomOpener.getRoomId(), 1, 1);
-        const joinerDoc = await roomJoiner.getDoc();
-        expect(joinerDoc.exists).toBe(true);
+        expect(await roomJoiner.getDoc()).toBeDefined();
         const roomId = roomOpener.getRoomId();
-        expect((await roomJoiner.getLocations()).docs).toHaveLength(1);
+        const joinerId = roomJoiner.getId();
+        expect(await roomJoiner.getLocations()).toHaveLength(1);
         await roomJoiner.leaveRoom();
-        await expect.poll(() => roomJoiner.messages).toContainEqual({ type: 'left', userId: joinerDoc.id });
-        await expect.poll(() => roomOpener.messages).toContainEqual({ type: 'left', userId: joinerDoc.id });
-        expect((await database.doc(`${roomId}/${joinerDoc.id}`).get()).exists).toBeFalsy();
+        await expect.poll(() => roomJoiner.messages).toContainEqual({ type: 'left', userId: joinerId });
+        await expect.poll(() => roomOpener.messages).toContainEqual({ type: 'left', userId: joinerId });
+        expect(await storage.getMember(roomId, joinerId)).toBeUndefined();
     });
 });
 
@@ -149,8 +197,8 @@ describe("location", () => {
         const location = new GeoPoint(1, 1);
         await roomOpener.updateLocation(location.latitude, location.longitude);
         const locations = await roomOpener.getLocations();
-        expect(locations.docs).toHaveLength(2);
-        expect(locations.docs.map(doc => doc.data())).toContainEqual({
+        expect(locations).toHaveLength(2);
+        expect(locations).toContainEqual({
             lat: location.latitude,
             lng: location.longitude,
             time: expect.any(Timestamp)
@@ -179,15 +227,43 @@ describe("location", () => {
             time: expect.any(Object)
         });
     });
+
+    test('should drop a location that is still written when the member leaves', async () => {
+        class SlowStorage extends MemoryStorage {
+            async addLocation(roomId, memberId, location) {
+                await new Promise(resolve => setTimeout(resolve, 100));
+                await super.addLocation(roomId, memberId, location);
+            }
+        }
+        const storage = new SlowStorage();
+        const owner = new RoomMember(storage, { send: vi.fn(), terminate: vi.fn() });
+        const member = new RoomMember(storage, { send: vi.fn(), terminate: vi.fn() });
+        try {
+            const { roomId } = await owner.createRoom(0, 0);
+            await member.joinRoom(roomId, 1, 1);
+            const memberId = member.id;
+            await expect(Promise.all([member.updateLocation(2, 2), member.leaveRoom()])).resolves.toBeDefined();
+            expect(await storage.getMember(roomId, memberId)).toBeUndefined();
+        } finally {
+            clearTimeout(owner.heartbeatTimeout);
+            clearTimeout(member.heartbeatTimeout);
+            await owner.leaveRoom();
+        }
+    });
 });
 
 describe('meeting point', () => {
-    test('should update info document if a member proposes a meeting point', async ({ roomOpener, database }) => {
+    /**
+     * The details of a proposal without label, description, meeting time and expiry.
+     */
+    const noDetails = { label: null, description: null, meetingTime: null, expiresAt: null };
+
+    test('should update info document if a member proposes a meeting point', async ({ roomOpener, storage }) => {
         await roomOpener.createRoom(0, 0);
         const geoPoint = new GeoPoint(5, 10);
         await roomOpener.proposeMeetingPoint(geoPoint);
-        const doc = await database.doc(`${roomOpener.getRoomId()}/info`).get();
-        expect(doc.data().proposals[roomOpener.getId()]).toMatchObject({
+        const info = await storage.getRoomInfo(roomOpener.getRoomId());
+        expect(info.proposals[roomOpener.getId()]).toMatchObject({
             location: geoPoint,
             acceptedBy: []
         });
@@ -204,22 +280,27 @@ describe('meeting point', () => {
             proposals: {
                 [roomOpener.getId()]: {
                     location: geoPoint,
-                    acceptedBy: []
+                    acceptedBy: [],
+                    ...noDetails
                 }
-            }
+            },
+            meetingPoint: null,
+            ownerId: roomOpener.getId(),
+            locked: false,
+            settings: DEFAULT_ROOM_SETTINGS
         };
         await expect.poll(() => roomJoiner.messages).toContainEqual(expectedMessage);
         await expect.poll(() => roomOpener.messages).toContainEqual(expectedMessage);
     });
 
-    test('should update info document if a member accepts a meeting point', async ({ roomOpener, roomJoiner, database }) => {
+    test('should update info document if a member accepts a meeting point', async ({ roomOpener, roomJoiner, storage }) => {
         await roomOpener.createRoom(0, 0);
         const geoPoint = new GeoPoint(5, 10);
         await roomOpener.proposeMeetingPoint(geoPoint);
         await roomJoiner.joinRoom(roomOpener.getRoomId(), 1, 1);
         await roomJoiner.acceptMeetingPoint(roomOpener.getId());
-        const doc = await database.doc(`${roomOpener.getRoomId()}/info`).get();
-        expect(doc.data().proposals[roomOpener.getId()]).toMatchObject({
+        const info = await storage.getRoomInfo(roomOpener.getRoomId());
+        expect(info.proposals[roomOpener.getId()]).toMatchObject({
             location: geoPoint,
             acceptedBy: [roomJoiner.getId()]
         });
@@ -237,21 +318,26 @@ describe('meeting point', () => {
             proposals: {
                 [roomOpener.getId()]: {
                     location: geoPoint,
-                    acceptedBy: [roomJoiner.getId()]
+                    acceptedBy: [roomJoiner.getId()],
+                    ...noDetails
                 }
-            }
+            },
+            meetingPoint: null,
+            ownerId: roomOpener.getId(),
+            locked: false,
+            settings: DEFAULT_ROOM_SETTINGS
         };
         await expect.poll(() => roomJoiner.messages).toContainEqual(expectedMessage);
         await expect.poll(() => roomOpener.messages).toContainEqual(expectedMessage);
     });
 
-    test('should delete proposed meeting point', async ({ roomOpener, database }) => {
+    test('should delete proposed meeting point', async ({ roomOpener, storage }) => {
         await roomOpener.createRoom(0, 0);
         const geoPoint = new GeoPoint(5, 10);
         await roomOpener.proposeMeetingPoint(geoPoint);
         await roomOpener.deleteProposedMeetingPoint();
-        const doc = await database.doc(`${roomOpener.getRoomId()}/info`).get();
-        expect(doc.data().proposals[roomOpener.getId()]).toBeUndefined();
+        const info = await storage.getRoomInfo(roomOpener.getRoomId());
+        expect(info.proposals[roomOpener.getId()]).toBeUndefined();
     });
 
     test('should notify other members if a member deletes a proposed meeting point', async ({ roomOpener, roomJoiner }) => {
@@ -265,21 +351,25 @@ describe('meeting point', () => {
             roomId: roomOpener.getRoomId(),
             proposals: {
                 [roomOpener.getId()]: undefined
-            }
+            },
+            meetingPoint: null,
+            ownerId: roomOpener.getId(),
+            locked: false,
+            settings: DEFAULT_ROOM_SETTINGS
         };
         await expect.poll(() => roomJoiner.messages).toContainEqual(expectedMessage);
         await expect.poll(() => roomOpener.messages).toContainEqual(expectedMessage);
     });
 
-    test('should revoke acceptance of a proposed meeting point', async ({ roomOpener, roomJoiner, database }) => {
+    test('should revoke acceptance of a proposed meeting point', async ({ roomOpener, roomJoiner, storage }) => {
         await roomOpener.createRoom(0, 0);
         const geoPoint = new GeoPoint(5, 10);
         await roomOpener.proposeMeetingPoint(geoPoint);
         await roomJoiner.joinRoom(roomOpener.getRoomId(), 1, 1);
         await roomJoiner.acceptMeetingPoint(roomOpener.getId());
         await roomJoiner.revokeMeetingPointAcceptance(roomOpener.getId());
-        const doc = await database.doc(`${roomOpener.getRoomId()}/info`).get();
-        expect(doc.data().proposals[roomOpener.getId()]).toMatchObject({
+        const info = await storage.getRoomInfo(roomOpener.getRoomId());
+        expect(info.proposals[roomOpener.getId()]).toMatchObject({
             location: geoPoint,
             acceptedBy: []
         });
@@ -294,12 +384,436 @@ describe('meeting point', () => {
             type: 'roomUpdate',
             roomId: roomOpener.getRoomId(),
             proposals: {
-                [roomOpener.getId()]: { location: geoPoint, acceptedBy: [] }
-            }
+                [roomOpener.getId()]: { location: geoPoint, acceptedBy: [], ...noDetails }
+            },
+            meetingPoint: null,
+            ownerId: roomOpener.getId(),
+            locked: false,
+            settings: DEFAULT_ROOM_SETTINGS
         };
         await expect.poll(() => roomJoiner.messages.pop()).toEqual(expected);
         await roomJoiner.acceptMeetingPoint(roomOpener.getId());
         await roomJoiner.revokeMeetingPointAcceptance(roomOpener.getId());
-        await expect.poll(() => roomJoiner.messages.pop()).toEqual(expected);
+        // The agreed meeting point stays locked in until it is cleared
+        await expect.poll(() => roomJoiner.messages.pop()).toEqual({
+            ...expected,
+            meetingPoint: expect.objectContaining({ proposerId: roomOpener.getId() })
+        });
+    });
+
+    test('should store the label, description and times of a proposal', async ({ roomOpener, storage }) => {
+        await roomOpener.createRoom(0, 0);
+        const meetingTime = Date.now() + 60 * 60 * 1000;
+        await roomOpener.proposeMeetingPoint(new GeoPoint(5, 10), { label: 'Café at the north gate', description: 'Next to the fountain', meetingTime });
+        const info = await storage.getRoomInfo(roomOpener.getRoomId());
+        expect(info.proposals[roomOpener.getId()]).toMatchObject({
+            label: 'Café at the north gate',
+            description: 'Next to the fountain',
+            meetingTime: Timestamp.fromMillis(meetingTime),
+            expiresAt: null
+        });
+        await expect(roomOpener.proposeMeetingPoint(new GeoPoint(5, 10), { label: '' })).rejects.toThrow(ProposalLabelError);
+    });
+
+    test('should remove a proposal after it expired', async ({ roomOpener, roomJoiner, storage }) => {
+        await roomOpener.createRoom(0, 0);
+        await roomOpener.proposeMeetingPoint(new GeoPoint(5, 10), { expiresAt: Date.now() + 100 });
+        await roomJoiner.joinRoom(roomOpener.getRoomId(), 1, 1);
+        await roomJoiner.acceptMeetingPoint(roomOpener.getId());
+        expect((await storage.getRoomInfo(roomOpener.getRoomId())).meetingPoint).not.toBeNull();
+        await expect.poll(async () => (await storage.getRoomInfo(roomOpener.getRoomId())).proposals).toEqual({});
+        expect((await storage.getRoomInfo(roomOpener.getRoomId())).meetingPoint).toBeNull();
+        await expect.poll(() => roomJoiner.messages).toContainEqual({ type: 'meetingPointCleared', roomId: roomOpener.getRoomId() });
+    });
+
+    test('should throw an error if a member proposes a meeting point outside of a room', async ({ roomOpener }) => {
+        await expect(roomOpener.proposeMeetingPoint(new GeoPoint(5, 10))).rejects.toThrow(UserNotInRoomError);
+    });
+
+    test('should throw an error if a meeting point is not a GeoPoint', async ({ roomOpener }) => {
+        await roomOpener.createRoom(0, 0);
+        await expect(roomOpener.proposeMeetingPoint({ latitude: 5, longitude: 10 })).rejects.toThrow(GeoPointError);
+    });
+
+    test('should throw an error if a member accepts a meeting point that was not proposed', async ({ roomOpener, roomJoiner }) => {
+        await roomOpener.createRoom(0, 0);
+        await roomJoiner.joinRoom(roomOpener.getRoomId(), 1, 1);
+        await expect(roomJoiner.acceptMeetingPoint(roomOpener.getId())).rejects.toThrow(ProposalDoesNotExistError);
     });
-});
\ No newline at end of file
+});
+describe('agreed meeting point', () => {
+    test('should agree on a meeting point when every member accepted it', async ({ roomOpener, roomJoiner, storage }) => {
+        await roomOpener.createRoom(0, 0);
+        await roomOpener.proposeMeetingPoint(new GeoPoint(5, 10));
+        await roomJoiner.joinRoom(roomOpener.getRoomId(), 1, 1);
+        await roomJoiner.acceptMeetingPoint(roomOpener.getId());
+        const expectedMessage = {
+            type: 'meetingPointAgreed',
+            roomId: roomOpener.getRoomId(),
+            proposerId: roomOpener.getId(),
+            lat: 5,
+            lng: 10,
+            agreedAt: expect.anything()
+        };
+        await expect.poll(() => roomOpener.messages).toContainEqual(expectedMessage);
+        await expect.poll(() => roomJoiner.messages).toContainEqual(expectedMessage);
+        expect((await storage.getRoomInfo(roomOpener.getRoomId())).meetingPoint).toMatchObject({
+            proposerId: roomOpener.getId(),
+            location: new GeoPoint(5, 10)
+        });
+    });
+
+    test('should clear the agreed meeting point and its acceptances', async ({ roomOpener, roomJoiner, storage }) => {
+        await roomOpener.createRoom(0, 0);
+        await roomOpener.proposeMeetingPoint(new GeoPoint(5, 10));
+        await roomJoiner.joinRoom(roomOpener.getRoomId(), 1, 1);
+        await roomJoiner.acceptMeetingPoint(roomOpener.getId());
+        await roomOpener.clearMeetingPoint();
+        const info = await storage.getRoomInfo(roomOpener.getRoomId());
+        expect(info.meetingPoint).toBeNull();
+        expect(info.proposals[roomOpener.getId()].acceptedBy).toEqual([]);
+        await expect.poll(() => roomJoiner.messages).toContainEqual({ type: 'meetingPointCleared', roomId: roomOpener.getRoomId() });
+        await expect(roomOpener.clearMeetingPoint()).rejects.toThrow(MeetingPointDoesNotExistError);
+    });
+
+    test('should clear the agreed meeting point when its proposal is withdrawn', async ({ roomOpener, roomJoiner, storage }) => {
+        await roomOpener.createRoom(0, 0);
+        await roomOpener.proposeMeetingPoint(new GeoPoint(5, 10));
+        await roomJoiner.joinRoom(roomOpener.getRoomId(), 1, 1);
+        await roomJoiner.acceptMeetingPoint(roomOpener.getId());
+        await roomOpener.deleteProposedMeetingPoint();
+        expect((await storage.getRoomInfo(roomOpener.getRoomId())).meetingPoint).toBeNull();
+    });
+
+    test('should remove the proposal and acceptances of a member that leaves', async ({ roomOpener, roomJoiner, storage }) => {
+        await roomOpener.createRoom(0, 0);
+        await roomOpener.proposeMeetingPoint(new GeoPoint(5, 10));
+        await roomJoiner.joinRoom(roomOpener.getRoomId(), 1, 1);
+        const thirdMember = new RoomMember(storage, { send: vi.fn(), terminate: vi.fn() });
+        try {
+            await thirdMember.joinRoom(roomOpener.getRoomId(), 2, 2);
+            await thirdMember.proposeMeetingPoint(new GeoPoint(1, 1));
+            await thirdMember.acceptMeetingPoint(roomOpener.getId());
+            await roomOpener.acceptMeetingPoint(thirdMember.id);
+        } finally {
+            clearTimeout(thirdMember.heartbeatTimeout);
+            await thirdMember.leaveRoom();
+        }
+        const info = await storage.getRoomInfo(roomOpener.getRoomId());
+        expect(info.proposals).toEqual({ [roomOpener.getId()]: expect.objectContaining({ acceptedBy: [] }) });
+        expect(info.meetingPoint).toBeNull();
+    });
+
+    test('should agree on a meeting point when a member that did not accept it leaves', async ({ roomOpener, roomJoiner, storage }) => {
+        await roomOpener.createRoom(0, 0);
+        await roomOpener.proposeMeetingPoint(new GeoPoint(5, 10));
+        await roomJoiner.joinRoom(roomOpener.getRoomId(), 1, 1);
+        const thirdMember = new RoomMember(storage, { send: vi.fn(), terminate: vi.fn() });
+        try {
+            await thirdMember.joinRoom(roomOpener.getRoomId(), 2, 2);
+            await roomJoiner.acceptMeetingPoint(roomOpener.getId());
+            expect((await storage.getRoomInfo(roomOpener.getRoomId())).meetingPoint).toBeNull();
+        } finally {
+            clearTimeout(thirdMember.heartbeatTimeout);
+            await thirdMember.leaveRoom();
+        }
+        expect((await storage.getRoomInfo(roomOpener.getRoomId())).meetingPoint).toMatchObject({ proposerId: roomOpener.getId() });
+        await expect.poll(() => roomJoiner.messages).toContainEqual(expect.objectContaining({ type: 'meetingPointAgreed', proposerId: roomOpener.getId() }));
+    });
+
+    test('should leave lost members out of the quorum', async ({ roomOpener, roomJoiner, storage }) => {
+        await roomOpener.createRoom(0, 0);
+        await roomOpener.proposeMeetingPoint(new GeoPoint(5, 10));
+        await roomJoiner.joinRoom(roomOpener.getRoomId(), 1, 1);
+        const thirdMember = new RoomMember(storage, { send: vi.fn(), terminate: vi.fn() });
+        try {
+            await thirdMember.joinRoom(roomOpener.getRoomId(), 2, 2);
+            await roomJoiner.acceptMeetingPoint(roomOpener.getId());
+            expect((await storage.getRoomInfo(roomOpener.getRoomId())).meetingPoint).toBeNull();
+            await thirdMember.suspend();
+            expect((await storage.getRoomInfo(roomOpener.getRoomId())).meetingPoint).toMatchObject({ proposerId: roomOpener.getId() });
+        } finally {
+            clearTimeout(thirdMember.heartbeatTimeout);
+            await thirdMember.leaveRoom();
+        }
+    });
+
+    test('should tell a joining member about the agreed meeting point', async ({ roomOpener, roomJoiner, storage }) => {
+        await roomOpener.createRoom(0, 0);
+        await roomOpener.proposeMeetingPoint(new GeoPoint(5, 10));
+        const roomId = roomOpener.getRoomId();
+        const memberId = await storage.addMember(roomId, { lat: 2, lng: 2 });
+        await storage.acceptProposal(roomId, roomOpener.getId(), memberId);
+        expect(await storage.agreeOnMeetingPoint(roomId, 1)).toMatchObject({ proposerId: roomOpener.getId() });
+        await roomJoiner.joinRoom(roomId, 1, 1);
+        await expect.poll(() => roomJoiner.messages).toContainEqual(expect.objectContaining({ type: 'meetingPointAgreed', proposerId: roomOpener.getId() }));
+    });
+});
+
+describe('arrival', () => {
+    test('should tell all members when a member arrives at or departs from the agreed meeting point', async ({ roomOpener, roomJoiner, storage }) => {
+        await roomOpener.createRoom(0, 0);
+        await roomOpener.proposeMeetingPoint(new GeoPoint(0, 0));
+        await roomJoiner.joinRoom(roomOpener.getRoomId(), 1, 1);
+        await roomJoiner.acceptMeetingPoint(roomOpener.getId());
+        await expect.poll(() => roomJoiner.messages).toContainEqual({ type: 'arrived', userId: roomOpener.getId() });
+        await expect.poll(() => roomOpener.messages).toContainEqual({ type: 'arrived', userId: roomOpener.getId() });
+
+        // About 33 meters away from the meeting point
+        await roomJoiner.updateLocation(0, 0.0003);
+        await expect.poll(() => roomOpener.messages).toContainEqual({ type: 'arrived', userId: roomJoiner.getId() });
+        expect(await roomJoiner.getDoc()).toMatchObject({ arrived: true });
+
+        // About 67 meters away, outside the radius but within the hysteresis
+        await roomJoiner.updateLocation(0, 0.0006);
+        // About 111 meters away
+        await roomJoiner.updateLocation(0, 0.001);
+        await expect.poll(() => roomOpener.messages).toContainEqual({ type: 'departed', userId: roomJoiner.getId() });
+        expect(roomOpener.messages.filter(({ type, userId }) => ['arrived', 'departed'].includes(type) && userId === roomJoiner.getId()))
+            .toEqual([{ type: 'arrived', userId: roomJoiner.getId() }, { type: 'departed', userId: roomJoiner.getId() }]);
+        expect(await roomJoiner.getDoc()).toMatchObject({ arrived: false });
+    });
+
+    test('should reset arrivals when the agreed meeting point is cleared', async ({ roomOpener, roomJoiner }) => {
+        await roomOpener.createRoom(0, 0);
+        await roomOpener.proposeMeetingPoint(new GeoPoint(0, 0));
+        await roomJoiner.joinRoom(roomOpener.getRoomId(), 1, 1);
+        await roomJoiner.acceptMeetingPoint(roomOpener.getId());
+        await expect.poll(() => roomJoiner.messages).toContainEqual({ type: 'arrived', userId: roomOpener.getId() });
+        await roomOpener.clearMeetingPoint();
+        await expect.poll(() => roomJoiner.messages).toContainEqual({ type: 'departed', userId: roomOpener.getId() });
+        await expect.poll(() => roomOpener.getDoc()).toMatchObject({ arrived: false });
+    });
+});
+
+describe('distances', () => {
+    test('should send digests of the distances between the members and to the leading proposal', async ({ storage }) => {
+        const messages = [];
+        const options = { distanceInterval: 20 };
+        const roomOpener = new RoomMember(storage, { send: m => messages.push(JSON.parse(m)), terminate: vi.fn() }, undefined, options);
+        const roomJoiner = new RoomMember(storage, { send: vi.fn(), terminate: vi.fn() }, undefined, options);
+        const { roomId, userId: openerId } = await roomOpener.createRoom(0, 0);
+        const { userId: joinerId } = await roomJoiner.joinRoom(roomId, 0, 0.001);
+        await roomOpener.proposeMeetingPoint(new GeoPoint(0, 0.002));
+        const getDigests = () => messages.filter(({ type }) => type === 'distances');
+        await expect.poll(() => getDigests().at(-1)).toEqual({
+            type: 'distances',
+            roomId,
+            destination: { proposerId: openerId, agreed: false, lat: 0, lng: 0.002 },
+            members: expect.arrayContaining([
+                { userId: openerId, distance: null, bearing: null, speed: null, destination: { distance: 222, bearing: 90, eta: null } },
+                { userId: joinerId, distance: 111, bearing: 90, speed: null, destination: { distance: 111, bearing: 90, eta: null } }
+            ])
+        });
+        // Unchanged digests are not sent again
+        const digestCount = getDigests().length;
+        await new Promise(resolve => setTimeout(resolve, 100));
+        expect(getDigests()).toHaveLength(digestCount);
+        clearTimeout(roomOpener.heartbeatTimeout);
+        clearTimeout(roomJoiner.heartbeatTimeout);
+        await roomJoiner.leaveRoom();
+        await roomOpener.leaveRoom();
+    });
+});
+
+describe('profile', () => {
+    test('should show the profile of a joining member to the other members', async ({ roomOpener, roomJoiner }) => {
+        await roomOpener.createRoom(0, 0, undefined, { displayName: '  Alex ', color: '#1A2B3C' });
+        await roomJoiner.joinRoom(roomOpener.getRoomId(), 1, 1, undefined, { avatar: '🦊' });
+        await expect.poll(() => roomJoiner.messages).toContainEqual(expect.objectContaining({
+            type: 'memberUpdate',
+            userId: roomOpener.getId(),
+            displayName: 'Alex',
+            color: '#1a2b3c',
+            avatar: null
+        }));
+        await expect.poll(() => roomOpener.messages).toContainEqual(expect.objectContaining({
+            type: 'memberUpdate',
+            userId: roomJoiner.getId(),
+            displayName: null,
+            avatar: '🦊'
+        }));
+    });
+
+    test('should send a member update when a member changes its profile', async ({ roomOpener, roomJoiner }) => {
+        await roomOpener.createRoom(0, 0, undefined, { displayName: 'Alex', color: '#1a2b3c' });
+        await roomJoiner.joinRoom(roomOpener.getRoomId(), 1, 1);
+        await expect.poll(() => roomJoiner.messages).toContainEqual(expect.objectContaining({ type: 'memberUpdate', displayName: 'Alex' }));
+        await roomOpener.updateProfile({ displayName: 'Sam', color: null });
+        await expect.poll(() => roomJoiner.messages).toContainEqual(expect.objectContaining({
+            type: 'memberUpdate',
+            userId: roomOpener.getId(),
+            displayName: 'Sam',
+            color: null
+        }));
+        expect(await roomOpener.getDoc()).toMatchObject({ displayName: 'Sam', color: null, avatar: null });
+    });
+
+    test('should reject invalid profiles', async ({ roomOpener }) => {
+        await expect(roomOpener.createRoom(0, 0, undefined, { displayName: 'Al\u202Eex' })).rejects.toThrow(DisplayNameError);
+        await roomOpener.createRoom(0, 0);
+        await expect(roomOpener.updateProfile({ color: 'red' })).rejects.toThrow(ColorError);
+    });
+});
+
+describe('moderation', () => {
+    test('should make the creator the owner and pass ownership on when the owner leaves', async ({ roomOpener, roomJoiner, storage }) => {
+        await roomOpener.createRoom(0, 0);
+        await roomJoiner.joinRoom(roomOpener.getRoomId(), 1, 1);
+        expect(await storage.getRoomInfo(roomOpener.getRoomId())).toMatchObject({ ownerId: roomOpener.getId(), locked: false });
+        const roomId = roomOpener.getRoomId();
+        await roomOpener.leaveRoom();
+        expect(await storage.getRoomInfo(roomId)).toMatchObject({ ownerId: roomJoiner.getId() });
+        await expect.poll(() => roomJoiner.messages.filter(({ type }) => type === 'roomUpdate').at(-1)).toMatchObject({ ownerId: roomJoiner.getId() });
+    });
+
+    test('should remove a kicked member and tell the other members', async ({ roomOpener, roomJoiner, storage }) => {
+        await roomOpener.createRoom(0, 0);
+        await roomJoiner.joinRoom(roomOpener.getRoomId(), 1, 1);
+        const joinerId = roomJoiner.getId();
+        await roomOpener.kickMember(joinerId);
+        expect((await storage.getRoomInfo(roomOpener.getRoomId())).removals).toEqual({ [joinerId]: 'kicked' });
+        await expect.poll(() => roomJoiner.messages).toContainEqual({ type: 'kicked', roomId: roomOpener.getRoomId() });
+        await expect.poll(() => roomOpener.messages).toContainEqual({ type: 'left', userId: joinerId });
+        expect(await storage.getMember(roomOpener.getRoomId(), joinerId)).toBeUndefined();
+        await expect(roomJoiner.updateLocation(1, 1)).rejects.toThrow(UserNotInRoomError);
+        // A kicked member can join again
+        await roomJoiner.joinRoom(roomOpener.getRoomId(), 1, 1);
+    });
+
+    test('should not kick the info document or members of other paths', async ({ roomOpener, storage }) => {
+        await roomOpener.createRoom(0, 0);
+        const info = await storage.getRoomInfo(roomOpener.getRoomId());
+        await expect(roomOpener.kickMember('info')).rejects.toThrow(MemberDoesNotExistError);
+        await expect(roomOpener.banMember('info')).rejects.toThrow(MemberDoesNotExistError);
+        await expect(roomOpener.kickMember('a/b')).rejects.toThrow(MemberDoesNotExistError);
+        expect(await storage.getRoomInfo(roomOpener.getRoomId())).toEqual(info);
+    });
+
+    test('should only let the owner moderate the room', async ({ roomOpener, roomJoiner }) => {
+        await roomOpener.createRoom(0, 0);
+        await roomJoiner.joinRoom(roomOpener.getRoomId(), 1, 1);
+        await expect(roomJoiner.kickMember(roomOpener.getId())).rejects.toThrow(NotRoomOwnerError);
+        await expect(roomJoiner.lockRoom()).rejects.toThrow(NotRoomOwnerError);
+        await expect(roomJoiner.closeRoom()).rejects.toThrow(NotRoomOwnerError);
+        await expect(roomOpener.banMember(roomOpener.getId())).rejects.toThrow(KickSelfError);
+    });
+
+    test('should not let anyone join a locked room', async ({ roomOpener, roomJoiner }) => {
+        await roomOpener.createRoom(0, 0);
+        await roomOpener.lockRoom();
+        await expect.poll(() => roomOpener.messages.filter(({ type }) => type === 'roomUpdate').at(-1)).toMatchObject({ locked: true });
+        await expect(roomJoiner.joinRoom(roomOpener.getRoomId(), 1, 1)).rejects.toThrow(RoomLockedError);
+        await roomOpener.lockRoom(false);
+        await roomJoiner.joinRoom(roomOpener.getRoomId(), 1, 1);
+    });
+
+    test('should end the room for all members when the owner closes it', async ({ roomOpener, roomJoiner, storage }) => {
+        await roomOpener.createRoom(0, 0);
+        await roomJoiner.joinRoom(roomOpener.getRoomId(), 1, 1);
+        const roomId = roomOpener.getRoomId();
+        await roomOpener.closeRoom();
+        await expect.poll(() => roomJoiner.messages).toContainEqual({ type: 'roomClosed', roomId });
+        await expect.poll(() => roomOpener.messages).toContainEqual({ type: 'roomClosed', roomId });
+        // The room is kept until the janitor removes it, so that every subscriber sees that it was closed
+        expect(await storage.getRoomInfo(roomId)).toMatchObject({ closed: true });
+        await expect(roomJoiner.updateLocation(1, 1)).rejects.toThrow(UserNotInRoomError);
+        await expect(roomJoiner.joinRoom(roomId, 1, 1)).rejects.toThrow(RoomDoesNotExistError);
+    });
+
+    test('should tell a banned member why it was removed if it only sees its removal', async () => {
+        // Firestore may merge the change of the info and the removal of the member into one snapshot
+        class RemovalOnlyStorage extends MemoryStorage {
+            subscribeToRoom(roomId, { onInfoChange, onMemberChange }) {
+                let initial = true;
+                return super.subscribeToRoom(roomId, {
+                    onInfoChange: info => {
+                        if (initial) onInfoChange(info);
+                        initial = false;
+                    },
+                    onMemberChange
+                });
+            }
+        }
+        const storage = new RemovalOnlyStorage();
+        const messages = [];
+        const owner = new RoomMember(storage, { send: vi.fn(), terminate: vi.fn() });
+        const member = new RoomMember(storage, { send: message => messages.push(JSON.parse(message)), terminate: vi.fn() });
+        try {
+            const { roomId } = await owner.createRoom(0, 0);
+            await member.joinRoom(roomId, 1, 1);
+            await owner.banMember(member.id);
+            await expect.poll(() => messages).toContainEqual({ type: 'banned', roomId });
+        } finally {
+            clearTimeout(owner.heartbeatTimeout);
+            clearTimeout(member.heartbeatTimeout);
+            await owner.leaveRoom();
+        }
+    });
+});
+
+describe('room settings', () => {
+    test('should store the settings of a new room and broadcast them', async ({ roomOpener, storage }) => {
+        await roomOpener.createRoom(0, 0, undefined, undefined, { maxMembers: 4, locationInterval: 10000 });
+        const settings = { ...DEFAULT_ROOM_SETTINGS, maxMembers: 4, locationInterval: 10000 };
+        expect((await storage.getRoomInfo(roomOpener.getRoomId())).settings).toEqual(settings);
+        await expect.poll(() => roomOpener.messages.filter(({ type }) => type === 'roomUpdate').at(-1)).toMatchObject({ settings });
+    });
+
+    test('should reject invalid settings', async ({ roomOpener }) => {
+        await expect(roomOpener.createRoom(0, 0, undefined, undefined, { maxMembers: 1 })).rejects.toThrow(MaxMembersError);
+    });
+
+    test('should not let members join a full room', async ({ roomOpener, roomJoiner, storage }) => {
+        await roomOpener.createRoom(0, 0, undefined, undefined, { maxMembers: 2 });
+        const thirdMember = new RoomMember(storage, { send: vi.fn(), terminate: vi.fn() });
+        try {
+            await roomJoiner.joinRoom(roomOpener.getRoomId(), 1, 1);
+            await expect(thirdMember.joinRoom(roomOpener.getRoomId(), 2, 2)).rejects.toThrow(RoomFullError);
+            await roomOpener.updateRoomSettings({ maxMembers: null });
+            await thirdMember.joinRoom(roomOpener.getRoomId(), 2, 2);
+        } finally {
+            clearTimeout(thirdMember.heartbeatTimeout);
+            await thirdMember.leaveRoom();
+        }
+    });
+
+    test('should not count lost members towards the maximum number of members', async ({ roomOpener, roomJoiner, storage }) => {
+        await roomOpener.createRoom(0, 0, undefined, undefined, { maxMembers: 2 });
+        const thirdMember = new RoomMember(storage, { send: vi.fn(), terminate: vi.fn() });
+        try {
+            await roomJoiner.joinRoom(roomOpener.getRoomId(), 1, 1);
+            await roomJoiner.suspend();
+            await thirdMember.joinRoom(roomOpener.getRoomId(), 2, 2);
+        } finally {
+            clearTimeout(thirdMember.heartbeatTimeout);
+            await thirdMember.leaveRoom();
+        }
+    });
+
+    test('should reject proposals in rooms that do not allow them', async ({ roomOpener, roomJoiner }) => {
+        await roomOpener.createRoom(0, 0, undefined, undefined, { allowProposals: false });
+        await roomJoiner.joinRoom(roomOpener.getRoomId(), 1, 1);
+        await expect(roomJoiner.proposeMeetingPoint(new GeoPoint(1, 1))).rejects.toThrow(ProposalsDisabledError);
+        await expect(roomJoiner.updateRoomSettings({ allowProposals: true })).rejects.toThrow(NotRoomOwnerError);
+        await roomOpener.updateRoomSettings({ allowProposals: true });
+        await expect.poll(() => roomJoiner.messages.filter(({ type }) => type === 'roomUpdate').at(-1)?.settings).toEqual(DEFAULT_ROOM_SETTINGS);
+        await roomJoiner.proposeMeetingPoint(new GeoPoint(1, 1));
+    });
+
+    test('should coalesce locations that arrive faster than the location interval of the room', async ({ storage }) => {
+        const member = new RoomMember(storage, { send: vi.fn(), terminate: vi.fn() });
+        try {
+            await member.createRoom(0, 0, undefined, undefined, { locationInterval: 1000 });
+            await member.updateLocation(1, 1);
+            await member.updateLocation(2, 2);
+            await member.updateLocation(3, 3);
+            const locations = await storage.getLocations(member.room.id, member.id);
+            expect(locations.map(({ lat }) => lat)).toEqual([0, 1]);
+            await expect.poll(async () => (await storage.getLocations(member.room.id, member.id)).map(({ lat }) => lat), { timeout: 3000 }).toEqual([0, 1, 3]);
+        } finally {
+            clearTimeout(member.heartbeatTimeout);
+            await member.leaveRoom();
+        }
+    });
+});
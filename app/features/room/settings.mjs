@@ -0,0 +1,119 @@
+import { AllowProposalsError, LocationIntervalError, MaxMembersError, RoomLifetimeError } from '../server/errors.mjs';
+
+/**
+ * @typedef {object} RoomSettings How a room behaves, set by its creator and changed by its owner
+ * @property {number | null} [maxMembers] The maximum number of members, or null for no limit
+ * @property {number | null} [locationInterval] The suggested time in milliseconds between two location updates.
+ * Locations that arrive faster are coalesced. Null uses the interval of the server.
+ * @property {boolean} [allowProposals] Whether members can propose meeting points
+ * @property {number | null} [lifetime] The time in milliseconds after its creation the room is removed, or null for the room TTL of the server
+ */
+
+/**
+ * @typedef {{ maxMembers: number | null, locationInterval: number | null, allowProposals: boolean, lifetime: number | null }} StoredRoomSettings
+ */
+
+export const MIN_MAX_MEMBERS = 2;
+
+export const MAX_MAX_MEMBERS = 100;
+
+export const MIN_LOCATION_INTERVAL = 1000;
+
+export const MAX_LOCATION_INTERVAL = 10 * 60 * 1000;
+
+export const MIN_ROOM_LIFETIME = 60 * 1000;
+
+export const MAX_ROOM_LIFETIME = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * The settings of a room whose creator did not set any.
+ * @type {Readonly<StoredRoomSettings>}
+ */
+export const DEFAULT_ROOM_SETTINGS = Object.freeze({ maxMembers: null, locationInterval: null, allowProposals: true, lifetime: null });
+
+/**
+ * The names of all room settings.
+ */
+export const ROOM_SETTING_FIELDS = Object.keys(DEFAULT_ROOM_SETTINGS);
+
+/**
+ * Creates a parser of a setting that is an integer within a range.
+ * @param {number} min
+ * @param {number} max
+ * @param {typeof import('../server/errors.mjs').FindMeError} Error The error thrown if the value is invalid
+ * @returns {function(unknown): number}
+ */
+function integerInRange(min, max, Error) {
+    return value => {
+        if (!Number.isInteger(value) || value < min || value > max) throw new Error();
+        return value;
+    };
+}
+
+/**
+ * @param {unknown} allowProposals
+ * @returns {boolean}
+ * @throws {AllowProposalsError}
+ */
+function parseAllowProposals(allowProposals) {
+    if (typeof allowProposals !== 'boolean') throw new AllowProposalsError();
+    return allowProposals;
+}
+
+/**
+ * @type {Object<keyof StoredRoomSettings, function(unknown): number | boolean>}
+ */
+const PARSERS = {
+    maxMembers: integerInRange(MIN_MAX_MEMBERS, MAX_MAX_MEMBERS, MaxMembersError),
+    locationInterval: integerInRange(MIN_LOCATION_INTERVAL, MAX_LOCATION_INTERVAL, LocationIntervalError),
+    allowProposals: parseAllowProposals,
+    lifetime: integerInRange(MIN_ROOM_LIFETIME, MAX_ROOM_LIFETIME, RoomLifetimeError)
+};
+
+/**
+ * Validates a change of a room's settings. Settings that are undefined are left out, so that they keep their value,
+ * and settings that are null are reset to their default.
+ * @param {RoomSettings} [settings]
+ * @returns {Partial<StoredRoomSettings>} The changed settings
+ * @throws {MaxMembersError} If the maximum number of members is not an integer from 2 to 100
+ * @throws {LocationIntervalError} If the location interval is not an integer from 1 second to 10 minutes
+ * @throws {AllowProposalsError} If allowProposals is not a boolean
+ * @throws {RoomLifetimeError} If the lifetime is not an integer from 1 minute to 7 days
+ */
+export function createRoomSettingsUpdate(settings = {}) {
+    return Object.fromEntries(ROOM_SETTING_FIELDS
+        .filter(field => settings[field] !== undefined)
+        .map(field => [field, settings[field] === null ? DEFAULT_ROOM_SETTINGS[field] : PARSERS[field](settings[field])]));
+}
+
+/**
+ * Validates the settings of a new room. Missing settings get their default.
+ * @param {RoomSettings} [settings]
+ * @returns {StoredRoomSettings}
+ * @throws If the settings are invalid, see {@link createRoomSettingsUpdate}
+ */
+export function createRoomSettings(settings = {}) {
+    return { ...DEFAULT_ROOM_SETTINGS, ...createRoomSettingsUpdate(settings) };
+}
+
+/**
+ * Returns the settings of a room, including rooms that were created before they had settings.
+ * @param {{ settings?: StoredRoomSettings }} info The info of the room
+ * @returns {StoredRoomSettings}
+ */
+export function getRoomSettings(info) {
+    return { ...DEFAULT_ROOM_SETTINGS, ...info.settings };
+}
+
+/**
+ * Checks if a room outlived its lifetime.
+ * @param {{ createdAt?: import('firebase-admin/firestore').Timestamp, settings?: StoredRoomSettings }} info The info of the room
+ * @param {number} roomTtl The time in milliseconds after its creation the server removes every room
+ * @param {number} [now] The current time in milliseconds since the epoch
+ * @returns {boolean}
+ */
+export function isRoomExpired(info, roomTtl, now = Date.now()) {
+    if (!info.createdAt) return false;
+    const lifetime = Math.min(roomTtl, getRoomSettings(info).lifetime ?? Infinity);
+    return info.createdAt.toMillis() + lifetime <= now;
+}
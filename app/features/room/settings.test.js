@@ -0,0 +1,32 @@
+import { describe, expect, test } from "vitest";
+import { Timestamp } from "firebase-admin/firestore";
+import { createRoomSettings, createRoomSettingsUpdate, DEFAULT_ROOM_SETTINGS, getRoomSettings, isRoomExpired } from "./settings.mjs";
+import { AllowProposalsError, LocationIntervalError, MaxMembersError, RoomLifetimeError } from "../server/errors.mjs";
+
+describe('settings.mjs', () => {
+    test('should use the defaults for missing settings', () => {
+        expect(createRoomSettings()).toEqual(DEFAULT_ROOM_SETTINGS);
+        expect(createRoomSettings({ maxMembers: 5, allowProposals: false })).toEqual({ ...DEFAULT_ROOM_SETTINGS, maxMembers: 5, allowProposals: false });
+        expect(getRoomSettings({})).toEqual(DEFAULT_ROOM_SETTINGS);
+    });
+
+    test('should only change the given settings and reset null settings', () => {
+        expect(createRoomSettingsUpdate({ locationInterval: 10000 })).toEqual({ locationInterval: 10000 });
+        expect(createRoomSettingsUpdate({ maxMembers: null, allowProposals: null, lifetime: undefined })).toEqual({ maxMembers: null, allowProposals: true });
+    });
+
+    test('should reject invalid settings', () => {
+        for (const maxMembers of [1, 101, 2.5, '5']) expect(() => createRoomSettings({ maxMembers })).toThrow(MaxMembersError);
+        for (const locationInterval of [999, 600001, 1500.5]) expect(() => createRoomSettings({ locationInterval })).toThrow(LocationIntervalError);
+        for (const allowProposals of [0, 'false']) expect(() => createRoomSettings({ allowProposals })).toThrow(AllowProposalsError);
+        for (const lifetime of [59999, 7 * 24 * 60 * 60 * 1000 + 1]) expect(() => createRoomSettings({ lifetime })).toThrow(RoomLifetimeError);
+    });
+
+    test('should expire a room after the shorter of its lifetime and the room TTL', () => {
+        const createdAt = Timestamp.fromMillis(0);
+        expect(isRoomExpired({ createdAt }, 120000, 60000)).toBe(false);
+        expect(isRoomExpired({ createdAt, settings: { lifetime: 60000 } }, 120000, 60000)).toBe(true);
+        expect(isRoomExpired({ createdAt, settings: { lifetime: 180000 } }, 120000, 120000)).toBe(true);
+        expect(isRoomExpired({ createdAt: null }, 0)).toBe(false);
+    });
+});
@@ -0,0 +1,199 @@
+import { SuggestionWeightError } from '../server/errors.mjs';
+import { EARTH_RADIUS, getDistance } from './location.mjs';
+
+/**
+ * @typedef {{ lat: number, lng: number }} Location
+ * @typedef {'midpoint' | 'minimax' | 'weighted'} SuggestionKind
+ * @typedef {object} Suggestion A candidate meeting point
+ * @property {SuggestionKind} kind How the candidate was computed
+ * @property {number} maxDistance The distance in meters the member farthest away has to walk
+ * @property {number} totalDistance The sum of the distances in meters all members have to walk
+ * @property {{ type: 'propose', lat: number, lng: number, label: string }} proposal A draft `propose` message,
+ * which a member sends unchanged to propose the candidate
+ */
+
+/**
+ * The labels of the draft proposals.
+ * @type {Object<SuggestionKind, string>}
+ */
+const LABELS = {
+    midpoint: 'Midpoint',
+    minimax: 'Shortest longest walk',
+    weighted: 'Weighted midpoint'
+};
+
+const toRadians = degrees => degrees * Math.PI / 180;
+
+const toDegrees = radians => radians * 180 / Math.PI;
+
+/**
+ * Normalizes a longitude difference to the range from -180 to 180 degrees, so that candidates near the antimeridian
+ * are not computed on the wrong side of the earth.
+ * @param {number} degrees
+ * @returns {number}
+ */
+function normalizeLongitude(degrees) {
+    return ((degrees + 540) % 360) - 180;
+}
+
+/**
+ * Validates the weights of the members for the weighted midpoint.
+ * @param {Object<string, number>} weights The weights by member ID
+ * @returns {Object<string, number>}
+ * @throws {SuggestionWeightError} If weights is not an object of non-negative numbers
+ */
+export function validateWeights(weights) {
+    if (!weights || typeof weights !== 'object' || Array.isArray(weights)
+        || !Object.values(weights).every(weight => typeof weight === 'number' && weight >= 0 && weight !== Infinity)) {
+        throw new SuggestionWeightError();
+    }
+    return weights;
+}
+
+/**
+ * Calculates the geographic midpoint of locations, i.e. the center of gravity of their points on the globe.
+ * @param {Location[]} locations
+ * @param {number[]} weights The weight of every location. If all weights are 0, every location counts the same.
+ * @returns {Location}
+ */
+export function getMidpoint(locations, weights = locations.map(() => 1)) {
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const center = locations.reduce((sum, { lat, lng }, index) => {
+        const weight = totalWeight > 0 ? weights[index] : 1;
+        return {
+            x: sum.x + weight * Math.cos(toRadians(lat)) * Math.cos(toRadians(lng)),
+            y: sum.y + weight * Math.cos(toRadians(lat)) * Math.sin(toRadians(lng)),
+            z: sum.z + weight * Math.sin(toRadians(lat))
+        };
+    }, { x: 0, y: 0, z: 0 });
+    // Locations on opposite sides of the globe have no midpoint
+    if (Math.hypot(center.x, center.y, center.z) < 1e-12) return { ...locations[0] };
+    return {
+        lat: toDegrees(Math.atan2(center.z, Math.hypot(center.x, center.y))),
+        lng: toDegrees(Math.atan2(center.y, center.x))
+    };
+}
+
+/**
+ * @typedef {{ x: number, y: number }} Point
+ * @typedef {Point & { r: number }} Circle
+ */
+
+/**
+ * @param {Circle} circle
+ * @param {Point} point
+ * @returns {boolean}
+ */
+function contains(circle, point) {
+    return Math.hypot(point.x - circle.x, point.y - circle.y) <= circle.r + 1e-7;
+}
+
+/**
+ * @param {Point} a
+ * @param {Point} b
+ * @returns {Circle}
+ */
+function circleThrough2(a, b) {
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, r: Math.hypot(a.x - b.x, a.y - b.y) / 2 };
+}
+
+/**
+ * @param {Point} a
+ * @param {Point} b
+ * @param {Point} c
+ * @returns {Circle}
+ */
+function circleThrough3(a, b, c) {
+    const d = 2 * (a.x * (b.y - c.y) + b.x * (c.y - a.y) + c.x * (a.y - b.y));
+    if (Math.abs(d) < 1e-12) {
+        // The points are on a line, so the circle around the two outer points contains the third one
+        return [circleThrough2(a, b), circleThrough2(a, c), circleThrough2(b, c)].sort((first, second) => second.r - first.r)[0];
+    }
+    const a2 = a.x ** 2 + a.y ** 2;
+    const b2 = b.x ** 2 + b.y ** 2;
+    const c2 = c.x ** 2 + c.y ** 2;
+    const x = (a2 * (b.y - c.y) + b2 * (c.y - a.y) + c2 * (a.y - b.y)) / d;
+    const y = (a2 * (c.x - b.x) + b2 * (a.x - c.x) + c2 * (b.x - a.x)) / d;
+    return { x, y, r: Math.hypot(a.x - x, a.y - y) };
+}
+
+/**
+ * Finds the smallest circle that contains all points with the incremental algorithm of Welzl.
+ * @param {Point[]} points
+ * @returns {Circle}
+ */
+function getSmallestEnclosingCircle(points) {
+    let circle = { ...points[0], r: 0 };
+    for (let i = 1; i < points.length; i++) {
+        if (contains(circle, points[i])) continue;
+        circle = { ...points[i], r: 0 };
+        for (let j = 0; j < i; j++) {
+            if (contains(circle, points[j])) continue;
+            circle = circleThrough2(points[i], points[j]);
+            for (let k = 0; k < j; k++) {
+                if (!contains(circle, points[k])) circle = circleThrough3(points[i], points[j], points[k]);
+            }
+        }
+    }
+    return circle;
+}
+
+/**
+ * Finds the point that minimizes the longest distance to the locations, i.e. the center of their smallest enclosing circle.
+ * The locations are projected onto a plane around their midpoint, which is precise enough for the distances people walk.
+ * @param {Location[]} locations
+ * @returns {Location}
+ */
+export function getMinimaxPoint(locations) {
+    const origin = getMidpoint(locations);
+    const scale = EARTH_RADIUS * Math.cos(toRadians(origin.lat));
+    const { x, y } = getSmallestEnclosingCircle(locations.map(({ lat, lng }) => ({
+        x: toRadians(normalizeLongitude(lng - origin.lng)) * scale,
+        y: toRadians(lat - origin.lat) * EARTH_RADIUS
+    })));
+    return {
+        lat: Math.max(-90, Math.min(90, origin.lat + toDegrees(y / EARTH_RADIUS))),
+        lng: scale > 0 ? normalizeLongitude(origin.lng + toDegrees(x / scale)) : origin.lng
+    };
+}
+
+/**
+ * Creates a suggestion from a candidate meeting point.
+ * @param {SuggestionKind} kind
+ * @param {Location} candidate
+ * @param {Location[]} locations The locations of the members
+ * @returns {Suggestion}
+ */
+function createSuggestion(kind, candidate, locations) {
+    // Six decimal places are about ten centimeters
+    const lat = Math.round(candidate.lat * 1e6) / 1e6;
+    const lng = Math.round(candidate.lng * 1e6) / 1e6;
+    const distances = locations.map(location => getDistance(location, { lat, lng }));
+    return {
+        kind,
+        maxDistance: Math.round(Math.max(...distances)),
+        totalDistance: Math.round(distances.reduce((sum, distance) => sum + distance, 0)),
+        proposal: { type: 'propose', lat, lng, label: LABELS[kind] }
+    };
+}
+
+/**
+ * Suggests meeting points for the members of a room from their latest locations: their geographic midpoint,
+ * the point that minimizes the longest walk, and the midpoint weighted by the given weights.
+ * @param {Map<string, Location>} locations The latest locations by member ID
+ * @param {Object<string, number>} [weights] The weights by member ID. Members without a weight count 1, members with a weight of 0 are ignored.
+ * Without weights, the weighted midpoint is the midpoint.
+ * @returns {Suggestion[]}
+ * @throws {SuggestionWeightError} If the weights are invalid, see {@link validateWeights}
+ * @throws {Error} If there are no locations
+ */
+export function suggestMeetingPoints(locations, weights = {}) {
+    validateWeights(weights);
+    if (!locations.size) throw new Error('At least one location is required');
+    const memberLocations = [...locations.values()];
+    return [
+        createSuggestion('midpoint', getMidpoint(memberLocations), memberLocations),
+        createSuggestion('minimax', getMinimaxPoint(memberLocations), memberLocations),
+        createSuggestion('weighted', getMidpoint(memberLocations, [...locations.keys()].map(memberId => weights[memberId] ?? 1)), memberLocations)
+    ];
+}
@@ -0,0 +1,50 @@
+import { describe, expect, test } from "vitest";
+import { getMidpoint, getMinimaxPoint, suggestMeetingPoints, validateWeights } from "./suggestion.mjs";
+import { getDistance } from "./location.mjs";
+import { SuggestionWeightError } from "../server/errors.mjs";
+
+describe('suggestion.mjs', () => {
+    test('should calculate the geographic midpoint', () => {
+        const midpoint = getMidpoint([{ lat: 0, lng: 0 }, { lat: 0, lng: 10 }]);
+        expect(midpoint.lat).toBeCloseTo(0);
+        expect(midpoint.lng).toBeCloseTo(5);
+        expect(getMidpoint([{ lat: 0, lng: 179 }, { lat: 0, lng: -179 }]).lng).toBeCloseTo(180);
+        expect(getMidpoint([{ lat: 0, lng: 0 }, { lat: 0, lng: 10 }], [3, 1]).lng).toBeCloseTo(2.5, 1);
+        expect(getMidpoint([{ lat: 0, lng: 0 }, { lat: 0, lng: 10 }], [0, 0]).lng).toBeCloseTo(5);
+    });
+
+    test('should minimize the longest walk', () => {
+        // The midpoint is pulled towards the cluster, the minimax point is halfway between the outermost members
+        const locations = [{ lat: 0, lng: 0 }, { lat: 0, lng: 0.0001 }, { lat: 0, lng: 0.0002 }, { lat: 0, lng: 0.01 }];
+        const minimax = getMinimaxPoint(locations);
+        expect(minimax.lat).toBeCloseTo(0, 6);
+        expect(minimax.lng).toBeCloseTo(0.005, 6);
+        const longestWalk = point => Math.max(...locations.map(location => getDistance(location, point)));
+        expect(longestWalk(minimax)).toBeLessThan(longestWalk(getMidpoint(locations)));
+    });
+
+    test('should find the center of the smallest circle around a triangle', () => {
+        const locations = [{ lat: 0, lng: 0 }, { lat: 0, lng: 0.002 }, { lat: 0.001, lng: 0.001 }, { lat: 0.0003, lng: 0.001 }];
+        const minimax = getMinimaxPoint(locations);
+        const distances = locations.slice(0, 3).map(location => getDistance(location, minimax));
+        expect(Math.max(...distances) - Math.min(...distances)).toBeLessThan(0.01);
+    });
+
+    test('should suggest draft proposals', () => {
+        const suggestions = suggestMeetingPoints(new Map([['a', { lat: 0, lng: 0 }], ['b', { lat: 0, lng: 0.01 }]]), { b: 0 });
+        expect(suggestions.map(({ kind }) => kind)).toEqual(['midpoint', 'minimax', 'weighted']);
+        expect(suggestions[2]).toEqual({
+            kind: 'weighted',
+            maxDistance: 1112,
+            totalDistance: 1112,
+            proposal: { type: 'propose', lat: 0, lng: 0, label: 'Weighted midpoint' }
+        });
+    });
+
+    test('should reject invalid weights', () => {
+        expect(validateWeights({ a: 0, b: 2.5 })).toEqual({ a: 0, b: 2.5 });
+        for (const weights of [null, [], { a: -1 }, { a: '1' }, { a: Infinity }]) {
+            expect(() => validateWeights(weights)).toThrow(SuggestionWeightError);
+        }
+    });
+});
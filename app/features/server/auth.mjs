@@ -0,0 +1,39 @@
+import { getAuth } from 'firebase-admin/auth';
+
+/**
+ * @typedef {(idToken: string) => Promise<{ uid: string }>} TokenVerifier
+ * A function that verifies an ID token and resolves with the verified user ID. It rejects if the token is invalid.
+ */
+
+/**
+ * Creates a token verifier that verifies Firebase ID tokens with the Firebase Admin SDK.
+ * The default Firebase app must be initialized before the verifier is called.
+ * @returns {TokenVerifier}
+ */
+export function createFirebaseTokenVerifier() {
+    return idToken => getAuth().verifyIdToken(idToken);
+}
+
+/**
+ * Creates a token verifier for offline development that accepts every non-empty token and uses it as the user ID.
+ * Never use it in production, because every client can impersonate every user.
+ * @returns {TokenVerifier}
+ */
+export function createDevelopmentTokenVerifier() {
+    return async idToken => {
+        if (!idToken || typeof idToken !== 'string') throw new Error('ID token is required');
+        return { uid: idToken };
+    };
+}
+
+/**
+ * Reads the ID token of a WebSocket upgrade or HTTP request. Clients can send it as bearer token in the `Authorization` header
+ * or, because browsers can't set headers on WebSocket requests, as `idToken` query parameter.
+ * @param {import('http').IncomingMessage} request
+ * @returns {string | undefined}
+ */
+export function getRequestIdToken(request) {
+    const authorization = request.headers.authorization;
+    if (authorization?.startsWith('Bearer ')) return authorization.slice('Bearer '.length).trim() || undefined;
+    return new URL(request.url ?? '/', 'http://localhost').searchParams.get('idToken') ?? undefined;
+}
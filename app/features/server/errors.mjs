@@ -1,8 +1,54 @@
-function createErrorClass(name, message) {
-    return class extends Error {
-        constructor() {
+/**
+ * The base class of all errors in this file. Its code is sent to clients in `error` messages.
+ */
+export class FindMeError extends Error {
+    /**
+     * A stable, machine-readable code derived from the error class name, e.g. `ROOM_ID_REQUIRED` for `RoomIdRequiredError`.
+     * @type {string}
+     */
+    code;
+
+    /**
+     * Whether the client may keep its connection after this error. Errors that are not recoverable close the connection.
+     * @type {boolean}
+     */
+    recoverable;
+
+    /**
+     * The WebSocket close code used if this error is not recoverable.
+     * @type {number | undefined}
+     */
+    closeCode;
+
+    /**
+     * Optional details about what exactly was wrong, e.g. the invalid property of a message.
+     * @type {string | undefined}
+     */
+    details;
+}
+
+/**
+ * Creates an error class with a fixed name and message.
+ * @param {string} name The name of the error class
+ * @param {string} message The message of every error of this class
+ * @param {number} [closeCode] The WebSocket close code for errors that are not recoverable. Errors without a close code are recoverable.
+ * @returns {typeof FindMeError}
+ */
+function createErrorClass(name, message, closeCode = undefined) {
+    const code = name.replace(/Error$/, '').replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+    return class extends FindMeError {
+        static code = code;
+
+        /**
+         * @param {string} [details] Details about what exactly was wrong
+         */
+        constructor(details = undefined) {
             super(message);
+            this.details = details;
             super.name = name;
+            this.code = code;
+            this.recoverable = closeCode === undefined;
+            this.closeCode = closeCode;
         }
     };
 }
@@ -21,4 +67,98 @@ export const UserInRoomError = createErrorClass('UserInRoomError', 'User is alre
 
 export const RoomIdRequiredError = createErrorClass('RoomIdRequiredError', 'Room ID is required');
 
-export const RoomInfoDoesNotExistError = createErrorClass('RoomInfoDoesNotExistError', 'Room info document does not exist');
\ No newline at end of file
+export const RoomInfoDoesNotExistError = createErrorClass('RoomInfoDoesNotExistError', 'Room info document does not exist');
+
+export const RoomDoesNotExistError = createErrorClass('RoomDoesNotExistError', 'Room does not exist');
+
+export const MessageError = createErrorClass('MessageError', 'Message is required', 1002);
+
+export const MessageFormatError = createErrorClass('MessageFormatError', 'Message must be a JSON object', 1002);
+
+export const MessageTypeError = createErrorClass('MessageTypeError', 'Message type is unknown');
+
+export const RequestIdError = createErrorClass('RequestIdError', 'Request ID must be a string of at most 64 characters or a number');
+
+export const MessageTypeRequiredError = createErrorClass('MessageTypeRequiredError', 'Message type is required');
+
+export const UserNotInRoomError = createErrorClass('UserNotInRoomError', 'User is not in a room');
+
+export const GeoPointError = createErrorClass('GeoPointError', 'GeoPoint is invalid');
+
+export const ProposerIdRequiredError = createErrorClass('ProposerIdRequiredError', 'Proposer ID is required');
+
+export const ProposalDoesNotExistError = createErrorClass('ProposalDoesNotExistError', 'Proposal does not exist');
+
+export const ResumeTokenError = createErrorClass('ResumeTokenError', 'Resume token is invalid or expired');
+
+export const PeerIdRequiredError = createErrorClass('PeerIdRequiredError', 'Target user ID is required');
+
+export const PeerUnavailableError = createErrorClass('PeerUnavailableError', 'Target user is not connected to this room on this server');
+
+export const SdpError = createErrorClass('SdpError', 'Session description is invalid');
+
+export const IceCandidateError = createErrorClass('IceCandidateError', 'ICE candidate is invalid');
+
+export const AuthenticationRequiredError = createErrorClass('AuthenticationRequiredError', 'Authentication is required', 1008);
+
+export const AuthenticationError = createErrorClass('AuthenticationError', 'ID token is invalid', 1008);
+
+export const AlreadyAuthenticatedError = createErrorClass('AlreadyAuthenticatedError', 'Connection is already authenticated');
+
+export const PasscodeFormatError = createErrorClass('PasscodeFormatError', 'Passcode must be a string of 4 to 128 characters');
+
+export const PasscodeRequiredError = createErrorClass('PasscodeRequiredError', 'Passcode is required to join this room');
+
+export const PasscodeError = createErrorClass('PasscodeError', 'Passcode is incorrect');
+
+export const TooManyPasscodeAttemptsError = createErrorClass('TooManyPasscodeAttemptsError', 'Too many incorrect passcodes, try again later');
+
+export const LocationRateLimitError = createErrorClass('LocationRateLimitError', 'Too many location updates, send at most the allowed number per second');
+
+export const MessageSchemaError = createErrorClass('MessageSchemaError', 'Message does not match the schema of its type');
+
+export const ProtocolVersionError = createErrorClass('ProtocolVersionError', 'Protocol version is not supported', 1002);
+
+export const ProtocolVersionNegotiatedError = createErrorClass('ProtocolVersionNegotiatedError', 'Protocol version was already negotiated');
+
+export const ProposalLabelError = createErrorClass('ProposalLabelError', 'Label must be a string of 1 to 80 characters');
+
+export const ProposalDescriptionError = createErrorClass('ProposalDescriptionError', 'Description must be a string of at most 500 characters');
+
+export const MeetingTimeError = createErrorClass('MeetingTimeError', 'Meeting time must be a time in milliseconds since the epoch within the next 7 days');
+
+export const ProposalExpiryError = createErrorClass('ProposalExpiryError', 'Expiry must be a time in milliseconds since the epoch within the next 24 hours');
+
+export const SuggestionWeightError = createErrorClass('SuggestionWeightError', 'Weights must be an object of non-negative numbers by member ID');
+
+export const DisplayNameError = createErrorClass('DisplayNameError', 'Display name must be a string of 1 to 40 characters without control characters');
+
+export const ColorError = createErrorClass('ColorError', 'Color must be a hex color like #1a2b3c');
+
+export const AvatarError = createErrorClass('AvatarError', 'Avatar must be a single emoji or a key of up to 32 lowercase letters, digits and dashes');
+
+export const NotRoomOwnerError = createErrorClass('NotRoomOwnerError', 'Only the owner of the room can do this');
+
+export const MemberDoesNotExistError = createErrorClass('MemberDoesNotExistError', 'Target user is not a member of this room');
+
+export const KickSelfError = createErrorClass('KickSelfError', 'Members can not kick or ban themselves, leave the room instead');
+
+export const RoomLockedError = createErrorClass('RoomLockedError', 'Room is locked and can not be joined');
+
+export const BannedError = createErrorClass('BannedError', 'User is banned from this room');
+
+export const MaxMembersError = createErrorClass('MaxMembersError', 'Maximum members must be an integer from 2 to 100');
+
+export const LocationIntervalError = createErrorClass('LocationIntervalError', 'Location interval must be an integer from 1000 to 600000 milliseconds');
+
+export const AllowProposalsError = createErrorClass('AllowProposalsError', 'Allow proposals must be a boolean');
+
+export const RoomLifetimeError = createErrorClass('RoomLifetimeError', 'Room lifetime must be an integer from 60000 to 604800000 milliseconds');
+
+export const RoomFullError = createErrorClass('RoomFullError', 'Room has reached its maximum number of members');
+
+export const ProposalsDisabledError = createErrorClass('ProposalsDisabledError', 'Proposals are disabled in this room');
+
+export const MeetingPointDoesNotExistError = createErrorClass('MeetingPointDoesNotExistError', 'No meeting point has been agreed on');
+
+export const ServerShutdownError = createErrorClass('ServerShutdownError', 'Server is shutting down, reconnect later');
@@ -0,0 +1,154 @@
+import { METRICS_CONTENT_TYPE } from '../metrics/metrics.mjs';
+import { Logger } from '../logging/logger.mjs';
+import { ID_PATTERN } from '../storage/roomStorage.mjs';
+import { createFirebaseTokenVerifier, getRequestIdToken } from './auth.mjs';
+
+/**
+ * @typedef {import('http').IncomingMessage} IncomingMessage
+ * @typedef {import('http').ServerResponse} ServerResponse
+ * @typedef {(request: IncomingMessage, response: ServerResponse) => void} RequestListener
+ */
+
+/**
+ * Sends a JSON response. Clients of all origins may read it, so that web apps can check room codes.
+ * @param {ServerResponse} response
+ * @param {number} status
+ * @param {object} body
+ * @param {Object<string, string>} [headers]
+ */
+function sendJson(response, status, body, headers = {}) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store',
+        'Access-Control-Allow-Origin': '*',
+        ...headers
+    });
+    response.end(JSON.stringify(body));
+}
+
+/**
+ * Rejects after a timeout, so that a storage backend that does not answer makes the server not ready.
+ * @param {Promise<void>} promise
+ * @param {number} timeout
+ * @returns {Promise<void>}
+ */
+function withTimeout(promise, timeout) {
+    let timer;
+    return Promise.race([
+        promise,
+        new Promise((_, reject) => timer = setTimeout(() => reject(new Error('Timed out')), timeout))
+    ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Checks if a request carries a valid ID token.
+ * @param {IncomingMessage} request
+ * @param {import('./auth.mjs').TokenVerifier} verifyIdToken
+ * @returns {Promise<boolean>}
+ */
+async function isAuthenticated(request, verifyIdToken) {
+    const idToken = getRequestIdToken(request);
+    if (!idToken) return false;
+    try {
+        await verifyIdToken(idToken);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Creates the request listener of the HTTP server the FindMeServer is attached to. It answers
+ * - `GET /healthz` with 200 as long as the process runs,
+ * - `GET /readyz` with 200 if the storage backend is reachable and 503 otherwise,
+ * - `GET /rooms/:id` with the creation time and member count of a room, or 404 if it does not exist.
+ *   Locations, proposals and passcodes are never included. Like WebSocket connections, the request has to be
+ *   authenticated with an ID token, see {@link getRequestIdToken}, so that strangers can't enumerate rooms.
+ * - `GET /metrics` with all metrics in the Prometheus text format, if a metrics registry is given.
+ * @param {object} options
+ * @param {import('../storage/roomStorage.mjs').RoomStorage} options.storage
+ * @param {import('../metrics/metrics.mjs').MetricsRegistry} [options.metrics] The metrics to expose
+ * @param {import('./auth.mjs').TokenVerifier} [options.verifyIdToken] Verifies the ID tokens room requests are authenticated with,
+ *   defaults to verifying Firebase ID tokens
+ * @param {number} [options.readinessTimeout] The time in milliseconds the storage backend has to answer the readiness check
+ * @param {Logger} [options.logger] The logger of failed checks and requests, defaults to logging to stdout
+ * @returns {RequestListener}
+ */
+export function createHttpHandler({ storage, metrics, verifyIdToken = createFirebaseTokenVerifier(), readinessTimeout = 5000, logger = new Logger() }) {
+    /**
+     * @param {IncomingMessage} request
+     * @param {ServerResponse} response
+     */
+    async function handle(request, response) {
+        const { pathname } = new URL(request.url ?? '/', 'http://localhost');
+        if (request.method === 'OPTIONS') {
+            // Browsers ask before they send the Authorization header to another origin
+            response.writeHead(204, {
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'GET, HEAD',
+                'Access-Control-Allow-Headers': 'Authorization',
+                'Access-Control-Max-Age': '600'
+            });
+            response.end();
+            return;
+        }
+        if (request.method !== 'GET' && request.method !== 'HEAD') {
+            sendJson(response, 405, { error: 'Method not allowed' }, { Allow: 'GET, HEAD' });
+            return;
+        }
+        if (pathname === '/healthz') {
+            sendJson(response, 200, { status: 'ok' });
+            return;
+        }
+        if (pathname === '/readyz') {
+            try {
+                await withTimeout(storage.checkHealth(), readinessTimeout);
+                sendJson(response, 200, { status: 'ready' });
+            } catch (error) {
+                logger.warn('Readiness check failed', { event: 'readinessCheckFailed', error });
+                sendJson(response, 503, { status: 'unavailable' });
+            }
+            return;
+        }
+        if (pathname === '/metrics' && metrics) {
+            response.writeHead(200, { 'Content-Type': METRICS_CONTENT_TYPE, 'Cache-Control': 'no-store' });
+            response.end(metrics.render());
+            return;
+        }
+        const roomMatch = pathname.match(/^\/rooms\/([^/]+)$/);
+        if (roomMatch) {
+            const roomId = roomMatch[1];
+            if (!ID_PATTERN.test(roomId)) {
+                sendJson(response, 400, { error: 'Room ID is invalid' });
+                return;
+            }
+            if (!await isAuthenticated(request, verifyIdToken)) {
+                sendJson(response, 401, { error: 'Unauthorized' }, { 'WWW-Authenticate': 'Bearer' });
+                return;
+            }
+            const info = await storage.getRoomInfo(roomId);
+            // Closed rooms are only kept until the janitor removes them
+            if (!info || info.closed) {
+                sendJson(response, 404, { roomId, exists: false });
+                return;
+            }
+            sendJson(response, 200, {
+                roomId,
+                exists: true,
+                createdAt: info.createdAt?.toDate().toISOString() ?? null,
+                memberCount: await storage.countMembers(roomId),
+                private: Boolean(info.passcodeHash)
+            });
+            return;
+        }
+        sendJson(response, 404, { error: 'Not found' });
+    }
+
+    return (request, response) => {
+        handle(request, response).catch(error => {
+            logger.error(`Error handling ${request.method} ${request.url}`, { event: 'error', error });
+            if (!response.headersSent) sendJson(response, 500, { error: 'Internal server error' });
+            else response.end();
+        });
+    };
+}
@@ -0,0 +1,87 @@
+import { describe, expect, vi } from "vitest";
+import { test } from "./serverTestUtils.mjs";
+
+/**
+ * Sends a request to the HTTP server of a test server.
+ * @param {string} serverUrl The WebSocket URL of the test server
+ * @param {string} path
+ * @param {RequestInit} [init]
+ * @returns {Promise<Response>}
+ */
+function request(serverUrl, path, init) {
+    return fetch(serverUrl.replace(/^ws/, 'http') + path, init);
+}
+
+describe('httpHandler.mjs', () => {
+    test('should answer liveness checks', async ({ serverUrl }) => {
+        const response = await request(serverUrl, '/healthz');
+        expect(response.status).toBe(200);
+        expect(await response.json()).toEqual({ status: 'ok' });
+    });
+
+    test('should answer readiness checks depending on the storage', async ({ serverUrl, storage }) => {
+        expect((await request(serverUrl, '/readyz')).status).toBe(200);
+        vi.spyOn(storage, 'checkHealth').mockRejectedValueOnce(new Error('Unavailable'));
+        const response = await request(serverUrl, '/readyz');
+        expect(response.status).toBe(503);
+        expect(await response.json()).toEqual({ status: 'unavailable' });
+    });
+
+    test('should return the info of a room without locations', async ({ serverUrl, websocketOpener }) => {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0, passcode: 'secret' }));
+        const { roomId } = await websocketOpener.waitForMessage('created');
+        const response = await request(serverUrl, `/rooms/${roomId}`, { headers: { Authorization: 'Bearer test-token:joiner' } });
+        expect(response.status).toBe(200);
+        expect(response.headers.get('access-control-allow-origin')).toBe('*');
+        expect(await response.json()).toEqual({
+            roomId,
+            exists: true,
+            createdAt: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/),
+            memberCount: 1,
+            private: true
+        });
+    });
+
+    test('should respond with 404 for a room that does not exist', async ({ serverUrl }) => {
+        const response = await request(serverUrl, '/rooms/none?idToken=test-token:joiner');
+        expect(response.status).toBe(404);
+        expect(await response.json()).toEqual({ roomId: 'none', exists: false });
+    });
+
+    test('should only return the info of a room to authenticated clients', async ({ serverUrl, websocketOpener }) => {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
+        const { roomId } = await websocketOpener.waitForMessage('created');
+        for (const response of [
+            await request(serverUrl, `/rooms/${roomId}`),
+            await request(serverUrl, `/rooms/${roomId}`, { headers: { Authorization: 'Bearer invalid' } }),
+            await request(serverUrl, '/rooms/none?idToken=invalid')
+        ]) {
+            expect(response.status).toBe(401);
+            expect(await response.json()).toEqual({ error: 'Unauthorized' });
+        }
+        const preflight = await request(serverUrl, `/rooms/${roomId}`, { method: 'OPTIONS' });
+        expect(preflight.status).toBe(204);
+        expect(preflight.headers.get('access-control-allow-headers')).toBe('Authorization');
+    });
+
+    test('should reject invalid room IDs, unknown paths and other methods', async ({ serverUrl }) => {
+        expect((await request(serverUrl, '/rooms/not%20valid')).status).toBe(400);
+        expect((await request(serverUrl, '/unknown')).status).toBe(404);
+        expect((await request(serverUrl, '/healthz', { method: 'POST' })).status).toBe(405);
+    });
+
+    test('should expose the metrics of the server', async ({ serverUrl, websocketOpener }) => {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
+        await websocketOpener.waitForMessage('created');
+        websocketOpener.send(JSON.stringify({ type: 'unknown' }));
+        await websocketOpener.waitForMessage('error');
+        const response = await request(serverUrl, '/metrics');
+        expect(response.headers.get('content-type')).toContain('text/plain; version=0.0.4');
+        const metrics = await response.text();
+        expect(metrics).toContain('findme_connections 1');
+        expect(metrics).toContain('findme_rooms_active 1');
+        expect(metrics).toContain('findme_messages_received_total{type="create"} 1');
+        expect(metrics).toContain('findme_errors_total{error="MessageTypeError"} 1');
+        expect(metrics).toContain('findme_heartbeat_timeouts_total 0');
+    });
+});
@@ -0,0 +1,177 @@
+import { Logger } from '../logging/logger.mjs';
+import { isRoomExpired } from '../room/settings.mjs';
+
+/**
+ * @typedef {'closed' | 'expired' | 'stale' | 'orphaned'} RemovalReason
+ * The reason a room was removed: its owner closed it, it is older than the room TTL or its own lifetime, none of its members
+ * was active recently, or its info was deleted while members or locations were left behind.
+ * @typedef {{ roomId: string, reason: RemovalReason }} RemovedRoom
+ */
+
+/**
+ * The time in milliseconds a closed room is kept, so that the subscribers of all servers see that it was closed.
+ */
+export const CLOSED_ROOM_RETENTION = 60 * 1000;
+
+/**
+ * Periodically removes rooms that are not removed by their members leaving, e.g. because the server crashed
+ * or removing the last member failed. It also removes members that were lost for too long,
+ * e.g. because the server that suspended them shut down and they never resumed their session.
+ */
+export class RoomJanitor {
+    /**
+     * @private
+     * @type {import('../storage/roomStorage.mjs').RoomStorage}
+     */
+    #storage;
+
+    /**
+     * The time in milliseconds after its creation a room is removed.
+     * @private
+     * @type {number}
+     */
+    #roomTtl;
+
+    /**
+     * The time in milliseconds without any member joining or sending a location after which a room is stale.
+     * @private
+     * @type {number}
+     */
+    #staleAfter;
+
+    /**
+     * The time in milliseconds after which a lost member is removed.
+     * @private
+     * @type {number}
+     */
+    #lostMemberTtl;
+
+    /**
+     * Checks if a room has members that are connected to this server. These rooms are never stale.
+     * @private
+     * @type {function(string): boolean}
+     */
+    #isRoomActive;
+
+    /**
+     * @private
+     * @type {Logger}
+     */
+    #logger;
+
+    /**
+     * @private
+     * @type {NodeJS.Timeout | undefined}
+     */
+    #interval;
+
+    /**
+     * The sweep that is currently running, so that sweeps don't overlap.
+     * @private
+     * @type {Promise<RemovedRoom[]> | undefined}
+     */
+    #sweep;
+
+    /**
+     * @param {import('../storage/roomStorage.mjs').RoomStorage} storage
+     * @param {object} options
+     * @param {number} options.roomTtl The time in milliseconds after its creation a room is removed
+     * @param {number} options.staleAfter The time in milliseconds without any member activity after which a room is removed
+     * @param {number} [options.lostMemberTtl] The time in milliseconds after which a lost member is removed, defaults to never
+     * @param {function(string): boolean} [options.isRoomActive] Checks if a room has members that are connected to this server
+     * @param {Logger} [options.logger] The logger of removed rooms and errors, defaults to logging to stdout
+     */
+    constructor(storage, { roomTtl, staleAfter, lostMemberTtl = Infinity, isRoomActive = () => false, logger = new Logger() }) {
+        this.#storage = storage;
+        this.#roomTtl = roomTtl;
+        this.#staleAfter = staleAfter;
+        this.#lostMemberTtl = lostMemberTtl;
+        this.#isRoomActive = isRoomActive;
+        this.#logger = logger;
+    }
+
+    /**
+     * Starts sweeping periodically. The interval does not keep the process alive.
+     * @param {number} interval The time in milliseconds between two sweeps
+     */
+    start(interval) {
+        this.stop();
+        this.#interval = setInterval(() => this.sweep().catch(error => {
+            this.#logger.error('Error sweeping rooms', { event: 'error', error });
+        }), interval);
+        this.#interval.unref();
+    }
+
+    /**
+     * Stops sweeping periodically.
+     */
+    stop() {
+        clearInterval(this.#interval);
+        this.#interval = undefined;
+    }
+
+    /**
+     * Removes all closed, expired, stale and orphaned rooms and the lost members of the other rooms.
+     * If a sweep is already running, its result is returned.
+     * @returns {Promise<RemovedRoom[]>} The removed rooms
+     */
+    sweep() {
+        this.#sweep ??= this.#removeRooms().finally(() => this.#sweep = undefined);
+        return this.#sweep;
+    }
+
+    /**
+     * @private
+     * @returns {Promise<RemovedRoom[]>}
+     */
+    async #removeRooms() {
+        const removedRooms = [];
+        for (const roomId of await this.#storage.listRoomIds()) {
+            try {
+                const info = await this.#storage.getRoomInfo(roomId);
+                const reason = await this.#getRemovalReason(roomId, info);
+                if (!reason) {
+                    if (info) await this.#removeLostMembers(roomId);
+                    continue;
+                }
+                await this.#storage.deleteRoom(roomId);
+                removedRooms.push({ roomId, reason });
+                this.#logger.info(`Removed ${reason} room`, { event: 'roomRemoved', roomId, reason });
+            } catch (error) {
+                this.#logger.error('Error removing room', { event: 'error', roomId, error });
+            }
+        }
+        return removedRooms;
+    }
+
+    /**
+     * Removes the members of a room that were lost longer than the lost member TTL.
+     * @private
+     * @param {string} roomId
+     * @returns {Promise<void>}
+     */
+    async #removeLostMembers(roomId) {
+        if (this.#lostMemberTtl === Infinity) return;
+        for (const memberId of await this.#storage.removeLostMembers(roomId, Date.now() - this.#lostMemberTtl)) {
+            this.#logger.info('Removed lost member', { event: 'lostMemberRemoved', roomId, userId: memberId });
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} roomId
+     * @param {import('../storage/roomStorage.mjs').StoredRoomInfo | undefined} info
+     * @returns {Promise<RemovalReason | undefined>} The reason to remove the room, or undefined if it should be kept
+     */
+    async #getRemovalReason(roomId, info) {
+        // Without members or locations, the collection is not the remains of a room, but other data with a similar ID
+        if (!info) return await this.#storage.getLastActivity(roomId) ? 'orphaned' : undefined;
+        const now = Date.now();
+        if (info.closed) return info.closedAt && info.closedAt.toMillis() + CLOSED_ROOM_RETENTION <= now ? 'closed' : undefined;
+        if (isRoomExpired(info, this.#roomTtl, now)) return 'expired';
+        if (this.#isRoomActive(roomId)) return undefined;
+        const lastActivity = await this.#storage.getLastActivity(roomId);
+        if (!lastActivity || lastActivity.toMillis() + this.#staleAfter <= now) return 'stale';
+        return undefined;
+    }
+}
@@ -0,0 +1,109 @@
+import { describe, expect, vi } from "vitest";
+import { test } from "./serverTestUtils.mjs";
+import { CLOSED_ROOM_RETENTION, RoomJanitor } from "./janitor.mjs";
+
+describe('RoomJanitor', () => {
+    test('should remove rooms that are older than the room TTL', async ({ roomOpener, storage, logger }) => {
+        await roomOpener.createRoom(0, 0);
+        const roomId = roomOpener.getRoomId();
+        const janitor = new RoomJanitor(storage, { roomTtl: 0, staleAfter: 60000, logger });
+        expect(await janitor.sweep()).toContainEqual({ roomId, reason: 'expired' });
+        expect(await storage.roomExists(roomId)).toBe(false);
+        expect(await storage.countMembers(roomId)).toBe(0);
+    });
+
+    test('should remove rooms that outlived their own lifetime', async ({ roomOpener, storage, logger }) => {
+        vi.useFakeTimers({ toFake: ['Date'] });
+        try {
+            await roomOpener.createRoom(0, 0, undefined, undefined, { lifetime: 60000 });
+            const roomId = roomOpener.getRoomId();
+            const janitor = new RoomJanitor(storage, { roomTtl: 24 * 60 * 60 * 1000, staleAfter: 24 * 60 * 60 * 1000, logger });
+            expect(await janitor.sweep()).toEqual([]);
+            vi.advanceTimersByTime(60000);
+            expect(await janitor.sweep()).toContainEqual({ roomId, reason: 'expired' });
+            expect(await storage.roomExists(roomId)).toBe(false);
+        } finally {
+            vi.useRealTimers();
+        }
+    });
+
+    test('should keep closed rooms for a while before removing them', async ({ roomOpener, storage, logger }) => {
+        vi.useFakeTimers({ toFake: ['Date'] });
+        try {
+            await roomOpener.createRoom(0, 0);
+            const roomId = roomOpener.getRoomId();
+            await roomOpener.closeRoom();
+            const janitor = new RoomJanitor(storage, { roomTtl: 0, staleAfter: 0, logger });
+            expect(await janitor.sweep()).toEqual([]);
+            vi.advanceTimersByTime(CLOSED_ROOM_RETENTION);
+            expect(await janitor.sweep()).toContainEqual({ roomId, reason: 'closed' });
+            expect(await storage.roomExists(roomId)).toBe(false);
+        } finally {
+            vi.useRealTimers();
+        }
+    });
+
+    test('should remove stale rooms without members on this server', async ({ roomOpener, storage, logger }) => {
+        await roomOpener.createRoom(0, 0);
+        const roomId = roomOpener.getRoomId();
+        const isRoomActive = vi.fn(() => false);
+        const janitor = new RoomJanitor(storage, { roomTtl: 60000, staleAfter: 0, isRoomActive, logger });
+        expect(await janitor.sweep()).toContainEqual({ roomId, reason: 'stale' });
+        expect(isRoomActive).toHaveBeenCalledWith(roomId);
+        expect(await storage.roomExists(roomId)).toBe(false);
+    });
+
+    test('should keep recent and active rooms', async ({ roomOpener, roomJoiner, storage, logger }) => {
+        await roomOpener.createRoom(0, 0);
+        await roomJoiner.createRoom(1, 1);
+        const staleRoomId = roomOpener.getRoomId();
+        const activeRoomId = roomJoiner.getRoomId();
+        const recentJanitor = new RoomJanitor(storage, { roomTtl: 60000, staleAfter: 60000, logger });
+        expect(await recentJanitor.sweep()).toEqual([]);
+        const activeJanitor = new RoomJanitor(storage, {
+            roomTtl: 60000,
+            staleAfter: 0,
+            isRoomActive: roomId => roomId === activeRoomId,
+            logger
+        });
+        expect(await activeJanitor.sweep()).toEqual([{ roomId: staleRoomId, reason: 'stale' }]);
+        expect(await storage.roomExists(activeRoomId)).toBe(true);
+    });
+
+    test('should remove members that were lost for too long', async ({ roomOpener, roomJoiner, storage, logger }) => {
+        vi.useFakeTimers({ toFake: ['Date'] });
+        try {
+            await roomOpener.createRoom(0, 0);
+            const roomId = roomOpener.getRoomId();
+            await roomJoiner.joinRoom(roomId, 1, 1);
+            const joinerId = roomJoiner.getId();
+            await roomJoiner.suspend();
+            const janitor = new RoomJanitor(storage, { roomTtl: 24 * 60 * 60 * 1000, staleAfter: 24 * 60 * 60 * 1000, lostMemberTtl: 60000, logger });
+            await janitor.sweep();
+            expect(await storage.getMember(roomId, joinerId)).toMatchObject({ lost: true });
+            vi.advanceTimersByTime(60001);
+            expect(await janitor.sweep()).toEqual([]);
+            expect(await storage.getMember(roomId, joinerId)).toBeUndefined();
+            expect(await storage.getMember(roomId, roomOpener.getId())).toBeDefined();
+            await expect.poll(() => roomOpener.messages).toContainEqual({ type: 'left', userId: joinerId });
+        } finally {
+            vi.useRealTimers();
+        }
+    });
+
+    test('should keep collections that are not the remains of a room', async ({ storage, logger }) => {
+        vi.spyOn(storage, 'listRoomIds').mockResolvedValue(['users']);
+        const deleteRoom = vi.spyOn(storage, 'deleteRoom');
+        expect(await new RoomJanitor(storage, { roomTtl: 0, staleAfter: 0, logger }).sweep()).toEqual([]);
+        expect(deleteRoom).not.toHaveBeenCalled();
+    });
+
+    test('should tell the members of a removed room that it was deleted', async ({ roomOpener, storage, logger }) => {
+        await roomOpener.createRoom(0, 0);
+        const roomId = roomOpener.getRoomId();
+        await new RoomJanitor(storage, { roomTtl: 0, staleAfter: 0, logger }).sweep();
+        await expect.poll(() => roomOpener.messages).toContainEqual({ type: 'roomDeleted', roomId });
+        await roomOpener.createRoom(1, 1);
+        expect(roomOpener.getRoomId()).not.toBe(roomId);
+    });
+});
@@ -0,0 +1,314 @@
+import {
+    AllowProposalsError,
+    AuthenticationError,
+    AvatarError,
+    ColorError,
+    DisplayNameError,
+    IceCandidateError,
+    LatitudeError,
+    LatitudeRequiredError,
+    LocationIntervalError,
+    LongitudeError,
+    LongitudeRequiredError,
+    MaxMembersError,
+    MeetingTimeError,
+    MessageSchemaError,
+    MessageTypeError,
+    MessageTypeRequiredError,
+    PasscodeFormatError,
+    PeerIdRequiredError,
+    ProposalDescriptionError,
+    ProposalExpiryError,
+    ProposalLabelError,
+    ProposerIdRequiredError,
+    ProtocolVersionError,
+    RequestIdError,
+    ResumeTokenError,
+    RoomIdRequiredError,
+    RoomLifetimeError,
+    SdpError,
+    SuggestionWeightError
+} from './errors.mjs';
+import { MAX_DESCRIPTION_LENGTH, MAX_LABEL_LENGTH } from '../room/proposal.mjs';
+import { MAX_AVATAR_LENGTH, MAX_DISPLAY_NAME_LENGTH } from '../room/profile.mjs';
+import {
+    MAX_LOCATION_INTERVAL,
+    MAX_MAX_MEMBERS,
+    MAX_ROOM_LIFETIME,
+    MIN_LOCATION_INTERVAL,
+    MIN_MAX_MEMBERS,
+    MIN_ROOM_LIFETIME
+} from '../room/settings.mjs';
+import { ID_PATTERN } from '../storage/roomStorage.mjs';
+import { MAX_SIGNAL_LENGTH } from './signaling.mjs';
+
+/**
+ * @typedef {object} JsonSchema A JSON Schema (draft 2020-12). Only the keywords used in this file are validated.
+ */
+
+/**
+ * The protocol versions this server speaks, from oldest to newest.
+ * Clients that don't send a `hello` message are assumed to speak the oldest version.
+ */
+export const PROTOCOL_VERSIONS = [1];
+
+const LATITUDE = { type: 'number', minimum: -90, maximum: 90 };
+const LONGITUDE = { type: 'number', minimum: -180, maximum: 180 };
+const ID = { type: 'string', minLength: 1, pattern: ID_PATTERN.source };
+
+/**
+ * The profile fields of a member. Their content is checked when the profile is stored, null clears a field.
+ */
+const PROFILE = {
+    displayName: { type: ['string', 'null'], minLength: 1, maxLength: MAX_DISPLAY_NAME_LENGTH },
+    color: { type: ['string', 'null'], minLength: 7, maxLength: 7 },
+    avatar: { type: ['string', 'null'], minLength: 1, maxLength: MAX_AVATAR_LENGTH }
+};
+
+/**
+ * The settings of a room. Null resets a setting to its default.
+ */
+const ROOM_SETTINGS = {
+    maxMembers: { type: ['integer', 'null'], minimum: MIN_MAX_MEMBERS, maximum: MAX_MAX_MEMBERS },
+    locationInterval: { type: ['integer', 'null'], minimum: MIN_LOCATION_INTERVAL, maximum: MAX_LOCATION_INTERVAL },
+    allowProposals: { type: ['boolean', 'null'] },
+    lifetime: { type: ['integer', 'null'], minimum: MIN_ROOM_LIFETIME, maximum: MAX_ROOM_LIFETIME }
+};
+
+/**
+ * Creates the schema of a message type. Every message may carry a request ID, and unknown properties are allowed,
+ * so that newer clients can send additional data to older servers.
+ * @param {string} type The message type
+ * @param {Object<string, JsonSchema>} [properties] The schemas of the message's properties
+ * @param {string[]} [required] The names of the required properties
+ * @returns {JsonSchema}
+ */
+function messageSchema(type, properties = {}, required = []) {
+    return {
+        type: 'object',
+        properties: {
+            type: { const: type },
+            requestId: { type: ['string', 'number'], maxLength: 64 },
+            ...properties
+        },
+        required: ['type', ...required]
+    };
+}
+
+/**
+ * The schemas of all messages a client can send, by protocol version and message type.
+ * @type {Object<number, Object<string, JsonSchema>>}
+ */
+const MESSAGE_SCHEMAS = {
+    1: {
+        hello: messageSchema('hello', {
+            versions: { type: 'array', items: { type: 'integer', minimum: 1 }, minItems: 1, maxItems: 16 }
+        }, ['versions']),
+        auth: messageSchema('auth', { idToken: { type: 'string', minLength: 1 } }, ['idToken']),
+        pong: messageSchema('pong'),
+        resume: messageSchema('resume', { resumeToken: { type: 'string', minLength: 1 } }, ['resumeToken']),
+        create: messageSchema('create', {
+            lat: LATITUDE,
+            lng: LONGITUDE,
+            passcode: { type: 'string', minLength: 4, maxLength: 128 },
+            ...PROFILE,
+            ...ROOM_SETTINGS
+        }, ['lat', 'lng']),
+        join: messageSchema('join', {
+            roomId: ID,
+            lat: LATITUDE,
+            lng: LONGITUDE,
+            passcode: { type: 'string', maxLength: 128 },
+            ...PROFILE
+        }, ['roomId', 'lat', 'lng']),
+        leave: messageSchema('leave'),
+        profile: messageSchema('profile', PROFILE),
+        settings: messageSchema('settings', ROOM_SETTINGS),
+        location: messageSchema('location', { lat: LATITUDE, lng: LONGITUDE }, ['lat', 'lng']),
+        propose: messageSchema('propose', {
+            lat: LATITUDE,
+            lng: LONGITUDE,
+            label: { type: 'string', minLength: 1, maxLength: MAX_LABEL_LENGTH },
+            description: { type: 'string', maxLength: MAX_DESCRIPTION_LENGTH },
+            // Times in milliseconds since the epoch, their range is checked against the current time
+            meetingTime: { type: 'integer', minimum: 0 },
+            expiresAt: { type: 'integer', minimum: 0 }
+        }, ['lat', 'lng']),
+        accept: messageSchema('accept', { proposerId: ID }, ['proposerId']),
+        revoke: messageSchema('revoke', { proposerId: ID }, ['proposerId']),
+        withdraw: messageSchema('withdraw'),
+        clearMeetingPoint: messageSchema('clearMeetingPoint'),
+        suggestMeetingPoint: messageSchema('suggestMeetingPoint', {
+            // The weights of the weighted midpoint by member ID
+            weights: { type: 'object', additionalProperties: { type: 'number', minimum: 0 } }
+        }),
+        kick: messageSchema('kick', { targetId: ID }, ['targetId']),
+        ban: messageSchema('ban', { targetId: ID }, ['targetId']),
+        // Without locked, the room is locked
+        lock: messageSchema('lock', { locked: { type: 'boolean' } }),
+        closeRoom: messageSchema('closeRoom'),
+        offer: messageSchema('offer', {
+            targetId: ID,
+            sdp: { type: 'string', minLength: 1, maxLength: MAX_SIGNAL_LENGTH }
+        }, ['targetId', 'sdp']),
+        answer: messageSchema('answer', {
+            targetId: ID,
+            sdp: { type: 'string', minLength: 1, maxLength: MAX_SIGNAL_LENGTH }
+        }, ['targetId', 'sdp']),
+        'ice-candidate': messageSchema('ice-candidate', {
+            targetId: ID,
+            // A null candidate signals the end of the candidates
+            candidate: {
+                type: ['object', 'null'],
+                properties: {
+                    candidate: { type: 'string', maxLength: MAX_SIGNAL_LENGTH },
+                    sdpMid: { type: ['string', 'null'] },
+                    sdpMLineIndex: { type: ['integer', 'null'] },
+                    usernameFragment: { type: ['string', 'null'] }
+                },
+                required: ['candidate']
+            }
+        }, ['targetId', 'candidate'])
+    }
+};
+
+/**
+ * The errors thrown if a message property is missing or invalid. They keep the error codes clients relied on before
+ * messages were validated against schemas. Violations of other properties throw a MessageSchemaError.
+ * @type {Object<string, { required: typeof import('./errors.mjs').FindMeError, invalid: typeof import('./errors.mjs').FindMeError }>}
+ */
+const PROPERTY_ERRORS = {
+    requestId: { required: RequestIdError, invalid: RequestIdError },
+    idToken: { required: AuthenticationError, invalid: AuthenticationError },
+    resumeToken: { required: ResumeTokenError, invalid: ResumeTokenError },
+    lat: { required: LatitudeRequiredError, invalid: LatitudeError },
+    lng: { required: LongitudeRequiredError, invalid: LongitudeError },
+    roomId: { required: RoomIdRequiredError, invalid: RoomIdRequiredError },
+    passcode: { required: PasscodeFormatError, invalid: PasscodeFormatError },
+    proposerId: { required: ProposerIdRequiredError, invalid: ProposerIdRequiredError },
+    label: { required: ProposalLabelError, invalid: ProposalLabelError },
+    description: { required: ProposalDescriptionError, invalid: ProposalDescriptionError },
+    meetingTime: { required: MeetingTimeError, invalid: MeetingTimeError },
+    expiresAt: { required: ProposalExpiryError, invalid: ProposalExpiryError },
+    weights: { required: SuggestionWeightError, invalid: SuggestionWeightError },
+    displayName: { required: DisplayNameError, invalid: DisplayNameError },
+    color: { required: ColorError, invalid: ColorError },
+    avatar: { required: AvatarError, invalid: AvatarError },
+    maxMembers: { required: MaxMembersError, invalid: MaxMembersError },
+    locationInterval: { required: LocationIntervalError, invalid: LocationIntervalError },
+    allowProposals: { required: AllowProposalsError, invalid: AllowProposalsError },
+    lifetime: { required: RoomLifetimeError, invalid: RoomLifetimeError },
+    targetId: { required: PeerIdRequiredError, invalid: PeerIdRequiredError },
+    sdp: { required: SdpError, invalid: SdpError },
+    candidate: { required: IceCandidateError, invalid: IceCandidateError }
+};
+
+/**
+ * Checks if a value has a JSON Schema type.
+ * @param {string} type
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function hasType(type, value) {
+    switch (type) {
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array': return Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'null': return value === null;
+        default: return typeof value === type;
+    }
+}
+
+/**
+ * Finds the first violation of a schema.
+ * @param {JsonSchema} schema
+ * @param {unknown} value
+ * @param {string[]} [path] The path of the value in the message
+ * @returns {{ path: string[], keyword: string } | undefined} The path of the invalid value and the violated keyword, or undefined if the value is valid
+ */
+function findViolation(schema, value, path = []) {
+    const violation = keyword => ({ path, keyword });
+    if ('const' in schema && value !== schema.const) return violation('const');
+    if (schema.type && ![schema.type].flat().some(type => hasType(type, value))) return violation('type');
+    if (typeof value === 'string') {
+        if (value.length < (schema.minLength ?? 0)) return violation('minLength');
+        if (value.length > (schema.maxLength ?? Infinity)) return violation('maxLength');
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) return violation('pattern');
+    }
+    if (typeof value === 'number') {
+        if (value < (schema.minimum ?? -Infinity)) return violation('minimum');
+        if (value > (schema.maximum ?? Infinity)) return violation('maximum');
+    }
+    if (Array.isArray(value)) {
+        if (value.length < (schema.minItems ?? 0)) return violation('minItems');
+        if (value.length > (schema.maxItems ?? Infinity)) return violation('maxItems');
+        for (let index = 0; schema.items && index < value.length; index++) {
+            const itemViolation = findViolation(schema.items, value[index], [...path, String(index)]);
+            if (itemViolation) return itemViolation;
+        }
+    }
+    if (hasType('object', value)) {
+        for (const property of schema.required ?? []) {
+            if (value[property] === undefined) return { path: [...path, property], keyword: 'required' };
+        }
+        for (const [property, propertySchema] of Object.entries(schema.properties ?? {})) {
+            if (value[property] === undefined) continue;
+            const propertyViolation = findViolation(propertySchema, value[property], [...path, property]);
+            if (propertyViolation) return propertyViolation;
+        }
+        for (const [property, propertyValue] of Object.entries(schema.additionalProperties ? value : {})) {
+            if (Object.hasOwn(schema.properties ?? {}, property)) continue;
+            const propertyViolation = findViolation(schema.additionalProperties, propertyValue, [...path, property]);
+            if (propertyViolation) return propertyViolation;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Validates a parsed client message against the schema of its type.
+ * @param {object} message
+ * @param {number} [version] The protocol version of the connection
+ * @throws {MessageTypeRequiredError} If the message has no type
+ * @throws {MessageTypeError} If the message type is unknown in this protocol version
+ * @throws {import('./errors.mjs').FindMeError} The error of the first invalid property, see {@link PROPERTY_ERRORS}, or a MessageSchemaError
+ */
+export function validateMessage(message, version = PROTOCOL_VERSIONS[0]) {
+    if (message.type === undefined || message.type === null || message.type === '') throw new MessageTypeRequiredError();
+    const schemas = MESSAGE_SCHEMAS[version];
+    if (typeof message.type !== 'string' || !Object.hasOwn(schemas, message.type)) throw new MessageTypeError();
+    const violation = findViolation(schemas[message.type], message);
+    if (!violation) return;
+    const errors = PROPERTY_ERRORS[violation.path[0]];
+    if (errors) throw new (violation.keyword === 'required' && violation.path.length === 1 ? errors.required : errors.invalid)();
+    throw new MessageSchemaError(`${violation.path.join('.')} violates ${violation.keyword}`);
+}
+
+/**
+ * Picks the newest protocol version that both the client and the server speak.
+ * @param {number[]} clientVersions The protocol versions the client speaks
+ * @returns {number}
+ * @throws {ProtocolVersionError} If the client speaks none of the server's protocol versions
+ */
+export function negotiateProtocolVersion(clientVersions) {
+    const version = PROTOCOL_VERSIONS.findLast(version => clientVersions.includes(version));
+    if (version === undefined) throw new ProtocolVersionError();
+    return version;
+}
+
+/**
+ * Returns a JSON Schema that describes every message a client can send in a protocol version.
+ * @param {number} [version] The protocol version, defaults to the newest one
+ * @returns {JsonSchema}
+ * @throws {ProtocolVersionError} If the server does not speak this protocol version
+ */
+export function getMessageJsonSchema(version = PROTOCOL_VERSIONS.at(-1)) {
+    const schemas = MESSAGE_SCHEMAS[version];
+    if (!schemas) throw new ProtocolVersionError();
+    return {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        $id: `findme-protocol-v${version}`,
+        title: `FindMe client messages, protocol version ${version}`,
+        oneOf: Object.values(structuredClone(schemas))
+    };
+}
@@ -0,0 +1,38 @@
+import { describe, expect, test } from "vitest";
+import { getMessageJsonSchema, negotiateProtocolVersion, validateMessage } from "./protocol.mjs";
+import { IceCandidateError, MessageSchemaError, MessageTypeError, MessageTypeRequiredError, PeerIdRequiredError, ProtocolVersionError, RoomIdRequiredError, SuggestionWeightError } from "./errors.mjs";
+
+describe('protocol.mjs', () => {
+    test('should accept valid messages with unknown properties', () => {
+        expect(() => validateMessage({ type: 'create', lat: 0, lng: 0, futureProperty: true })).not.toThrow();
+        expect(() => validateMessage({ type: 'ice-candidate', targetId: 'a', candidate: null })).not.toThrow();
+    });
+
+    test('should reject messages without a known type', () => {
+        expect(() => validateMessage({})).toThrow(MessageTypeRequiredError);
+        expect(() => validateMessage({ type: 'unknown' })).toThrow(MessageTypeError);
+        expect(() => validateMessage({ type: 'toString' })).toThrow(MessageTypeError);
+    });
+
+    test('should throw the error of the invalid property', () => {
+        expect(() => validateMessage({ type: 'ice-candidate', targetId: 'a', candidate: { sdpMid: '0' } })).toThrow(IceCandidateError);
+        expect(() => validateMessage({ type: 'hello', versions: [] })).toThrow(MessageSchemaError);
+        expect(() => validateMessage({ type: 'suggestMeetingPoint', weights: { a: 1, b: -1 } })).toThrow(SuggestionWeightError);
+        expect(() => validateMessage({ type: 'suggestMeetingPoint', weights: { a: 1, b: 0 } })).not.toThrow();
+        expect(() => validateMessage({ type: 'join', roomId: 'a/b', lat: 0, lng: 0 })).toThrow(RoomIdRequiredError);
+        expect(() => validateMessage({ type: 'kick', targetId: 'x'.repeat(33) })).toThrow(PeerIdRequiredError);
+    });
+
+    test('should negotiate the newest common protocol version', () => {
+        expect(negotiateProtocolVersion([0, 1])).toBe(1);
+        expect(() => negotiateProtocolVersion([2])).toThrow(ProtocolVersionError);
+    });
+
+    test('should export the message schemas as JSON Schema', () => {
+        const schema = getMessageJsonSchema(1);
+        expect(schema).toMatchObject({ $schema: 'https://json-schema.org/draft/2020-12/schema', $id: 'findme-protocol-v1' });
+        expect(schema.oneOf.map(({ properties }) => properties.type.const)).toContain('join');
+        expect(JSON.parse(JSON.stringify(schema))).toEqual(schema);
+        expect(() => getMessageJsonSchema(99)).toThrow(ProtocolVersionError);
+    });
+});
@@ -1,85 +1,625 @@
 import { WebSocketServer, WebSocket } from "ws";
-import { Firestore, getFirestore } from "firebase-admin/firestore";
-import { MessageError, MessageTypeRequiredError, WebSocketError } from "./errors.mjs";
+import {
+    AlreadyAuthenticatedError,
+    AuthenticationError,
+    AuthenticationRequiredError,
+    FindMeError,
+    MessageError,
+    MessageFormatError,
+    MessageTypeError,
+    PasscodeError,
+    PeerIdRequiredError,
+    PeerUnavailableError,
+    ProtocolVersionNegotiatedError,
+    RequestIdError,
+    ServerShutdownError,
+    UserInRoomError,
+    UserNotInRoomError,
+    WebSocketError
+} from "./errors.mjs";
 import { RoomMember } from "../room/roomMember.mjs";
-import { initializeApp } from "firebase-admin/app";
-import { createRequire } from "module";
-import admin from "firebase-admin";
-const require = createRequire(import.meta.url);
-
-initializeApp({
-    credential: admin.credential.cert(require("../../../firebase.secret.json"))
-});
+import { SessionRegistry } from "./sessions.mjs";
+import { PasscodeThrottle } from "./throttle.mjs";
+import { RoomJanitor } from "./janitor.mjs";
+import { MetricsRegistry } from "../metrics/metrics.mjs";
+import { getSignalPayload } from "./signaling.mjs";
+import { PROTOCOL_VERSIONS, negotiateProtocolVersion, validateMessage } from "./protocol.mjs";
+import { createFirebaseTokenVerifier, getRequestIdToken } from "./auth.mjs";
+import { toGeoPoint } from "../room/location.mjs";
+import { Logger } from "../logging/logger.mjs";
+import { randomUUID } from "crypto";
 
 /**
  * @todo #1
  */
 
+/**
+ * The close codes of connections that were closed on purpose by the client: normal closure and a close frame without code.
+ * Members whose connection closes with any other code are suspended and can resume their session.
+ */
+const LEAVING_CLOSE_CODES = [1000, 1005];
+
+/**
+ * The message types a client may send before its connection is authenticated.
+ */
+const UNAUTHENTICATED_MESSAGE_TYPES = ['hello', 'auth', 'pong'];
+
+/**
+ * The close code of connections that are closed because the server shuts down.
+ */
+const GOING_AWAY_CLOSE_CODE = 1001;
+
+/**
+ * Parses a raw WebSocket message into a JSON object.
+ * @param {WebSocket.RawData} message
+ * @returns {object}
+ * @throws {MessageFormatError} If the message is not a JSON object
+ */
+function parseMessage(message) {
+    let jsonMessage;
+    try {
+        jsonMessage = JSON.parse(message.toString('utf8'));
+    } catch {
+        throw new MessageFormatError();
+    }
+    if (!jsonMessage || typeof jsonMessage !== 'object' || Array.isArray(jsonMessage)) throw new MessageFormatError();
+    return jsonMessage;
+}
+
+/**
+ * Validates the optional request ID of a message.
+ * @param {unknown} requestId
+ * @returns {string | number | undefined}
+ * @throws {RequestIdError} If the request ID is neither a string of at most 64 characters nor a finite number
+ */
+function parseRequestId(requestId) {
+    if (requestId === undefined || requestId === null) return undefined;
+    if (typeof requestId === 'string' && requestId.length <= 64) return requestId;
+    if (typeof requestId === 'number' && Number.isFinite(requestId)) return requestId;
+    throw new RequestIdError();
+}
+
+/**
+ * Waits for a promise, but at most until a deadline.
+ * @param {Promise<unknown>} promise
+ * @param {number} deadline The time in milliseconds since the epoch
+ * @returns {Promise<boolean>} Whether the promise settled before the deadline
+ */
+function settleUntil(promise, deadline) {
+    let timer;
+    return Promise.race([
+        promise.then(() => true, () => true),
+        new Promise(resolve => timer = setTimeout(() => resolve(false), Math.max(0, deadline - Date.now())))
+    ]).finally(() => clearTimeout(timer));
+}
+
 /**
  * The FindMeServer class extends the WebSocketServer class to create a WebSocket server for the FindMe web app.
- * It initializes the server with the provided Firebase app and Firestore database.
+ * It stores all rooms in the provided storage backend.
  * @extends {WebSocketServer}
  */
 export class FindMeServer extends WebSocketServer {
     /**
-     * A function to log messages, defaults to console.log
      * @private
-     * @type {function(string): void}
+     * @type {Logger} The logger of the server, the logger of every connection is a child of it
+     */
+    #logger;
+    /**
+     * @private
+     * @type {WeakMap<WebSocket, Logger>} The logger of every connection, which adds the connection ID, room ID and user ID to every entry
+     */
+    #connectionLoggers = new WeakMap();
+    /**
+     * @private
+     * @type {import("../storage/roomStorage.mjs").RoomStorage} The storage backend responsible for all rooms
+     */
+    #storage;
+    /**
+     * @private
+     * @type {SessionRegistry} The room members that can be resumed after their connection was lost
      */
-    #onLog;
+    #sessions;
     /**
      * @private
-     * @type {Firestore} The main Firestore database instance responsible for all rooms
+     * @type {Map<WebSocket, RoomMember>} The room member of every open connection
      */
-    #firestoreDatabase;
+    #connections = new Map();
+    /**
+     * @private
+     * @type {import("./auth.mjs").TokenVerifier} Verifies the ID tokens clients authenticate with
+     */
+    #verifyIdToken;
+    /**
+     * @private
+     * @type {PasscodeThrottle} Limits the failed attempts to join private rooms
+     */
+    #passcodeThrottle;
+    /**
+     * @private
+     * @type {RoomJanitor} Removes expired and abandoned rooms
+     */
+    #janitor;
+    /**
+     * @private
+     * @type {{ messages: import("../metrics/metrics.mjs").Counter, errors: import("../metrics/metrics.mjs").Counter, heartbeatTimeouts: import("../metrics/metrics.mjs").Counter }}
+     * The counters this server updates
+     */
+    #metrics;
+    /**
+     * @private
+     * @type {Set<Promise<void>>} The message and close handlers that are still running, e.g. waiting for a transaction
+     */
+    #pendingHandlers = new Set();
+    /**
+     * @private
+     * @type {Promise<void> | undefined} The running shutdown, see {@link FindMeServer#shutdown}
+     */
+    #shutdown;
+    /**
+     * @private
+     * @type {{ timeout: number, reconnectDelay: number }} The options of the shutdown
+     */
+    #shutdownOptions;
     /**
-     * @param {Firestore} firestoreDatabase
      * @param {WebSocket.ServerOptions} webSocketServerOptions
+     * @param {object} [options]
+     * @param {Logger} [options.logger] The logger of lifecycle events and errors, defaults to logging to stdout
+     * @param {import("../storage/roomStorage.mjs").RoomStorage} options.storage The storage backend
+     * @param {number} [options.resumeGracePeriod] The time in milliseconds a member whose connection was lost can resume its session
+     * @param {import("./auth.mjs").TokenVerifier} [options.verifyIdToken] Verifies ID tokens, defaults to verifying Firebase ID tokens
+     * @param {number} [options.authenticationTimeout] The time in milliseconds a client has to authenticate after connecting
+     * @param {number} [options.heartbeatTimeout] The time in milliseconds a client has to answer a ping
+     * @param {number} [options.roomIdLength] The number of characters of new room IDs
+     * @param {number} [options.maxPasscodeAttempts] The number of incorrect passcodes per user and room after which the user can't join the room
+     * @param {number} [options.passcodeAttemptWindow] The time in milliseconds incorrect passcodes are counted for a user and room
+     * @param {number} [options.roomTtl] The time in milliseconds after its creation a room is removed
+     * @param {number} [options.staleRoomAge] The time in milliseconds without any member activity after which a room without members on this server is removed
+     * @param {number} [options.janitorInterval] The time in milliseconds between two sweeps for expired and abandoned rooms
+     * @param {number} [options.locationWriteInterval] The minimum time in milliseconds between two location writes of a member
+     * @param {number} [options.maxLocationUpdateRate] The maximum number of location messages per second and member
+     * @param {number} [options.meetingPointQuorum] The fraction of a room's members that has to accept a proposal to agree on it, defaults to all members
+     * @param {number} [options.arrivalRadius] The distance in meters from the agreed meeting point within which a member has arrived
+     * @param {number} [options.arrivalHysteresis] The additional distance in meters an arrived member has to move away from the agreed meeting point to depart
+     * @param {number} [options.distanceInterval] The time in milliseconds between two distance digests of a member, 0 disables them
+     * @param {MetricsRegistry} [options.metrics] The registry to add the server's metrics to
+     * @param {number} [options.shutdownTimeout] The time in milliseconds a shutdown may take before remaining connections are terminated
+     * @param {number} [options.reconnectDelay] The maximum time in milliseconds clients are told to wait before reconnecting after a shutdown
+     * @throws {Error} If no storage backend is provided
      */
-    constructor(webSocketServerOptions, onLog = console.log) {
-        super(webSocketServerOptions);
-        this.#firestoreDatabase = getFirestore(undefined, 'findme-db');
-        this.#onLog = onLog;
-        this.on('connection', (ws) => {
+    constructor(webSocketServerOptions, {
+        logger = new Logger(),
+        storage,
+        resumeGracePeriod = 60000,
+        verifyIdToken = createFirebaseTokenVerifier(),
+        authenticationTimeout = 10000,
+        heartbeatTimeout = 30000,
+        roomIdLength = 4,
+        maxPasscodeAttempts = 5,
+        passcodeAttemptWindow = 60000,
+        roomTtl = 24 * 60 * 60 * 1000,
+        staleRoomAge = 2 * 60 * 60 * 1000,
+        janitorInterval = 5 * 60 * 1000,
+        locationWriteInterval = 1000,
+        maxLocationUpdateRate = 20,
+        meetingPointQuorum = 1,
+        arrivalRadius = 50,
+        arrivalHysteresis = 25,
+        distanceInterval = 5000,
+        metrics = new MetricsRegistry(),
+        shutdownTimeout = 8000,
+        reconnectDelay = 5000
+    }) {
+        if (!storage) throw new Error('Storage is required');
+        super({
+            ...webSocketServerOptions,
+            // Clients that send an ID token with the upgrade request are authenticated before the connection is established
+            verifyClient: ({ req }, callback) => {
+                if (this.#shutdown) return callback(false, 503, 'Server is shutting down');
+                const idToken = getRequestIdToken(req);
+                if (!idToken) return callback(true);
+                verifyIdToken(idToken).then(({ uid }) => {
+                    req.uid = uid;
+                    callback(true);
+                }, () => callback(false, 401, 'Unauthorized'));
+            }
+        });
+        this.#storage = storage;
+        this.#logger = logger;
+        this.#verifyIdToken = verifyIdToken;
+        this.#shutdownOptions = { timeout: shutdownTimeout, reconnectDelay };
+        this.#registerMetrics(metrics);
+        this.#passcodeThrottle = new PasscodeThrottle(maxPasscodeAttempts, passcodeAttemptWindow);
+        this.#janitor = new RoomJanitor(storage, {
+            roomTtl,
+            staleAfter: staleRoomAge,
+            lostMemberTtl: resumeGracePeriod,
+            isRoomActive: roomId => [...this.#connections.values()].some(member => member.room?.id === roomId && !member.suspended),
+            logger
+        });
+        this.#janitor.start(janitorInterval);
+        this.on('close', () => this.#janitor.stop());
+        this.#sessions = new SessionRegistry(resumeGracePeriod, async roomMember => {
+            try {
+                if (!await roomMember.isStillLost()) {
+                    roomMember.dispose();
+                    this.#getLogger(roomMember).info('Session was resumed or removed by another server', { event: 'sessionTakenOver' });
+                    return;
+                }
+                await this.#leaveRoom(roomMember, 'sessionExpired');
+            } catch (error) {
+                this.#getLogger(roomMember).error('Error removing lost member', { event: 'error', error });
+            }
+        });
+        this.on('connection', (ws, request) => {
             if (!ws) throw new WebSocketError();
-            const roomMember = new RoomMember(this.#firestoreDatabase, ws);
-            ws.on('message', async message => {
+            let roomMember = new RoomMember(this.#storage, ws, member => {
+                this.#metrics.heartbeatTimeouts.inc();
+                this.#getLogger(member).warn('Heartbeat timed out', { event: 'heartbeatTimeout' });
+                member.ws.terminate();
+            }, {
+                heartbeatTimeout,
+                roomIdLength,
+                locationWriteInterval,
+                maxLocationUpdateRate,
+                onLocationWriteError: (error, member) => {
+                    this.#metrics.errors.inc({ error: error?.name ?? 'Error' });
+                    this.#getLogger(member).error('Error writing location', { event: 'error', error });
+                },
+                meetingPointQuorum,
+                arrivalRadius,
+                arrivalHysteresis,
+                distanceInterval
+            });
+            this.#connections.set(ws, roomMember);
+            roomMember.uid = request?.uid;
+            const connectionId = randomUUID();
+            const connectionLogger = this.#logger.child(() => ({
+                connectionId,
+                uid: roomMember.uid,
+                roomId: roomMember.room?.id,
+                userId: roomMember.id
+            }));
+            this.#connectionLoggers.set(ws, connectionLogger);
+            connectionLogger.info('Client connected', { event: 'connection' });
+            if (roomMember.uid) ws.send(JSON.stringify({ type: 'authenticated', uid: roomMember.uid }));
+            /**
+             * The protocol version of this connection. It is negotiated with a `hello` message,
+             * clients that don't send one speak the oldest version.
+             * @type {number | undefined}
+             */
+            let protocolVersion;
+            const authenticationTimer = setTimeout(() => {
+                if (!roomMember.uid) ws.close(1008, 'Authentication timed out');
+            }, authenticationTimeout);
+            /**
+             * @param {WebSocket.RawData} message
+             */
+            const handleMessage = async message => {
+                /**
+                 * The optional ID the client attached to the message. It is sent back in the `ack` or `error` response.
+                 * @type {string | number | undefined}
+                 */
+                let requestId;
                 try {
+                    if (this.#shutdown) throw new ServerShutdownError();
                     if (!message) throw new MessageError();
-                    const messageString = message.toString('utf8');
-                    const jsonMessage = JSON.parse(messageString);
-                    const { type: messageType, lat, lng, roomId } = jsonMessage;
-                    if (!messageType) throw new MessageTypeRequiredError();
+                    const jsonMessage = parseMessage(message);
+                    requestId = parseRequestId(jsonMessage.requestId);
+                    validateMessage(jsonMessage, protocolVersion);
+                    const { type: messageType, lat, lng, roomId, proposerId, resumeToken, targetId, idToken, passcode, versions } = jsonMessage;
+                    const { label, description, meetingTime, expiresAt, weights, displayName, color, avatar, locked } = jsonMessage;
+                    const { maxMembers, locationInterval, allowProposals, lifetime } = jsonMessage;
+                    const profile = { displayName, color, avatar };
+                    const settings = { maxMembers, locationInterval, allowProposals, lifetime };
+                    this.#metrics.messages.inc({ type: messageType });
+                    if (!roomMember.uid && !UNAUTHENTICATED_MESSAGE_TYPES.includes(messageType)) throw new AuthenticationRequiredError();
+                    let result;
                     switch (messageType) {
+                        case 'hello':
+                            if (protocolVersion !== undefined) throw new ProtocolVersionNegotiatedError();
+                            protocolVersion = negotiateProtocolVersion(versions);
+                            result = { version: protocolVersion };
+                            ws.send(JSON.stringify({ type: 'welcome', version: protocolVersion, supportedVersions: PROTOCOL_VERSIONS }));
+                            break;
+                        case 'auth':
+                            result = await this.#authenticate(roomMember, idToken);
+                            connectionLogger.info('Client authenticated', { event: 'authenticated' });
+                            ws.send(JSON.stringify({ type: 'authenticated', ...result }));
+                            break;
                         case 'pong': roomMember.checkAlive(); //TODO #2
                             break;
                         case 'create':
-                            await roomMember.createRoom(lat, lng);
+                            result = await roomMember.createRoom(lat, lng, passcode, profile, settings);
+                            this.#sessions.register(roomMember);
+                            connectionLogger.info('Created room', { event: 'create', private: Boolean(passcode) });
                             break;
                         case 'join':
-                            await roomMember.joinRoom(roomId, lat, lng);
+                            result = await this.#joinRoom(roomMember, roomId, lat, lng, passcode, profile);
+                            this.#sessions.register(roomMember);
+                            connectionLogger.info('Joined room', { event: 'join' });
+                            break;
+                        case 'resume':
+                            if (roomMember.room) throw new UserInRoomError();
+                            if (this.#sessions.has(resumeToken)) {
+                                const resumedMember = this.#sessions.take(resumeToken, roomMember.uid);
+                                const previousWs = resumedMember.ws;
+                                clearTimeout(roomMember.heartbeatTimeout);
+                                roomMember = resumedMember;
+                                this.#connections.set(ws, roomMember);
+                                result = await roomMember.resume(ws);
+                                if (previousWs !== ws) previousWs.terminate();
+                            } else {
+                                // The member was suspended by another server, e.g. because it shut down
+                                await roomMember.restore(resumeToken);
+                                result = await roomMember.resume(ws);
+                            }
+                            this.#sessions.register(roomMember);
+                            connectionLogger.info('Resumed session', { event: 'resume' });
                             break;
                         case 'leave':
-                            await roomMember.leaveRoom();
+                            this.#sessions.unregister(roomMember);
+                            await this.#leaveRoom(roomMember, 'left');
                             break;
                         case 'location':
                             await roomMember.updateLocation(lat, lng);
                             break;
-                        default: throw new Error(`Unknown message type: ${messageType}`);
+                        case 'propose':
+                            await roomMember.proposeMeetingPoint(toGeoPoint(lat, lng), { label, description, meetingTime, expiresAt });
+                            break;
+                        case 'accept':
+                            await roomMember.acceptMeetingPoint(proposerId);
+                            break;
+                        case 'revoke':
+                            await roomMember.revokeMeetingPointAcceptance(proposerId);
+                            break;
+                        case 'withdraw':
+                            await roomMember.deleteProposedMeetingPoint();
+                            break;
+                        case 'clearMeetingPoint':
+                            await roomMember.clearMeetingPoint();
+                            break;
+                        case 'profile':
+                            await roomMember.updateProfile(profile);
+                            break;
+                        case 'settings':
+                            await roomMember.updateRoomSettings(settings);
+                            connectionLogger.info('Changed room settings', { event: 'settings' });
+                            break;
+                        case 'suggestMeetingPoint':
+                            await roomMember.suggestMeetingPoint(weights);
+                            break;
+                        case 'kick':
+                            await roomMember.kickMember(targetId);
+                            connectionLogger.info('Kicked member', { event: 'kick', targetId });
+                            break;
+                        case 'ban':
+                            await roomMember.banMember(targetId);
+                            connectionLogger.info('Banned member', { event: 'ban', targetId });
+                            break;
+                        case 'lock':
+                            await roomMember.lockRoom(locked ?? true);
+                            connectionLogger.info(locked === false ? 'Unlocked room' : 'Locked room', { event: 'lock', locked: locked ?? true });
+                            break;
+                        case 'closeRoom':
+                            await roomMember.closeRoom();
+                            connectionLogger.info('Closed room', { event: 'closeRoom' });
+                            break;
+                        case 'offer':
+                        case 'answer':
+                        case 'ice-candidate':
+                            this.#relaySignal(roomMember, messageType, targetId, getSignalPayload(messageType, jsonMessage));
+                            break;
+                        default: throw new MessageTypeError();
                     }
+                    if (requestId !== undefined) ws.send(JSON.stringify({ type: 'ack', requestId, result }));
                 }
                 catch (error) {
-                    this.#onLog(`Error processing message: ${error.message ?? 'Unknown error'}`);
-                    this.#onLog(error.stack ?? 'No stack trace');
-                    await roomMember.leaveRoom();
+                    this.#metrics.errors.inc({ error: error?.name ?? 'Error' });
+                    if (error instanceof FindMeError && error.recoverable) {
+                        connectionLogger.warn('Rejected message', { event: 'messageRejected', code: error.code, reason: error.message });
+                        ws.send(JSON.stringify({ type: 'error', requestId, code: error.code, message: error.message, details: error.details }));
+                        return;
+                    }
+                    connectionLogger.error('Error processing message', { event: 'error', error });
+                    this.#sessions.unregister(roomMember);
+                    await this.#leaveRoom(roomMember, 'error');
                     clearTimeout(roomMember.heartbeatTimeout);
-                    ws.close(1011, error.message ?? 'Unknown error');
+                    ws.close(error.closeCode ?? 1011, error.message ?? 'Unknown error');
                 }
-            });
-            ws.on('close', async () => {
-                await roomMember.leaveRoom();
+            };
+            /**
+             * @param {number} code
+             */
+            const handleClose = async code => {
+                clearTimeout(authenticationTimer);
+                this.#connections.delete(ws);
+                connectionLogger.info('Client disconnected', { event: 'disconnect', code });
+                // The member was resumed on another connection
+                if (roomMember.ws !== ws) return;
                 clearTimeout(roomMember.heartbeatTimeout);
-            });
+                // The member was suspended by a shutdown
+                if (roomMember.suspended) return;
+                if (!LEAVING_CLOSE_CODES.includes(code) && await roomMember.suspend()) {
+                    // During a shutdown, the member is resumed by the next server, so this one doesn't remove it
+                    if (!this.#shutdown) this.#sessions.suspend(roomMember);
+                    connectionLogger.info('Suspended session', { event: 'suspend' });
+                    return;
+                }
+                this.#sessions.unregister(roomMember);
+                await this.#leaveRoom(roomMember, 'disconnected');
+            };
+            ws.on('message', message => this.#track(handleMessage(message), connectionLogger));
+            ws.on('close', code => this.#track(handleClose(code), connectionLogger));
+        });
+    }
+
+    /**
+     * Shuts the server down gracefully, e.g. when Cloud Run stops the instance:
+     * 1. New connections and messages are rejected and every client receives a `serverShutdown` message,
+     *    which tells it to reconnect after a random delay, so that not all clients reconnect at once.
+     * 2. The messages that are being processed are finished.
+     * 3. All members are suspended and their heartbeats and snapshot listeners are stopped. They stay in their rooms,
+     *    so that they can resume their sessions on the next server. Members that don't come back stay lost
+     *    until the janitor removes their room.
+     * 4. All connections are closed with 1001 and the server is closed.
+     * Connections that are still open after the shutdown timeout are terminated.
+     * The HTTP server the FindMeServer is attached to is not closed.
+     * @returns {Promise<void>} Resolves when the server is closed. Calling it again returns the same promise.
+     */
+    shutdown() {
+        this.#shutdown ??= this.#shutDown();
+        return this.#shutdown;
+    }
+
+    /**
+     * @private
+     * @returns {Promise<void>}
+     */
+    async #shutDown() {
+        const deadline = Date.now() + this.#shutdownOptions.timeout;
+        this.#janitor.stop();
+        this.#logger.info('Shutting down', { event: 'shutdown', connections: this.clients.size });
+        for (const ws of this.clients) {
+            const reconnectAfter = Math.floor(Math.random() * this.#shutdownOptions.reconnectDelay);
+            ws.send(JSON.stringify({ type: 'serverShutdown', reconnectAfter }));
+        }
+        await settleUntil(Promise.allSettled(this.#pendingHandlers), deadline);
+        const roomMembers = new Set([...this.#connections.values(), ...this.#sessions.clear()]);
+        await settleUntil(Promise.allSettled([...roomMembers].map(async roomMember => {
+            try {
+                if (!roomMember.suspended && await roomMember.suspend()) {
+                    this.#getLogger(roomMember).info('Suspended session', { event: 'suspend', reason: 'shutdown' });
+                }
+            } catch (error) {
+                this.#getLogger(roomMember).error('Error suspending member during shutdown', { event: 'error', error });
+            } finally {
+                roomMember.dispose();
+            }
+        })), deadline);
+        const closed = Promise.all([...this.clients].map(ws => new Promise(resolve => {
+            ws.once('close', resolve);
+            ws.close(GOING_AWAY_CLOSE_CODE, 'Server is shutting down');
+        })));
+        if (!await settleUntil(closed, deadline)) {
+            this.#logger.warn('Shutdown timed out, terminating remaining connections', { event: 'shutdownTimeout', connections: this.clients.size });
+            this.clients.forEach(ws => ws.terminate());
+        }
+        await settleUntil(Promise.allSettled(this.#pendingHandlers), deadline);
+        [...this.#connections.values()].forEach(roomMember => roomMember.dispose());
+        await new Promise(resolve => this.close(() => resolve()));
+        this.#logger.info('Shut down', { event: 'shutdownComplete' });
+    }
+
+    /**
+     * Keeps track of a running message or close handler, so that a shutdown can wait for it.
+     * @param {Promise<void>} handler
+     * @param {Logger} logger The logger of the handler's connection
+     */
+    #track(handler, logger) {
+        this.#pendingHandlers.add(handler);
+        handler
+            .catch(error => logger.error('Error handling connection', { event: 'error', error }))
+            .finally(() => this.#pendingHandlers.delete(handler));
+    }
+    /**
+     * Adds the metrics of this server to a registry.
+     * @param {MetricsRegistry} metrics
+     */
+    #registerMetrics(metrics) {
+        metrics.gauge('findme_connections', 'Number of open WebSocket connections', () => this.#connections.size);
+        metrics.gauge('findme_rooms_active', 'Number of rooms with members connected to this server', () => {
+            return new Set([...this.#connections.values()].filter(member => member.room && !member.suspended).map(member => member.room.id)).size;
         });
+        this.#metrics = {
+            messages: metrics.counter('findme_messages_received_total', 'Number of valid messages received by type', ['type']),
+            errors: metrics.counter('findme_errors_total', 'Number of errors while processing messages by error class', ['error']),
+            heartbeatTimeouts: metrics.counter('findme_heartbeat_timeouts_total', 'Number of connections that did not answer a ping in time')
+        };
+    }
+
+    /**
+     * Returns the logger of the connection a room member is attached to.
+     * @param {RoomMember} roomMember
+     * @returns {Logger}
+     */
+    #getLogger(roomMember) {
+        return this.#connectionLoggers.get(roomMember.ws) ?? this.#logger;
+    }
+
+    /**
+     * Removes a member from its room and logs it. The room and user ID are logged explicitly, because the member forgets them.
+     * @param {RoomMember} roomMember
+     * @param {'left' | 'disconnected' | 'sessionExpired' | 'error'} reason Why the member left
+     */
+    async #leaveRoom(roomMember, reason) {
+        if (!roomMember.room) return;
+        const roomId = roomMember.room.id;
+        const userId = roomMember.id;
+        await roomMember.leaveRoom();
+        this.#getLogger(roomMember).info('Left room', { event: 'leave', roomId, userId, reason });
+    }
+
+    /**
+     * Authenticates the connection of a room member with an ID token and binds the verified user ID to the member.
+     * @param {RoomMember} roomMember
+     * @param {string} idToken
+     * @returns {Promise<{ uid: string }>}
+     * @throws {AlreadyAuthenticatedError} If the connection is already authenticated
+     * @throws {AuthenticationError} If the ID token is missing or invalid
+     */
+    async #authenticate(roomMember, idToken) {
+        if (roomMember.uid) throw new AlreadyAuthenticatedError();
+        if (!idToken || typeof idToken !== 'string') throw new AuthenticationError();
+        try {
+            const { uid } = await this.#verifyIdToken(idToken);
+            roomMember.uid = uid;
+        } catch {
+            throw new AuthenticationError();
+        }
+        return { uid: roomMember.uid };
+    }
+
+    /**
+     * Adds a member to a room and counts the incorrect passcodes of its user, so that the passcodes of private rooms can't be guessed.
+     * @param {RoomMember} roomMember
+     * @param {string} roomId
+     * @param {number} lat
+     * @param {number} lng
+     * @param {string} [passcode]
+     * @returns {Promise<{ roomId: string, userId: string, resumeToken: string }>}
+     * @throws {TooManyPasscodeAttemptsError} If the member's user sent too many incorrect passcodes for this room
+     * @throws If the member can't join the room, see {@link RoomMember#joinRoom}
+     */
+    async #joinRoom(roomMember, roomId, lat, lng, passcode, profile) {
+        if (typeof roomId === 'string') this.#passcodeThrottle.check(roomId, roomMember.uid);
+        try {
+            return await roomMember.joinRoom(roomId, lat, lng, passcode, profile);
+        } catch (error) {
+            if (error instanceof PasscodeError) this.#passcodeThrottle.recordFailure(roomId, roomMember.uid);
+            throw error;
+        }
+    }
+
+    /**
+     * Relays a WebRTC signaling message to another member of the sender's room that is connected to this server.
+     * Members that are connected to other instances can't be reached, see signaling.mjs.
+     * @param {RoomMember} sender
+     * @param {'offer' | 'answer' | 'ice-candidate'} type
+     * @param {string} targetId The ID of the member to relay the message to
+     * @param {{ sdp: string } | { candidate: object | null }} payload
+     * @throws {UserNotInRoomError} If the sender is not in a room
+     * @throws {PeerIdRequiredError} If targetId is not a non-empty string
+     * @throws {PeerUnavailableError} If the target is the sender or not connected to the sender's room on this server
+     */
+    #relaySignal(sender, type, targetId, payload) {
+        if (!sender.room || !sender.id) throw new UserNotInRoomError();
+        if (!targetId || typeof targetId !== 'string') throw new PeerIdRequiredError();
+        if (targetId === sender.id) throw new PeerUnavailableError();
+        for (const target of this.#connections.values()) {
+            if (target.id !== targetId || target.room?.id !== sender.room.id || target.suspended) continue;
+            target.receiveSignal(type, sender.id, payload);
+            return;
+        }
+        throw new PeerUnavailableError();
     }
 }
\ No newline at end of file
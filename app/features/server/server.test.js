@@ -1,6 +1,6 @@
-import { describe, expect } from "vitest";
-import { test } from "./serverTestUtils.mjs";
-import { GeoPoint, Timestamp } from "firebase-admin/firestore";
+import { describe, expect, vi } from "vitest";
+import { test, TestWebSocket } from "./serverTestUtils.mjs";
+import { GeoPoint } from "firebase-admin/firestore";
 
 describe('server.mjs', () => {
     test('Client should open a WebSocket connection', ({ websocketOpener }) => {
@@ -18,11 +18,12 @@ describe('server.mjs', () => {
         await expect.poll(() => websocketOpener.messages).toContainEqual({
             type: 'created',
             roomId: expect.any(String),
-            userId: expect.any(String)
+            userId: expect.any(String),
+            resumeToken: expect.any(String)
         });
     });
 
-    test('should delete a room after all members left', async ({ websocketOpener, database }) => {
+    test('should delete a room after all members left', async ({ websocketOpener, storage }) => {
         websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
         const roomId = await new Promise(resolve => {
             websocketOpener.on('message', message => {
@@ -32,9 +33,9 @@ describe('server.mjs', () => {
                 }
             });
         });
-        expect((await database.collection(roomId).count().get()).data().count).toBe(2);
+        expect(await storage.countMembers(roomId)).toBe(1);
         websocketOpener.close();
-        await expect.poll(async () => (await database.collection(roomId).count().get()).data().count).toBe(0);
+        await expect.poll(() => storage.roomExists(roomId)).toBe(false);
     });
 
     test('should respond with a location if a member joins', async ({ websocketOpener, websocketJoiner }) => {
@@ -75,7 +76,7 @@ describe('server.mjs', () => {
         });
     });
 
-    test('should update location upon receiving a location message', async ({ websocketOpener, database }) => {
+    test('should update location upon receiving a location message', async ({ websocketOpener, storage }) => {
         const location = new GeoPoint(1, 1);
         websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
         const [roomId, userId] = await new Promise(resolve => {
@@ -87,7 +88,7 @@ describe('server.mjs', () => {
             });
         });
         websocketOpener.send(JSON.stringify({ type: 'location', lat: location.latitude, lng: location.longitude }));
-        await expect.poll(async () => (await database.collection(`${roomId}/${userId}/locations`).count().get()).data().count).toBe(2);
+        await expect.poll(async () => (await storage.getLocations(roomId, userId)).length).toBe(2);
     });
 
     test('should notify other members if one members location changes', async ({ websocketJoiner, websocketOpener }) => {
@@ -111,4 +112,663 @@ describe('server.mjs', () => {
             time: expect.any(Object)
         });
     });
-});
\ No newline at end of file
+
+    test('should store a meeting point upon a propose message', async ({ websocketOpener, storage }) => {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
+        const { roomId, userId } = await websocketOpener.waitForMessage('created');
+        websocketOpener.send(JSON.stringify({ type: 'propose', lat: 5, lng: 10 }));
+        await expect.poll(async () => (await storage.getRoomInfo(roomId)).proposals[userId]).toMatchObject({
+            location: new GeoPoint(5, 10),
+            acceptedBy: []
+        });
+    });
+
+    test('should broadcast the label and meeting time of a proposal', async ({ websocketOpener }) => {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
+        const { userId } = await websocketOpener.waitForMessage('created');
+        const meetingTime = Date.now() + 60 * 60 * 1000;
+        websocketOpener.send(JSON.stringify({ type: 'propose', lat: 5, lng: 10, label: 'North gate', meetingTime }));
+        await expect.poll(() => websocketOpener.messages.filter(({ type }) => type === 'roomUpdate').at(-1)?.proposals[userId]).toMatchObject({
+            label: 'North gate',
+            description: null,
+            meetingTime,
+            expiresAt: null
+        });
+        websocketOpener.send(JSON.stringify({ type: 'propose', lat: 5, lng: 10, label: 'x'.repeat(81) }));
+        expect(await websocketOpener.waitForMessage('error')).toMatchObject({ code: 'PROPOSAL_LABEL' });
+    });
+
+    test('should respond with an error upon a propose message with an invalid latitude', async ({ websocketOpener }) => {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
+        await websocketOpener.waitForMessage('created');
+        websocketOpener.send(JSON.stringify({ type: 'propose', lat: 91, lng: 10 }));
+        expect(await websocketOpener.waitForMessage('error')).toEqual({ type: 'error', code: 'LATITUDE', message: 'Latitude is invalid' });
+        expect(websocketOpener.readyState).toBe(websocketOpener.OPEN);
+    });
+
+    test('should accept and revoke a meeting point upon accept and revoke messages', async ({ websocketOpener, websocketJoiner, storage }) => {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
+        const { roomId, userId: proposerId } = await websocketOpener.waitForMessage('created');
+        websocketOpener.send(JSON.stringify({ type: 'propose', lat: 5, lng: 10 }));
+        await expect.poll(async () => (await storage.getRoomInfo(roomId)).proposals[proposerId]).toBeDefined();
+        websocketJoiner.send(JSON.stringify({ type: 'join', roomId, lat: 1, lng: 1 }));
+        await expect.poll(async () => storage.countMembers(roomId)).toBe(2);
+        websocketJoiner.send(JSON.stringify({ type: 'accept', proposerId }));
+        await expect.poll(async () => (await storage.getRoomInfo(roomId)).proposals[proposerId].acceptedBy).toHaveLength(1);
+        websocketJoiner.send(JSON.stringify({ type: 'revoke', proposerId }));
+        await expect.poll(async () => (await storage.getRoomInfo(roomId)).proposals[proposerId].acceptedBy).toHaveLength(0);
+    });
+
+    test('should respond with an error and stay connected upon accepting a proposal of an inherited key', async ({ websocketOpener, storage }) => {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
+        const { roomId } = await websocketOpener.waitForMessage('created');
+        websocketOpener.send(JSON.stringify({ type: 'accept', proposerId: 'constructor' }));
+        expect(await websocketOpener.waitForMessage('error')).toMatchObject({ code: 'PROPOSAL_DOES_NOT_EXIST' });
+        expect(websocketOpener.readyState).toBe(websocketOpener.OPEN);
+        expect((await storage.getRoomInfo(roomId)).proposals).toEqual({});
+    });
+
+    test('should delete a meeting point upon a withdraw message', async ({ websocketOpener, storage }) => {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
+        const { roomId, userId } = await websocketOpener.waitForMessage('created');
+        websocketOpener.send(JSON.stringify({ type: 'propose', lat: 5, lng: 10 }));
+        await expect.poll(async () => (await storage.getRoomInfo(roomId)).proposals[userId]).toBeDefined();
+        websocketOpener.send(JSON.stringify({ type: 'withdraw' }));
+        await expect.poll(async () => (await storage.getRoomInfo(roomId)).proposals[userId]).toBeUndefined();
+    });
+
+    test('should respond with an error and stay connected upon joining an unknown room', async ({ websocketJoiner }) => {
+        websocketJoiner.send(JSON.stringify({ type: 'join', roomId: 'none', lat: 0, lng: 0 }));
+        expect(await websocketJoiner.waitForMessage('error')).toEqual({
+            type: 'error',
+            code: 'ROOM_DOES_NOT_EXIST',
+            message: 'Room does not exist'
+        });
+        websocketJoiner.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
+        await websocketJoiner.waitForMessage('created');
+    });
+
+    test('should respond with an error and stay connected upon joining a room ID with a slash', async ({ websocketJoiner }) => {
+        websocketJoiner.send(JSON.stringify({ type: 'join', roomId: 'a/b', lat: 0, lng: 0 }));
+        expect(await websocketJoiner.waitForMessage('error')).toMatchObject({ code: 'ROOM_ID_REQUIRED' });
+        websocketJoiner.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
+        await websocketJoiner.waitForMessage('created');
+    });
+
+    test('should respond with an error upon an unknown message type', async ({ websocketOpener }) => {
+        websocketOpener.send(JSON.stringify({ type: 'unknown' }));
+        expect(await websocketOpener.waitForMessage('error')).toMatchObject({ code: 'MESSAGE_TYPE' });
+        expect(websocketOpener.readyState).toBe(websocketOpener.OPEN);
+    });
+
+    test('should close the connection upon a message that is not JSON', async ({ websocketOpener }) => {
+        const closed = new Promise(resolve => websocketOpener.once('close', (code, reason) => resolve({ code, reason: reason.toString() })));
+        websocketOpener.send('not json');
+        expect(await closed).toEqual({ code: 1002, reason: 'Message must be a JSON object' });
+    });
+
+    test('should acknowledge a join message with the room and user ID', async ({ websocketOpener, websocketJoiner }) => {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0, requestId: 'create-1' }));
+        const { result: { roomId } } = await websocketOpener.waitForMessage('ack');
+        websocketJoiner.send(JSON.stringify({ type: 'join', roomId, lat: 1, lng: 1, requestId: 7 }));
+        expect(await websocketJoiner.waitForMessage('ack')).toEqual({
+            type: 'ack',
+            requestId: 7,
+            result: { roomId, userId: expect.any(String), resumeToken: expect.any(String) }
+        });
+    });
+
+    test('should acknowledge a location message without a result', async ({ websocketOpener }) => {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
+        await websocketOpener.waitForMessage('created');
+        websocketOpener.send(JSON.stringify({ type: 'location', lat: 1, lng: 1, requestId: 'location-1' }));
+        expect(await websocketOpener.waitForMessage('ack')).toEqual({ type: 'ack', requestId: 'location-1' });
+    });
+
+    test('should attach the request ID to an error', async ({ websocketJoiner }) => {
+        websocketJoiner.send(JSON.stringify({ type: 'join', roomId: 'none', lat: 0, lng: 0, requestId: 'join-1' }));
+        expect(await websocketJoiner.waitForMessage('error')).toMatchObject({ requestId: 'join-1', code: 'ROOM_DOES_NOT_EXIST' });
+    });
+
+    test('should not acknowledge messages without a request ID', async ({ websocketOpener }) => {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
+        await websocketOpener.waitForMessage('created');
+        websocketOpener.send(JSON.stringify({ type: 'leave' }));
+        await websocketOpener.waitForMessage('left');
+        expect(websocketOpener.messages.filter(message => message.type === 'ack')).toHaveLength(0);
+    });
+});
+
+describe('session resumption', () => {
+    test('should send a resume token upon a join', async ({ websocketOpener, websocketJoiner }) => {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
+        const { roomId } = await websocketOpener.waitForMessage('created');
+        websocketJoiner.send(JSON.stringify({ type: 'join', roomId, lat: 1, lng: 1 }));
+        expect(await websocketJoiner.waitForMessage('joined')).toEqual({
+            type: 'joined',
+            roomId,
+            userId: expect.any(String),
+            resumeToken: expect.any(String)
+        });
+    });
+
+    test('should resume a member after its connection dropped', async ({ websocketOpener, websocketJoiner, serverUrl, storage }) => {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
+        const { roomId, userId, resumeToken } = await websocketOpener.waitForMessage('created');
+        websocketJoiner.send(JSON.stringify({ type: 'join', roomId, lat: 1, lng: 1 }));
+        await websocketJoiner.waitForMessage('joined');
+        websocketOpener.terminate();
+        await expect.poll(() => websocketJoiner.messages).toContainEqual({ type: 'lost', userId });
+        const websocket = new TestWebSocket(serverUrl, 'test-token:opener');
+        await websocket.waitUntil('open');
+        websocket.send(JSON.stringify({ type: 'resume', resumeToken }));
+        expect(await websocket.waitForMessage('resumed')).toEqual({ type: 'resumed', roomId, userId, resumeToken: expect.any(String) });
+        await expect.poll(() => websocketJoiner.messages).toContainEqual({ type: 'found', userId });
+        expect(websocketJoiner.messages).not.toContainEqual({ type: 'left', userId });
+        expect(await storage.countMembers(roomId)).toBe(2);
+        websocket.close(1000);
+    });
+
+    test('should take over a session whose old connection is still open', async ({ websocketOpener, serverUrl }) => {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
+        const { userId, resumeToken } = await websocketOpener.waitForMessage('created');
+        const websocket = new TestWebSocket(serverUrl, 'test-token:opener');
+        await websocket.waitUntil('open');
+        websocket.send(JSON.stringify({ type: 'resume', resumeToken }));
+        expect(await websocket.waitForMessage('resumed')).toMatchObject({ userId });
+        await websocketOpener.waitUntil('close');
+        websocket.close(1000);
+    });
+
+    test('should respond with an error upon an invalid resume token', async ({ websocketOpener }) => {
+        websocketOpener.send(JSON.stringify({ type: 'resume', resumeToken: 'invalid' }));
+        expect(await websocketOpener.waitForMessage('error')).toMatchObject({ code: 'RESUME_TOKEN' });
+    });
+
+    test('should not resume a member that left', async ({ websocketOpener, websocketJoiner }) => {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
+        const { resumeToken } = await websocketOpener.waitForMessage('created');
+        websocketOpener.send(JSON.stringify({ type: 'leave' }));
+        await websocketOpener.waitForMessage('left');
+        websocketJoiner.send(JSON.stringify({ type: 'resume', resumeToken }));
+        expect(await websocketJoiner.waitForMessage('error')).toMatchObject({ code: 'RESUME_TOKEN' });
+    });
+
+    describe('with a short grace period', () => {
+        test.scoped({ resumeGracePeriod: 100 });
+
+        test('should remove a lost member after the grace period', async ({ websocketOpener, websocketJoiner }) => {
+            websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
+            const { roomId, userId } = await websocketOpener.waitForMessage('created');
+            websocketJoiner.send(JSON.stringify({ type: 'join', roomId, lat: 1, lng: 1 }));
+            await websocketJoiner.waitForMessage('joined');
+            websocketOpener.terminate();
+            await expect.poll(() => websocketJoiner.messages).toContainEqual({ type: 'lost', userId });
+            await expect.poll(() => websocketJoiner.messages).toContainEqual({ type: 'left', userId });
+        });
+
+        test('should not remove a lost member that resumed its session on another server', async ({ websocketOpener, otherServerUrl, storage, logEntries }) => {
+            websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
+            const { roomId, userId, resumeToken } = await websocketOpener.waitForMessage('created');
+            websocketOpener.terminate();
+            await expect.poll(async () => (await storage.getMember(roomId, userId))?.lost).toBe(true);
+            const websocket = new TestWebSocket(otherServerUrl, 'test-token:opener');
+            await websocket.waitUntil('open');
+            websocket.send(JSON.stringify({ type: 'resume', resumeToken }));
+            expect(await websocket.waitForMessage('resumed')).toMatchObject({ roomId, userId });
+            await expect.poll(() => logEntries).toContainEqual(expect.objectContaining({ event: 'sessionTakenOver' }));
+            expect(await storage.getMember(roomId, userId)).toMatchObject({ lost: false });
+            expect(websocket.messages).not.toContainEqual({ type: 'roomDeleted', roomId });
+            websocket.close(1000);
+        });
+    });
+});
+
+describe('signaling', () => {
+    /**
+     * Creates a room with the opener and lets the joiner join it.
+     * @returns {Promise<{ roomId: string, openerId: string, joinerId: string }>}
+     */
+    async function createRoomWithTwoMembers(websocketOpener, websocketJoiner) {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
+        const { roomId, userId: openerId } = await websocketOpener.waitForMessage('created');
+        websocketJoiner.send(JSON.stringify({ type: 'join', roomId, lat: 1, lng: 1 }));
+        const { userId: joinerId } = await websocketJoiner.waitForMessage('joined');
+        return { roomId, openerId, joinerId };
+    }
+
+    test('should relay offers and answers between members of a room', async ({ websocketOpener, websocketJoiner }) => {
+        const { openerId, joinerId } = await createRoomWithTwoMembers(websocketOpener, websocketJoiner);
+        websocketOpener.send(JSON.stringify({ type: 'offer', targetId: joinerId, sdp: 'v=0 offer' }));
+        expect(await websocketJoiner.waitForMessage('offer')).toEqual({ type: 'offer', userId: openerId, sdp: 'v=0 offer' });
+        websocketJoiner.send(JSON.stringify({ type: 'answer', targetId: openerId, sdp: 'v=0 answer' }));
+        expect(await websocketOpener.waitForMessage('answer')).toEqual({ type: 'answer', userId: joinerId, sdp: 'v=0 answer' });
+    });
+
+    test('should relay ICE candidates', async ({ websocketOpener, websocketJoiner }) => {
+        const { openerId, joinerId } = await createRoomWithTwoMembers(websocketOpener, websocketJoiner);
+        const candidate = { candidate: 'candidate:1 1 UDP 2122252543 192.168.0.2 54400 typ host', sdpMid: '0', sdpMLineIndex: 0 };
+        websocketOpener.send(JSON.stringify({ type: 'ice-candidate', targetId: joinerId, candidate }));
+        expect(await websocketJoiner.waitForMessage('ice-candidate')).toEqual({ type: 'ice-candidate', userId: openerId, candidate });
+    });
+
+    test('should respond with an error if the target is not in the room', async ({ websocketOpener, websocketJoiner, serverUrl }) => {
+        const { joinerId } = await createRoomWithTwoMembers(websocketOpener, websocketJoiner);
+        const stranger = new TestWebSocket(serverUrl, 'test-token:stranger');
+        await stranger.waitUntil('open');
+        stranger.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
+        await stranger.waitForMessage('created');
+        stranger.send(JSON.stringify({ type: 'offer', targetId: joinerId, sdp: 'v=0', requestId: 1 }));
+        expect(await stranger.waitForMessage('error')).toMatchObject({ requestId: 1, code: 'PEER_UNAVAILABLE' });
+        expect(websocketJoiner.messages.filter(message => message.type === 'offer')).toHaveLength(0);
+        stranger.close(1000);
+    });
+
+    test('should respond with an error if the target is connected to another server', async ({ websocketOpener, otherServerUrl }) => {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
+        const { roomId } = await websocketOpener.waitForMessage('created');
+        const joiner = new TestWebSocket(otherServerUrl, 'test-token:joiner');
+        await joiner.waitUntil('open');
+        joiner.send(JSON.stringify({ type: 'join', roomId, lat: 1, lng: 1 }));
+        const { userId: joinerId } = await joiner.waitForMessage('joined');
+        websocketOpener.send(JSON.stringify({ type: 'offer', targetId: joinerId, sdp: 'v=0', requestId: 1 }));
+        expect(await websocketOpener.waitForMessage('error')).toMatchObject({ requestId: 1, code: 'PEER_UNAVAILABLE' });
+        expect(websocketOpener.readyState).toBe(websocketOpener.OPEN);
+        expect(joiner.messages.filter(message => message.type === 'offer')).toHaveLength(0);
+        joiner.close(1000);
+    });
+
+    test('should respond with an error if the target left', async ({ websocketOpener, websocketJoiner }) => {
+        const { joinerId } = await createRoomWithTwoMembers(websocketOpener, websocketJoiner);
+        websocketJoiner.send(JSON.stringify({ type: 'leave' }));
+        await websocketJoiner.waitForMessage('left');
+        websocketOpener.send(JSON.stringify({ type: 'offer', targetId: joinerId, sdp: 'v=0' }));
+        expect(await websocketOpener.waitForMessage('error')).toMatchObject({ code: 'PEER_UNAVAILABLE' });
+    });
+
+    test('should respond with an error upon an offer without SDP', async ({ websocketOpener, websocketJoiner }) => {
+        const { joinerId } = await createRoomWithTwoMembers(websocketOpener, websocketJoiner);
+        websocketOpener.send(JSON.stringify({ type: 'offer', targetId: joinerId }));
+        expect(await websocketOpener.waitForMessage('error')).toMatchObject({ code: 'SDP' });
+    });
+});
+
+describe('authentication', () => {
+    /**
+     * Waits until a WebSocket is closed and returns the close code and reason.
+     * @param {TestWebSocket} websocket
+     * @returns {Promise<{ code: number, reason: string }>}
+     */
+    function waitForClose(websocket) {
+        return new Promise(resolve => websocket.once('close', (code, reason) => resolve({ code, reason: reason.toString() })));
+    }
+
+    test('should authenticate a connection with an ID token in the upgrade request', async ({ websocketOpener }) => {
+        expect(await websocketOpener.waitForMessage('authenticated')).toEqual({ type: 'authenticated', uid: 'opener' });
+    });
+
+    test('should reject an upgrade request with an invalid ID token', async ({ serverUrl }) => {
+        const websocket = new TestWebSocket(serverUrl, 'invalid');
+        const error = await new Promise(resolve => websocket.once('error', resolve));
+        expect(error.message).toContain('401');
+    });
+
+    test('should authenticate a connection with an auth message', async ({ serverUrl }) => {
+        const websocket = new TestWebSocket(serverUrl);
+        await websocket.waitUntil('open');
+        websocket.send(JSON.stringify({ type: 'auth', idToken: 'test-token:late', requestId: 1 }));
+        expect(await websocket.waitForMessage('authenticated')).toEqual({ type: 'authenticated', uid: 'late' });
+        expect(await websocket.waitForMessage('ack')).toEqual({ type: 'ack', requestId: 1, result: { uid: 'late' } });
+        websocket.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
+        await websocket.waitForMessage('created');
+        websocket.close(1000);
+    });
+
+    test('should close an unauthenticated connection that sends a command', async ({ serverUrl }) => {
+        const websocket = new TestWebSocket(serverUrl);
+        await websocket.waitUntil('open');
+        const closed = waitForClose(websocket);
+        websocket.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
+        expect(await closed).toEqual({ code: 1008, reason: 'Authentication is required' });
+    });
+
+    test('should close a connection that sends an invalid ID token', async ({ serverUrl }) => {
+        const websocket = new TestWebSocket(serverUrl);
+        await websocket.waitUntil('open');
+        const closed = waitForClose(websocket);
+        websocket.send(JSON.stringify({ type: 'auth', idToken: 'invalid' }));
+        expect(await closed).toEqual({ code: 1008, reason: 'ID token is invalid' });
+    });
+
+    test('should not resume a member of another user', async ({ websocketOpener, websocketJoiner }) => {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
+        const { resumeToken } = await websocketOpener.waitForMessage('created');
+        websocketOpener.terminate();
+        websocketJoiner.send(JSON.stringify({ type: 'resume', resumeToken }));
+        expect(await websocketJoiner.waitForMessage('error')).toMatchObject({ code: 'RESUME_TOKEN' });
+    });
+
+    describe('with a short authentication timeout', () => {
+        test.scoped({ authenticationTimeout: 100 });
+
+        test('should close a connection that does not authenticate in time', async ({ serverUrl }) => {
+            const websocket = new TestWebSocket(serverUrl);
+            await websocket.waitUntil('open');
+            expect(await waitForClose(websocket)).toEqual({ code: 1008, reason: 'Authentication timed out' });
+        });
+    });
+});
+describe('private rooms', () => {
+    test('should only let members with the correct passcode join a private room', async ({ websocketOpener, websocketJoiner }) => {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0, passcode: 'secret' }));
+        const { roomId } = await websocketOpener.waitForMessage('created');
+        websocketJoiner.send(JSON.stringify({ type: 'join', roomId, lat: 1, lng: 1, requestId: 1 }));
+        await expect.poll(() => websocketJoiner.messages).toContainEqual(expect.objectContaining({ type: 'error', requestId: 1, code: 'PASSCODE_REQUIRED' }));
+        websocketJoiner.send(JSON.stringify({ type: 'join', roomId, lat: 1, lng: 1, passcode: 'wrong', requestId: 2 }));
+        await expect.poll(() => websocketJoiner.messages).toContainEqual(expect.objectContaining({ type: 'error', requestId: 2, code: 'PASSCODE' }));
+        websocketJoiner.send(JSON.stringify({ type: 'join', roomId, lat: 1, lng: 1, passcode: 'secret' }));
+        expect(await websocketJoiner.waitForMessage('joined')).toMatchObject({ roomId });
+    });
+
+    test('should store the passcode hashed and not send it to members', async ({ websocketOpener, storage }) => {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0, passcode: 'secret' }));
+        const { roomId } = await websocketOpener.waitForMessage('created');
+        const { passcodeHash } = await storage.getRoomInfo(roomId);
+        expect(passcodeHash).toMatch(/^scrypt:/);
+        expect(passcodeHash).not.toContain('secret');
+        expect(await websocketOpener.waitForMessage('roomUpdate')).not.toHaveProperty('passcodeHash');
+    });
+
+    test('should block a user after too many incorrect passcodes for a room', async ({ websocketOpener, websocketJoiner, serverUrl }) => {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0, passcode: 'secret' }));
+        const { roomId } = await websocketOpener.waitForMessage('created');
+        for (let requestId = 0; requestId < 5; requestId++) {
+            websocketJoiner.send(JSON.stringify({ type: 'join', roomId, lat: 1, lng: 1, passcode: 'wrong', requestId }));
+            await expect.poll(() => websocketJoiner.messages).toContainEqual(expect.objectContaining({ type: 'error', requestId, code: 'PASSCODE' }));
+        }
+        websocketJoiner.send(JSON.stringify({ type: 'join', roomId, lat: 1, lng: 1, passcode: 'secret', requestId: 5 }));
+        await expect.poll(() => websocketJoiner.messages).toContainEqual(expect.objectContaining({ type: 'error', requestId: 5, code: 'TOO_MANY_PASSCODE_ATTEMPTS' }));
+        // Other users can still join the room
+        const websocket = new TestWebSocket(serverUrl, 'test-token:third');
+        await websocket.waitUntil('open');
+        websocket.send(JSON.stringify({ type: 'join', roomId, lat: 2, lng: 2, passcode: 'secret' }));
+        expect(await websocket.waitForMessage('joined')).toMatchObject({ roomId });
+        websocket.close(1000);
+    });
+
+    test('should respond with an error upon creating a room with an invalid passcode', async ({ websocketOpener }) => {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0, passcode: 123 }));
+        expect(await websocketOpener.waitForMessage('error')).toMatchObject({ code: 'PASSCODE_FORMAT' });
+    });
+
+    test('should let everyone join a public room', async ({ websocketOpener, websocketJoiner }) => {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
+        const { roomId } = await websocketOpener.waitForMessage('created');
+        websocketJoiner.send(JSON.stringify({ type: 'join', roomId, lat: 1, lng: 1, passcode: 'anything' }));
+        expect(await websocketJoiner.waitForMessage('joined')).toMatchObject({ roomId });
+    });
+});
+
+describe('location throttling', () => {
+    describe('with a short location write interval', () => {
+        test.scoped({ locationWriteInterval: 200 });
+
+        test('should only write the latest of several locations within the write interval', async ({ websocketOpener, storage }) => {
+            websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
+            const { roomId, userId } = await websocketOpener.waitForMessage('created');
+            for (let lat = 1; lat <= 5; lat++) websocketOpener.send(JSON.stringify({ type: 'location', lat, lng: 0 }));
+            await expect.poll(async () => (await storage.getLocations(roomId, userId)).map(({ lat }) => lat)).toEqual([0, 1, 5]);
+            await new Promise(resolve => setTimeout(resolve, 300));
+            expect(await storage.getLocations(roomId, userId)).toHaveLength(3);
+        });
+
+        test('should log locations that could not be written after the write interval', async ({ websocketOpener, storage, logEntries }) => {
+            websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
+            await websocketOpener.waitForMessage('created');
+            websocketOpener.send(JSON.stringify({ type: 'location', lat: 1, lng: 0, requestId: 1 }));
+            await websocketOpener.waitForMessage('ack');
+            vi.spyOn(storage, 'addLocation').mockRejectedValue(new Error('Storage is unavailable'));
+            // Held back until the write interval is over
+            websocketOpener.send(JSON.stringify({ type: 'location', lat: 2, lng: 0 }));
+            await expect.poll(() => logEntries.find(({ message }) => message === 'Error writing location')).toMatchObject({
+                severity: 'ERROR',
+                event: 'error',
+                error: { message: 'Storage is unavailable' }
+            });
+        });
+    });
+
+    describe('with a low location update rate', () => {
+        test.scoped({ maxLocationUpdateRate: 3 });
+
+        test('should respond with an error if a member sends too many locations', async ({ websocketOpener }) => {
+            websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
+            await websocketOpener.waitForMessage('created');
+            for (let requestId = 0; requestId < 4; requestId++) {
+                websocketOpener.send(JSON.stringify({ type: 'location', lat: 1, lng: 1, requestId }));
+            }
+            expect(await websocketOpener.waitForMessage('error')).toMatchObject({ requestId: 3, code: 'LOCATION_RATE_LIMIT' });
+            await expect.poll(() => websocketOpener.messages.filter(({ type }) => type === 'ack')).toHaveLength(3);
+        });
+    });
+});
+
+describe('protocol', () => {
+    test('should agree on the newest common protocol version upon a hello', async ({ websocketOpener }) => {
+        websocketOpener.send(JSON.stringify({ type: 'hello', versions: [1, 99], requestId: 1 }));
+        expect(await websocketOpener.waitForMessage('welcome')).toEqual({ type: 'welcome', version: 1, supportedVersions: [1] });
+        expect(await websocketOpener.waitForMessage('ack')).toEqual({ type: 'ack', requestId: 1, result: { version: 1 } });
+        websocketOpener.send(JSON.stringify({ type: 'hello', versions: [1] }));
+        expect(await websocketOpener.waitForMessage('error')).toMatchObject({ code: 'PROTOCOL_VERSION_NEGOTIATED' });
+    });
+
+    test('should close the connection if no protocol version is supported', async ({ websocketOpener }) => {
+        const closed = new Promise(resolve => websocketOpener.once('close', resolve));
+        websocketOpener.send(JSON.stringify({ type: 'hello', versions: [99] }));
+        expect(await closed).toBe(1002);
+    });
+
+    test('should respond with the invalid property upon a message that does not match its schema', async ({ websocketOpener }) => {
+        websocketOpener.send(JSON.stringify({ type: 'hello', versions: ['one'] }));
+        expect(await websocketOpener.waitForMessage('error')).toMatchObject({ code: 'MESSAGE_SCHEMA', details: 'versions.0 violates type' });
+    });
+
+    test('should keep the error codes of invalid properties', async ({ websocketOpener }) => {
+        websocketOpener.send(JSON.stringify({ type: 'join', lat: 0, lng: 0 }));
+        expect(await websocketOpener.waitForMessage('error')).toMatchObject({ code: 'ROOM_ID_REQUIRED' });
+        websocketOpener.send(JSON.stringify({ type: 'location', lat: '1', lng: 0, requestId: 2 }));
+        await expect.poll(() => websocketOpener.messages).toContainEqual(expect.objectContaining({ type: 'error', requestId: 2, code: 'LATITUDE' }));
+    });
+});
+
+describe('logging', () => {
+    test('should log lifecycle events with the connection, room and user ID', async ({ websocketOpener, logEntries }) => {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 12.5, lng: 34.5 }));
+        const { roomId, userId } = await websocketOpener.waitForMessage('created');
+        websocketOpener.send(JSON.stringify({ type: 'leave' }));
+        await websocketOpener.waitForMessage('left');
+        await expect.poll(() => logEntries.map(({ event }) => event)).toEqual(['connection', 'create', 'leave']);
+        const connectionId = logEntries[0].connectionId;
+        expect(connectionId).toEqual(expect.any(String));
+        expect(logEntries).toMatchObject([
+            { severity: 'INFO', connectionId, uid: 'opener' },
+            { severity: 'INFO', connectionId, uid: 'opener', roomId, userId },
+            { severity: 'INFO', connectionId, uid: 'opener', roomId, userId, reason: 'left' }
+        ]);
+        expect(JSON.stringify(logEntries)).not.toContain('12.5');
+    });
+
+    test('should log rejected messages and errors', async ({ websocketOpener, logEntries }) => {
+        websocketOpener.send(JSON.stringify({ type: 'unknown' }));
+        await websocketOpener.waitForMessage('error');
+        expect(logEntries.at(-1)).toMatchObject({ severity: 'WARNING', event: 'messageRejected', code: expect.any(String) });
+    });
+});
+
+describe('shutdown', () => {
+    test('should tell clients to reconnect, suspend all members and close the connections', async ({ websocketOpener, websocketJoiner, findMeServer, serverUrl, storage }) => {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
+        const { roomId, userId: openerId } = await websocketOpener.waitForMessage('created');
+        websocketJoiner.send(JSON.stringify({ type: 'join', roomId, lat: 1, lng: 1 }));
+        const { userId: joinerId } = await websocketJoiner.waitForMessage('joined');
+        const closeCodes = Promise.all([websocketOpener, websocketJoiner].map(websocket => new Promise(resolve => websocket.once('close', resolve))));
+        await findMeServer.shutdown();
+        expect(await websocketOpener.waitForMessage('serverShutdown')).toEqual({ type: 'serverShutdown', reconnectAfter: expect.any(Number) });
+        expect(await closeCodes).toEqual([1001, 1001]);
+        expect(await storage.getMember(roomId, openerId)).toMatchObject({ lost: true });
+        expect(await storage.getMember(roomId, joinerId)).toMatchObject({ lost: true });
+        const websocket = new TestWebSocket(serverUrl, 'test-token:late');
+        const error = await new Promise(resolve => websocket.once('error', resolve));
+        expect(error.message).toContain('Unexpected server response');
+    });
+
+    test('should let members resume their sessions on the next server', async ({ websocketOpener, websocketJoiner, findMeServer, otherServerUrl, storage }) => {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
+        const { roomId, userId: openerId, resumeToken: openerToken } = await websocketOpener.waitForMessage('created');
+        websocketJoiner.send(JSON.stringify({ type: 'join', roomId, lat: 1, lng: 1 }));
+        const { userId: joinerId, resumeToken: joinerToken } = await websocketJoiner.waitForMessage('joined');
+        // The opener is already suspended when the server shuts down
+        websocketOpener.terminate();
+        await expect.poll(async () => (await storage.getMember(roomId, openerId))?.lost).toBe(true);
+        await findMeServer.shutdown();
+
+        const opener = new TestWebSocket(otherServerUrl, 'test-token:opener');
+        const joiner = new TestWebSocket(otherServerUrl, 'test-token:joiner');
+        await Promise.all([opener.waitUntil('open'), joiner.waitUntil('open')]);
+        joiner.send(JSON.stringify({ type: 'resume', resumeToken: openerToken }));
+        expect(await joiner.waitForMessage('error')).toMatchObject({ code: 'RESUME_TOKEN' });
+        opener.send(JSON.stringify({ type: 'resume', resumeToken: openerToken }));
+        expect(await opener.waitForMessage('resumed')).toEqual({ type: 'resumed', roomId, userId: openerId, resumeToken: expect.any(String) });
+        joiner.send(JSON.stringify({ type: 'resume', resumeToken: joinerToken }));
+        expect(await joiner.waitForMessage('resumed')).toMatchObject({ roomId, userId: joinerId });
+        await expect.poll(() => opener.messages).toContainEqual({ type: 'found', userId: joinerId });
+        expect(await storage.getMember(roomId, openerId)).toMatchObject({ lost: false, resumeTokenHash: null });
+        opener.close(1000);
+        joiner.close(1000);
+        await expect.poll(() => storage.roomExists(roomId)).toBe(false);
+    });
+});
+
+describe('agreed meeting point', () => {
+    test('should agree on a meeting point when the member that did not accept it leaves', async ({ websocketOpener, websocketJoiner, serverUrl }) => {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
+        const { roomId, userId: proposerId } = await websocketOpener.waitForMessage('created');
+        websocketJoiner.send(JSON.stringify({ type: 'join', roomId, lat: 1, lng: 1 }));
+        await websocketJoiner.waitForMessage('joined');
+        const third = new TestWebSocket(serverUrl, 'test-token:third');
+        await third.waitUntil('open');
+        third.send(JSON.stringify({ type: 'join', roomId, lat: 2, lng: 2 }));
+        await third.waitForMessage('joined');
+        websocketOpener.send(JSON.stringify({ type: 'propose', lat: 5, lng: 10, requestId: 1 }));
+        await websocketOpener.waitForMessage('ack');
+        websocketJoiner.send(JSON.stringify({ type: 'accept', proposerId, requestId: 2 }));
+        await websocketJoiner.waitForMessage('ack');
+        expect(websocketOpener.messages).not.toContainEqual(expect.objectContaining({ type: 'meetingPointAgreed' }));
+        third.send(JSON.stringify({ type: 'leave' }));
+        expect(await websocketOpener.waitForMessage('meetingPointAgreed')).toMatchObject({ roomId, proposerId, lat: 5, lng: 10 });
+        websocketJoiner.send(JSON.stringify({ type: 'clearMeetingPoint' }));
+        expect(await websocketOpener.waitForMessage('meetingPointCleared')).toEqual({ type: 'meetingPointCleared', roomId });
+        third.close(1000);
+    });
+});
+
+describe('meeting point suggestions', () => {
+    test('should suggest meeting points that can be proposed with one message', async ({ websocketOpener, websocketJoiner }) => {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
+        const { roomId } = await websocketOpener.waitForMessage('created');
+        websocketJoiner.send(JSON.stringify({ type: 'join', roomId, lat: 0, lng: 0.01 }));
+        const { userId: joinerId } = await websocketJoiner.waitForMessage('joined');
+        await expect.poll(() => websocketOpener.messages).toContainEqual(expect.objectContaining({ type: 'location', userId: joinerId }));
+
+        websocketOpener.send(JSON.stringify({ type: 'suggestMeetingPoint', weights: { [joinerId]: 3 }, requestId: 'suggest' }));
+        const { suggestions } = await websocketOpener.waitForMessage('meetingPointSuggestions');
+        expect(suggestions).toEqual([
+            { kind: 'midpoint', maxDistance: 556, totalDistance: 1112, proposal: { type: 'propose', lat: 0, lng: 0.005, label: 'Midpoint' } },
+            { kind: 'minimax', maxDistance: 556, totalDistance: 1112, proposal: { type: 'propose', lat: 0, lng: 0.005, label: 'Shortest longest walk' } },
+            { kind: 'weighted', maxDistance: 834, totalDistance: 1112, proposal: { type: 'propose', lat: 0, lng: 0.0075, label: 'Weighted midpoint' } }
+        ]);
+        expect(await websocketOpener.waitForMessage('ack')).toEqual({ type: 'ack', requestId: 'suggest' });
+
+        websocketJoiner.send(JSON.stringify(suggestions[2].proposal));
+        await expect.poll(() => websocketOpener.messages.at(-1)).toMatchObject({
+            type: 'roomUpdate',
+            proposals: { [joinerId]: { location: { _latitude: 0, _longitude: 0.0075 }, label: 'Weighted midpoint' } }
+        });
+    });
+
+    test('should reject invalid weights', async ({ websocketOpener }) => {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
+        await websocketOpener.waitForMessage('created');
+        websocketOpener.send(JSON.stringify({ type: 'suggestMeetingPoint', weights: { someone: -1 } }));
+        expect(await websocketOpener.waitForMessage('error')).toMatchObject({ code: 'SUGGESTION_WEIGHT' });
+    });
+});
+
+describe('profile', () => {
+    test('should broadcast the profile of a member and its changes', async ({ websocketOpener, websocketJoiner }) => {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0, displayName: 'Alex', avatar: 'fox' }));
+        const { roomId, userId } = await websocketOpener.waitForMessage('created');
+        websocketJoiner.send(JSON.stringify({ type: 'join', roomId, lat: 1, lng: 1 }));
+        expect(await websocketJoiner.waitForMessage('memberUpdate')).toMatchObject({ userId, displayName: 'Alex', color: null, avatar: 'fox' });
+        websocketOpener.send(JSON.stringify({ type: 'profile', color: '#00ff00', requestId: 'profile' }));
+        expect(await websocketOpener.waitForMessage('ack')).toEqual({ type: 'ack', requestId: 'profile' });
+        await expect.poll(() => websocketJoiner.messages.filter(({ type }) => type === 'memberUpdate').at(-1))
+            .toMatchObject({ userId, displayName: 'Alex', color: '#00ff00', avatar: 'fox' });
+    });
+
+    test('should reject an invalid profile', async ({ websocketOpener }) => {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0, displayName: 'x'.repeat(41) }));
+        expect(await websocketOpener.waitForMessage('error')).toMatchObject({ code: 'DISPLAY_NAME' });
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0, color: 'red' }));
+        await expect.poll(() => websocketOpener.messages.filter(({ type }) => type === 'error').at(-1)).toMatchObject({ code: 'COLOR' });
+    });
+});
+
+describe('moderation', () => {
+    test('should keep a banned user out of the room', async ({ websocketOpener, websocketJoiner }) => {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
+        const { roomId } = await websocketOpener.waitForMessage('created');
+        websocketJoiner.send(JSON.stringify({ type: 'join', roomId, lat: 1, lng: 1 }));
+        const { userId } = await websocketJoiner.waitForMessage('joined');
+        const memberUpdate = await websocketOpener.waitForMessage('memberUpdate');
+        expect(memberUpdate).not.toHaveProperty('uid');
+        websocketOpener.send(JSON.stringify({ type: 'ban', targetId: userId, requestId: 'ban' }));
+        expect(await websocketOpener.waitForMessage('ack')).toEqual({ type: 'ack', requestId: 'ban' });
+        expect(await websocketJoiner.waitForMessage('banned')).toEqual({ type: 'banned', roomId });
+        websocketJoiner.send(JSON.stringify({ type: 'join', roomId, lat: 1, lng: 1 }));
+        expect(await websocketJoiner.waitForMessage('error')).toMatchObject({ code: 'BANNED' });
+    });
+
+    test('should reject moderation by members that do not own the room', async ({ websocketOpener, websocketJoiner }) => {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0 }));
+        const { roomId, userId } = await websocketOpener.waitForMessage('created');
+        websocketJoiner.send(JSON.stringify({ type: 'join', roomId, lat: 1, lng: 1 }));
+        await websocketJoiner.waitForMessage('joined');
+        websocketJoiner.send(JSON.stringify({ type: 'kick', targetId: userId }));
+        expect(await websocketJoiner.waitForMessage('error')).toMatchObject({ code: 'NOT_ROOM_OWNER' });
+    });
+});
+
+describe('room settings', () => {
+    test('should enforce the settings of a room and let its owner change them', async ({ websocketOpener, websocketJoiner }) => {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0, allowProposals: false, maxMembers: 2 }));
+        const { roomId } = await websocketOpener.waitForMessage('created');
+        expect(await websocketOpener.waitForMessage('roomUpdate')).toMatchObject({
+            settings: { maxMembers: 2, locationInterval: null, allowProposals: false, lifetime: null }
+        });
+        websocketJoiner.send(JSON.stringify({ type: 'join', roomId, lat: 1, lng: 1 }));
+        await websocketJoiner.waitForMessage('joined');
+        websocketJoiner.send(JSON.stringify({ type: 'propose', lat: 1, lng: 1 }));
+        expect(await websocketJoiner.waitForMessage('error')).toMatchObject({ code: 'PROPOSALS_DISABLED' });
+
+        websocketOpener.send(JSON.stringify({ type: 'settings', allowProposals: true, requestId: 'settings' }));
+        expect(await websocketOpener.waitForMessage('ack')).toEqual({ type: 'ack', requestId: 'settings' });
+        await expect.poll(() => websocketJoiner.messages.filter(({ type }) => type === 'roomUpdate').at(-1)?.settings)
+            .toEqual({ maxMembers: 2, locationInterval: null, allowProposals: true, lifetime: null });
+    });
+
+    test('should reject invalid settings', async ({ websocketOpener }) => {
+        websocketOpener.send(JSON.stringify({ type: 'create', lat: 0, lng: 0, maxMembers: 1 }));
+        expect(await websocketOpener.waitForMessage('error')).toMatchObject({ code: 'MAX_MEMBERS' });
+    });
+});
@@ -1,79 +1,188 @@
 import WebSocket from "ws";
 import { test as baseTest, vi } from "vitest";
-import { getFirestore, Firestore } from "firebase-admin/firestore";
-import { initializeApp } from "firebase-admin/app";
-import admin from "firebase-admin";
-import serviceAccount from "../../../firebase.secret.json" assert { type: "json" };
+import { createServer } from "http";
 import { RoomMember } from "../room/roomMember.mjs";
-
-initializeApp({
-    credential: admin.credential.cert(serviceAccount)
-});
+import { FindMeServer } from "./server.mjs";
+import { createHttpHandler } from "./httpHandler.mjs";
+import { MemoryStorage } from "../storage/memoryStorage.mjs";
+import { createFirestoreStorage } from "../storage/firestoreStorage.mjs";
+import { loadConfig } from "../config/config.mjs";
+import { MetricsRegistry } from "../metrics/metrics.mjs";
+import { Logger } from "../logging/logger.mjs";
 
 /**
+ * @typedef {import("../storage/roomStorage.mjs").RoomStorage} RoomStorage
  * @typedef {RoomMember & {
  * getRoomId: () => string,
  * getId: () => string,
  * messages: any[],
- * getDoc: () => Promise<admin.firestore.DocumentSnapshot<admin.firestore.DocumentData, admin.firestore.DocumentData>>,
- * getLocations: () => Promise<admin.firestore.QuerySnapshot<admin.firestore.DocumentData, admin.firestore.DocumentData>> }} RoomMemberContext
+ * getDoc: () => Promise<import("../storage/roomStorage.mjs").StoredMember | undefined>,
+ * getLocations: () => Promise<import("../storage/roomStorage.mjs").StoredLocation[]> }} RoomMemberContext
  */
 /**
  * This function creates a RoomMember context for testing purposes.
- * @param {Firestore} database The Firestore database instance to use for the RoomMember.
+ * @param {RoomStorage} storage The storage backend to use for the RoomMember.
  * @param {(context: any) => Promise<any>} use The context.
  */
-async function createRoomMemberContext(database, use) {
+async function createRoomMemberContext(storage, use) {
     const messages = [];
     let left = false;
-    const roomMember = new RoomMember(database, {
+    const roomMember = new RoomMember(storage, {
         send: m => messages.push(JSON.parse(m)),
         terminate: vi.fn()
     });
     await use({
         getRoomId: () => roomMember.room.id,
         getId: () => roomMember.id,
-        createRoom: (latitude, longitude) => roomMember.createRoom(latitude, longitude),
-        joinRoom: (roomId, latitude, longitude) => roomMember.joinRoom(roomId, latitude, longitude),
+        createRoom: (latitude, longitude, passcode, profile, settings) => roomMember.createRoom(latitude, longitude, passcode, profile, settings),
+        joinRoom: (roomId, latitude, longitude, passcode, profile) => roomMember.joinRoom(roomId, latitude, longitude, passcode, profile),
+        updateProfile: (profile) => roomMember.updateProfile(profile),
         updateLocation: (latitude, longitude) => roomMember.updateLocation(latitude, longitude),
-        proposeMeetingPoint: (location) => roomMember.proposeMeetingPoint(location),
+        proposeMeetingPoint: (location, details) => roomMember.proposeMeetingPoint(location, details),
         acceptMeetingPoint: (proposerId) => roomMember.acceptMeetingPoint(proposerId),
         revokeMeetingPointAcceptance: (proposerId) => roomMember.revokeMeetingPointAcceptance(proposerId),
         deleteProposedMeetingPoint: () => roomMember.deleteProposedMeetingPoint(),
+        clearMeetingPoint: () => roomMember.clearMeetingPoint(),
+        kickMember: (memberId) => roomMember.kickMember(memberId),
+        banMember: (memberId) => roomMember.banMember(memberId),
+        lockRoom: (locked) => roomMember.lockRoom(locked),
+        closeRoom: () => roomMember.closeRoom(),
+        updateRoomSettings: (settings) => roomMember.updateRoomSettings(settings),
+        suspend: () => roomMember.suspend(),
+        resume: (webSocket) => roomMember.resume(webSocket),
         leaveRoom: () => {
             left = true;
             return roomMember.leaveRoom()
         },
-        getDoc: () => database.doc(`${roomMember.room.id}/${roomMember.id}`).get(),
-        getLocations: () => database.collection(`${roomMember.room.id}/${roomMember.id}/locations`).get(),
+        getDoc: () => storage.getMember(roomMember.room.id, roomMember.id),
+        getLocations: () => storage.getLocations(roomMember.room.id, roomMember.id),
         messages
     });
+    clearTimeout(roomMember.heartbeatTimeout);
     if (!left) await roomMember.leaveRoom();
 }
 
+/**
+ * Verifies the ID tokens of the test server. Valid tokens have the form `test-token:<uid>`.
+ * @type {import("./auth.mjs").TokenVerifier}
+ */
+export async function verifyTestIdToken(idToken) {
+    if (!idToken?.startsWith('test-token:')) throw new Error('Invalid ID token');
+    return { uid: idToken.slice('test-token:'.length) };
+}
+
+/**
+ * Creates a TestWebSocket that is connected to the test server and closes it after the test.
+ * @param {string} url The URL of the test server.
+ * @param {string} uid The user ID the WebSocket authenticates as.
+ * @param {(websocket: TestWebSocket) => Promise<void>} use
+ */
+async function createWebSocketContext(url, uid, use) {
+    const websocket = new TestWebSocket(url, `test-token:${uid}`);
+    await websocket.waitUntil('open');
+    await use(websocket);
+    if (websocket.readyState !== websocket.CLOSED) websocket.close(1000, 'Normal closure');
+}
+
 export const test = baseTest.extend({
-    /** @type {TestWebSocket} */
-    websocketJoiner: async ({ }, use) => {
-        const websocket = new TestWebSocket('ws://localhost:8080');
-        await websocket.waitUntil('open');
-        await use(websocket);
-        if (!websocket.CLOSED) websocket.close(1000, 'Normal closure');
+    /**
+     * The storage backend of a test. It is an in-memory storage, unless FINDME_STORAGE is set to 'firestore'.
+     * @type {RoomStorage}
+     */
+    storage: async ({ }, use) => {
+        await use(process.env.FINDME_STORAGE === 'firestore' ? createFirestoreStorage(loadConfig().firebase) : new MemoryStorage());
     },
-    /** @type {TestWebSocket} */
-    websocketOpener: async ({ }, use) => {
-        const websocket = new TestWebSocket('ws://localhost:8080');
-        await websocket.waitUntil('open');
-        await use(websocket);
-        if (!websocket.CLOSED) websocket.close(1000, 'Normal closure');
+    /**
+     * The entries the test server logged, parsed from JSON.
+     * @type {object[]}
+     */
+    logEntries: async ({ }, use) => {
+        await use([]);
     },
-    /** @type {Firestore} */
-    database: async ({ }, use) => {
-        await use(getFirestore(undefined, 'findme-db'));
+    /**
+     * The logger of the test server, which collects its entries in logEntries instead of writing them to stdout.
+     * @type {Logger}
+     */
+    logger: async ({ logEntries }, use) => {
+        await use(new Logger({ level: 'debug', write: line => logEntries.push(JSON.parse(line)) }));
     },
+    /**
+     * The metrics of the test server.
+     * @type {MetricsRegistry}
+     */
+    metrics: async ({ }, use) => {
+        await use(new MetricsRegistry());
+    },
+    /**
+     * The time in milliseconds a member of the test server can resume its session.
+     * @type {number}
+     */
+    resumeGracePeriod: 60000,
+    /**
+     * The time in milliseconds a client of the test server has to authenticate.
+     * @type {number}
+     */
+    authenticationTimeout: 10000,
+    /**
+     * The minimum time in milliseconds between two location writes of a member of the test server.
+     * @type {number}
+     */
+    locationWriteInterval: 1000,
+    /**
+     * The maximum number of location messages per second a member of the test server may send.
+     * @type {number}
+     */
+    maxLocationUpdateRate: 20,
+    /**
+     * A FindMeServer that listens on a random port.
+     * @type {FindMeServer}
+     */
+    findMeServer: async ({ storage, metrics, logger, resumeGracePeriod, authenticationTimeout, locationWriteInterval, maxLocationUpdateRate }, use) => {
+        const httpServer = createServer(createHttpHandler({ storage, metrics, logger, verifyIdToken: verifyTestIdToken }));
+        const findMeServer = new FindMeServer({ server: httpServer }, {
+            logger,
+            storage,
+            metrics,
+            resumeGracePeriod,
+            authenticationTimeout,
+            locationWriteInterval,
+            maxLocationUpdateRate,
+            verifyIdToken: verifyTestIdToken
+        });
+        await new Promise(resolve => httpServer.listen(0, resolve));
+        await use(findMeServer);
+        findMeServer.clients.forEach(client => client.terminate());
+        await new Promise(resolve => findMeServer.close(resolve));
+        await new Promise(resolve => httpServer.close(resolve));
+    },
+    /**
+     * The URL of the test FindMeServer.
+     * @type {string}
+     */
+    serverUrl: async ({ findMeServer }, use) => {
+        await use(`ws://localhost:${findMeServer.options.server.address().port}`);
+    },
+    /**
+     * The URL of a second FindMeServer that shares the storage of the test server, like another Cloud Run instance.
+     * @type {string}
+     */
+    otherServerUrl: async ({ storage, logger }, use) => {
+        const httpServer = createServer();
+        const otherServer = new FindMeServer({ server: httpServer }, { logger, storage, verifyIdToken: verifyTestIdToken });
+        await new Promise(resolve => httpServer.listen(0, resolve));
+        await use(`ws://localhost:${httpServer.address().port}`);
+        otherServer.clients.forEach(client => client.terminate());
+        await new Promise(resolve => otherServer.close(resolve));
+        await new Promise(resolve => httpServer.close(resolve));
+    },
+    /** @type {TestWebSocket} */
+    websocketJoiner: async ({ serverUrl }, use) => createWebSocketContext(serverUrl, 'joiner', use),
+    /** @type {TestWebSocket} */
+    websocketOpener: async ({ serverUrl }, use) => createWebSocketContext(serverUrl, 'opener', use),
     /** @type {RoomMemberContext} */
-    roomOpener: async ({ database }, use) => createRoomMemberContext(database, use),
+    roomOpener: async ({ storage }, use) => createRoomMemberContext(storage, use),
     /** @type {RoomMemberContext} */
-    roomJoiner: async ({ database }, use) => createRoomMemberContext(database, use)
+    roomJoiner: async ({ storage }, use) => createRoomMemberContext(storage, use)
 });
 
 export class TestWebSocket extends WebSocket {
@@ -83,14 +192,41 @@ export class TestWebSocket extends WebSocket {
      * Extends the parent WebSocket class, ensuring that the connection does not reject unauthorized SSL certificates.
      *
      * @param {string} url - The URL to connect to.
+     * @param {string} [idToken] - The ID token to authenticate the upgrade request with.
      */
-    constructor(url) {
-        super(url, { rejectUnauthorized: false });
+    constructor(url, idToken = undefined) {
+        super(url, { rejectUnauthorized: false, headers: idToken ? { authorization: `Bearer ${idToken}` } : {} });
         this.on('message', message => {
             this.messages.push(JSON.parse(message));
         });
     }
 
+    /**
+     * Waits until the WebSocket receives a message of the specified type, including messages that were already received.
+     *
+     * @param {string} type - The type of the message to wait for.
+     * @param {number} [timeout=3000] - The maximum time to wait in milliseconds before rejecting the promise.
+     * @returns {Promise<any>} A promise that resolves with the parsed message.
+     */
+    waitForMessage(type, timeout = 3000) {
+        const received = this.messages.find(message => message.type === type);
+        if (received) return Promise.resolve(received);
+        return new Promise((resolve, reject) => {
+            const handleMessage = message => {
+                const data = JSON.parse(message);
+                if (data.type !== type) return;
+                clearTimeout(timerId);
+                this.off('message', handleMessage);
+                resolve(data);
+            };
+            const timerId = setTimeout(() => {
+                this.off('message', handleMessage);
+                reject(new Error(`WebSocket did not receive a ${type} message in time`));
+            }, timeout);
+            this.on('message', handleMessage);
+        });
+    }
+
     /**
      * Waits until the WebSocket reaches the specified state ('open' or 'close') or until the timeout is reached.
      *
@@ -0,0 +1,113 @@
+import { ResumeTokenError } from './errors.mjs';
+
+/**
+ * @typedef {import('../room/roomMember.mjs').RoomMember} RoomMember
+ */
+
+/**
+ * Keeps track of the room members that can be resumed by their resume token.
+ * Suspended members are removed from their room when they are not resumed within the grace period.
+ */
+export class SessionRegistry {
+    /**
+     * All resumable room members by their resume token, with the timeout that removes suspended members.
+     * @private
+     * @type {Map<string, { roomMember: RoomMember, graceTimeout: NodeJS.Timeout | undefined }>}
+     */
+    #sessions = new Map();
+
+    /**
+     * The time in milliseconds a suspended member can be resumed.
+     * @private
+     * @type {number}
+     */
+    #gracePeriod;
+
+    /**
+     * Called when a suspended member was not resumed in time.
+     * @private
+     * @type {function(RoomMember): Promise<void>}
+     */
+    #onExpire;
+
+    /**
+     * @param {number} gracePeriod The time in milliseconds a suspended member can be resumed
+     * @param {function(RoomMember): Promise<void>} onExpire Called when a suspended member was not resumed in time
+     */
+    constructor(gracePeriod, onExpire) {
+        this.#gracePeriod = gracePeriod;
+        this.#onExpire = onExpire;
+    }
+
+    /**
+     * Makes a room member resumable with its current resume token.
+     * @param {RoomMember} roomMember
+     */
+    register(roomMember) {
+        if (!roomMember.resumeToken) return;
+        this.#sessions.set(roomMember.resumeToken, { roomMember, graceTimeout: undefined });
+    }
+
+    /**
+     * Removes a room member from the registry, e.g. because it left its room.
+     * @param {RoomMember} roomMember
+     */
+    unregister(roomMember) {
+        for (const [resumeToken, session] of this.#sessions) {
+            if (session.roomMember !== roomMember) continue;
+            clearTimeout(session.graceTimeout);
+            this.#sessions.delete(resumeToken);
+        }
+    }
+
+    /**
+     * Starts the grace period of a suspended room member.
+     * @param {RoomMember} roomMember
+     */
+    suspend(roomMember) {
+        const session = this.#sessions.get(roomMember.resumeToken);
+        if (!session) return;
+        clearTimeout(session.graceTimeout);
+        session.graceTimeout = setTimeout(() => {
+            this.#sessions.delete(roomMember.resumeToken);
+            this.#onExpire(roomMember);
+        }, this.#gracePeriod);
+    }
+
+    /**
+     * Removes all room members from the registry and stops their grace periods, e.g. when the server shuts down.
+     * @returns {RoomMember[]} The removed members
+     */
+    clear() {
+        const roomMembers = [...this.#sessions.values()].map(({ roomMember, graceTimeout }) => {
+            clearTimeout(graceTimeout);
+            return roomMember;
+        });
+        this.#sessions.clear();
+        return roomMembers;
+    }
+
+    /**
+     * Checks if a room member of this server can be resumed with a resume token.
+     * @param {string} resumeToken
+     * @returns {boolean}
+     */
+    has(resumeToken) {
+        return this.#sessions.has(resumeToken);
+    }
+
+    /**
+     * Takes a room member out of the registry to resume it.
+     * @param {string} resumeToken
+     * @param {string} uid The verified user ID of the connection that resumes the member
+     * @returns {RoomMember}
+     * @throws {ResumeTokenError} If no room member of this user can be resumed with this token
+     */
+    take(resumeToken, uid) {
+        const session = typeof resumeToken === 'string' ? this.#sessions.get(resumeToken) : undefined;
+        if (!session || session.roomMember.uid !== uid) throw new ResumeTokenError();
+        clearTimeout(session.graceTimeout);
+        this.#sessions.delete(resumeToken);
+        return session.roomMember;
+    }
+}
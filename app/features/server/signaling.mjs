@@ -0,0 +1,37 @@
+import { IceCandidateError, SdpError } from './errors.mjs';
+
+/**
+ * WebRTC signaling messages are relayed directly between the connections of a server and not through the storage
+ * like locations are, because they are only useful to peers that are connected right now. So members can only
+ * exchange them if they are connected to the same server instance. If the target is connected to another instance,
+ * the sender gets a PEER_UNAVAILABLE error, so that it doesn't wait for an answer that never comes.
+ */
+
+/**
+ * The maximum length of an SDP or ICE candidate string. Typical session descriptions are a few kilobytes long.
+ */
+export const MAX_SIGNAL_LENGTH = 65536;
+
+/**
+ * Extracts the payload of a WebRTC signaling message that is relayed to the target member.
+ * @param {'offer' | 'answer' | 'ice-candidate'} type The type of the signaling message
+ * @param {object} message The parsed message
+ * @returns {{ sdp: string } | { candidate: object | null }}
+ * @throws {SdpError} If an offer or answer has no valid SDP
+ * @throws {IceCandidateError} If an ICE candidate message has no valid candidate
+ */
+export function getSignalPayload(type, { sdp, candidate }) {
+    if (type === 'ice-candidate') {
+        // A null candidate signals the end of the candidates
+        if (candidate === null) return { candidate };
+        if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) throw new IceCandidateError();
+        const { candidate: candidateString, sdpMid, sdpMLineIndex, usernameFragment } = candidate;
+        if (typeof candidateString !== 'string' || candidateString.length > MAX_SIGNAL_LENGTH) throw new IceCandidateError();
+        if (sdpMid !== undefined && sdpMid !== null && typeof sdpMid !== 'string') throw new IceCandidateError();
+        if (sdpMLineIndex !== undefined && sdpMLineIndex !== null && !Number.isInteger(sdpMLineIndex)) throw new IceCandidateError();
+        if (usernameFragment !== undefined && usernameFragment !== null && typeof usernameFragment !== 'string') throw new IceCandidateError();
+        return { candidate: { candidate: candidateString, sdpMid, sdpMLineIndex, usernameFragment } };
+    }
+    if (!sdp || typeof sdp !== 'string' || sdp.length > MAX_SIGNAL_LENGTH) throw new SdpError();
+    return { sdp };
+}
@@ -0,0 +1,85 @@
+import { TooManyPasscodeAttemptsError } from './errors.mjs';
+
+/**
+ * Limits the number of failed passcode attempts per user and room. Once a user reached the limit for a room, every
+ * attempt of this user to join it is rejected until the window that started with the first failed attempt is over.
+ * Other users can still join, so that nobody can lock the members of a room out by sending wrong passcodes.
+ * The attempts are only counted in the memory of this server, so they are not shared with other instances
+ * and are forgotten on a restart. Together with the short window, this only slows guessing down.
+ */
+export class PasscodeThrottle {
+    /**
+     * The failed attempts of every throttled user and room and when their window is over.
+     * @private
+     * @type {Map<string, { failures: number, resetAt: number }>}
+     */
+    #attempts = new Map();
+
+    /**
+     * The number of failed attempts per window after which a user can't join a room anymore.
+     * @private
+     * @type {number}
+     */
+    #maxAttempts;
+
+    /**
+     * The length of a window in milliseconds.
+     * @private
+     * @type {number}
+     */
+    #window;
+
+    /**
+     * @param {number} maxAttempts The number of failed attempts per window after which a user can't join a room anymore
+     * @param {number} window The length of a window in milliseconds
+     */
+    constructor(maxAttempts, window) {
+        this.#maxAttempts = maxAttempts;
+        this.#window = window;
+    }
+
+    /**
+     * Removes all windows that are over.
+     * @private
+     */
+    #prune() {
+        const now = Date.now();
+        for (const [key, { resetAt }] of this.#attempts) {
+            if (resetAt <= now) this.#attempts.delete(key);
+        }
+    }
+
+    /**
+     * Checks if a user may join a room with a passcode.
+     * @param {string} roomId
+     * @param {string} uid The verified user ID of the caller
+     * @throws {TooManyPasscodeAttemptsError} If the user reached the limit of failed attempts for the room
+     */
+    check(roomId, uid) {
+        this.#prune();
+        if ((this.#attempts.get(getKey(roomId, uid))?.failures ?? 0) >= this.#maxAttempts) throw new TooManyPasscodeAttemptsError();
+    }
+
+    /**
+     * Records a failed attempt of a user to join a room.
+     * @param {string} roomId
+     * @param {string} uid The verified user ID of the caller
+     */
+    recordFailure(roomId, uid) {
+        this.#prune();
+        const key = getKey(roomId, uid);
+        const attempts = this.#attempts.get(key);
+        if (attempts) attempts.failures++;
+        else this.#attempts.set(key, { failures: 1, resetAt: Date.now() + this.#window });
+    }
+}
+
+/**
+ * Combines a room and user ID into the key of their attempts. Room IDs contain no slashes, so keys are unambiguous.
+ * @param {string} roomId
+ * @param {string} uid
+ * @returns {string}
+ */
+function getKey(roomId, uid) {
+    return `${roomId}/${uid}`;
+}
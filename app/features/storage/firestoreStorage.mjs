@@ -0,0 +1,483 @@
+import { FieldValue, Timestamp, getFirestore } from 'firebase-admin/firestore';
+import { initializeApp, getApps, cert, applicationDefault } from 'firebase-admin/app';
+import { readFileSync } from 'fs';
+import { DEFAULT_LOCATION_RETENTION, ID_PATTERN, RoomStorage, validateLocationRetention } from './roomStorage.mjs';
+import {
+    BannedError,
+    MeetingPointDoesNotExistError,
+    MemberDoesNotExistError,
+    ProposalDoesNotExistError,
+    RoomFullError,
+    RoomDoesNotExistError,
+    RoomInfoDoesNotExistError,
+    RoomLockedError
+} from '../server/errors.mjs';
+import { reevaluateAgreedProposal } from '../room/meetingPoint.mjs';
+import { isProposalExpired } from '../room/proposal.mjs';
+import { EMPTY_PROFILE } from '../room/profile.mjs';
+import { DEFAULT_ROOM_SETTINGS, getRoomSettings, isRoomExpired } from '../room/settings.mjs';
+
+/**
+ * Stores rooms in Firestore. Every room is a collection named after the room ID. It contains an `info` document
+ * and one document per member, each with a `locations` subcollection.
+ * @extends {RoomStorage}
+ */
+export class FirestoreStorage extends RoomStorage {
+    /**
+     * @private
+     * @type {import('firebase-admin/firestore').Firestore}
+     */
+    #firestoreDatabase;
+
+    /**
+     * @private
+     * @type {import('./roomStorage.mjs').LocationRetention}
+     */
+    #locationRetention;
+
+    /**
+     * @param {import('firebase-admin/firestore').Firestore} firestoreDatabase
+     * @param {object} [options]
+     * @param {import('./roomStorage.mjs').LocationRetention} [options.locationRetention] Limits the location history of every member
+     * @throws {Error} If firestoreDatabase is not provided or the location retention is invalid
+     */
+    constructor(firestoreDatabase, { locationRetention = DEFAULT_LOCATION_RETENTION } = {}) {
+        super();
+        if (!firestoreDatabase) throw new Error('Firestore database is required');
+        this.#firestoreDatabase = firestoreDatabase;
+        this.#locationRetention = validateLocationRetention(locationRetention);
+    }
+
+    /**
+     * @private
+     * @param {string} roomId
+     * @returns {import('firebase-admin/firestore').CollectionReference}
+     * @throws {RoomDoesNotExistError} If the room ID does not have the format of room IDs, e.g. because it contains a slash
+     */
+    #roomRef(roomId) {
+        if (typeof roomId !== 'string' || !ID_PATTERN.test(roomId)) throw new RoomDoesNotExistError();
+        return this.#firestoreDatabase.collection(roomId);
+    }
+
+    #infoRef(roomId) {
+        return this.#roomRef(roomId).doc('info');
+    }
+
+    /**
+     * @private
+     * @param {string} roomId
+     * @param {string} memberId
+     * @returns {import('firebase-admin/firestore').DocumentReference}
+     * @throws {RoomDoesNotExistError} If the room ID does not have the format of room IDs
+     * @throws {MemberDoesNotExistError} If the member ID does not have the format of member IDs or is the ID of the info document
+     */
+    #memberRef(roomId, memberId) {
+        const roomRef = this.#roomRef(roomId);
+        if (typeof memberId !== 'string' || !ID_PATTERN.test(memberId) || memberId === 'info') throw new MemberDoesNotExistError();
+        return roomRef.doc(memberId);
+    }
+
+    #locationsRef(roomId, memberId) {
+        return this.#memberRef(roomId, memberId).collection('locations');
+    }
+
+    async createRoom(roomId, { lat, lng }, passcodeHash = null, profile = EMPTY_PROFILE, uid = null, settings = DEFAULT_ROOM_SETTINGS) {
+        return this.#firestoreDatabase.runTransaction(async transaction => {
+            const infoDoc = await transaction.get(this.#infoRef(roomId));
+            if (infoDoc.exists) return undefined;
+            const memberDoc = this.#roomRef(roomId).doc();
+            transaction.set(infoDoc.ref, {
+                createdAt: FieldValue.serverTimestamp(),
+                proposals: {},
+                meetingPoint: null,
+                passcodeHash,
+                ownerId: memberDoc.id,
+                locked: false,
+                bannedUids: [],
+                removals: {},
+                closed: false,
+                closedAt: null,
+                settings: { ...settings }
+            });
+            transaction.set(memberDoc, { joinedAt: FieldValue.serverTimestamp(), lost: false, lostAt: null, arrived: false, uid, resumeTokenHash: null, ...profile });
+            transaction.set(memberDoc.collection('locations').doc(), {
+                lat,
+                lng,
+                time: FieldValue.serverTimestamp()
+            });
+            return memberDoc.id;
+        });
+    }
+
+    async checkHealth() {
+        // Reading a document that does not exist costs a single read, and the janitor does not see its collection
+        await this.#firestoreDatabase.doc('_health/ping').get();
+    }
+
+    async listRoomIds() {
+        // The database may contain other collections, which must never be mistaken for rooms
+        return (await this.#firestoreDatabase.listCollections()).map(collection => collection.id).filter(id => ID_PATTERN.test(id));
+    }
+
+    async deleteRoom(roomId) {
+        await this.#firestoreDatabase.recursiveDelete(this.#roomRef(roomId));
+    }
+
+    async roomExists(roomId) {
+        return (await this.#infoRef(roomId).get()).exists;
+    }
+
+    async getRoomInfo(roomId) {
+        return (await this.#infoRef(roomId).get()).data();
+    }
+
+    async addMember(roomId, { lat, lng }, profile = EMPTY_PROFILE, uid = null) {
+        return this.#firestoreDatabase.runTransaction(async transaction => {
+            const infoDoc = await transaction.get(this.#infoRef(roomId));
+            if (!infoDoc.exists || infoDoc.get('closed') || isRoomExpired(infoDoc.data(), Infinity)) throw new RoomInfoDoesNotExistError();
+            if (infoDoc.get('locked')) throw new RoomLockedError();
+            if (uid && infoDoc.get('bannedUids')?.includes(uid)) throw new BannedError();
+            const { maxMembers } = getRoomSettings(infoDoc.data());
+            if (maxMembers !== null) {
+                // The info document has no lost field, so it is not counted
+                const members = (await transaction.get(this.#roomRef(roomId).where('lost', '==', false).count())).data().count;
+                if (members >= maxMembers) throw new RoomFullError();
+            }
+            const memberDoc = this.#roomRef(roomId).doc();
+            transaction.set(memberDoc, { joinedAt: FieldValue.serverTimestamp(), lost: false, lostAt: null, arrived: false, uid, resumeTokenHash: null, ...profile });
+            transaction.set(memberDoc.collection('locations').doc(), {
+                lat,
+                lng,
+                time: FieldValue.serverTimestamp()
+            });
+            return memberDoc.id;
+        });
+    }
+
+    async removeMember(roomId, memberId) {
+        const memberRef = this.#memberRef(roomId, memberId);
+        await this.#firestoreDatabase.runTransaction(async transaction => {
+            const infoDoc = await transaction.get(this.#infoRef(roomId));
+            if (!infoDoc.exists) throw new RoomInfoDoesNotExistError();
+            await this.#deleteLocations(roomId, memberId);
+            if ((await this.#roomRef(roomId).count().get()).data().count <= 2) {
+                transaction.delete(infoDoc.ref);
+            } else {
+                const update = this.#removeVotes(infoDoc, memberId);
+                if (infoDoc.get('ownerId') === memberId) {
+                    // The info document has no joinedAt, so it is not part of the query
+                    const members = await transaction.get(this.#roomRef(roomId).orderBy('joinedAt').limit(2));
+                    update.ownerId = members.docs.find(doc => doc.id !== memberId)?.id ?? null;
+                }
+                if (Object.keys(update).length) transaction.update(infoDoc.ref, update);
+            }
+            transaction.delete(memberRef);
+        });
+    }
+
+    /**
+     * Creates the update of a room's info document that removes the proposal and the acceptances of a member that leaves.
+     * If the member proposed the agreed meeting point, the agreed meeting point is cleared.
+     * @param {import('firebase-admin/firestore').DocumentSnapshot} infoDoc
+     * @param {string} memberId
+     * @returns {Object<string, any>}
+     */
+    #removeVotes(infoDoc, memberId) {
+        const proposals = infoDoc.get('proposals') ?? {};
+        const update = {};
+        for (const [proposerId, { acceptedBy }] of Object.entries(proposals)) {
+            if (proposerId === memberId) update[`proposals.${proposerId}`] = FieldValue.delete();
+            else if (acceptedBy.includes(memberId)) update[`proposals.${proposerId}.acceptedBy`] = FieldValue.arrayRemove(memberId);
+        }
+        if (infoDoc.get('meetingPoint')?.proposerId === memberId) update.meetingPoint = null;
+        return update;
+    }
+
+    async removeLostMembers(roomId, lostBefore) {
+        if (!(await this.#infoRef(roomId).get()).exists) throw new RoomInfoDoesNotExistError();
+        // Members that are not lost have no lostAt, so they are not part of the query
+        const lostMembers = await this.#roomRef(roomId).where('lostAt', '<', Timestamp.fromMillis(lostBefore)).get();
+        for (const { id } of lostMembers.docs) await this.removeMember(roomId, id);
+        return lostMembers.docs.map(({ id }) => id);
+    }
+
+    async kickMember(roomId, memberId, ban = false) {
+        const memberRef = this.#memberRef(roomId, memberId);
+        await this.#firestoreDatabase.runTransaction(async transaction => {
+            const infoDoc = await transaction.get(this.#infoRef(roomId));
+            if (!infoDoc.exists) throw new RoomInfoDoesNotExistError();
+            const memberDoc = await transaction.get(memberRef);
+            if (!memberDoc.exists) throw new MemberDoesNotExistError();
+            const uid = memberDoc.get('uid');
+            // Member IDs only consist of letters and digits, so they are valid field paths
+            transaction.update(infoDoc.ref, {
+                [`removals.${memberId}`]: ban ? 'banned' : 'kicked',
+                ...(ban && uid ? { bannedUids: FieldValue.arrayUnion(uid) } : {})
+            });
+        });
+        // The reason is committed before the member is removed, so that the member can read it when it sees its removal
+        await this.removeMember(roomId, memberId);
+    }
+
+    async setRoomLocked(roomId, locked) {
+        await this.#firestoreDatabase.runTransaction(async transaction => {
+            const infoDoc = await transaction.get(this.#infoRef(roomId));
+            if (!infoDoc.exists) throw new RoomInfoDoesNotExistError();
+            transaction.update(infoDoc.ref, { locked });
+        });
+    }
+
+    async setRoomSettings(roomId, settings) {
+        await this.#firestoreDatabase.runTransaction(async transaction => {
+            const infoDoc = await transaction.get(this.#infoRef(roomId));
+            if (!infoDoc.exists) throw new RoomInfoDoesNotExistError();
+            transaction.update(infoDoc.ref, { settings: { ...getRoomSettings(infoDoc.data()), ...settings } });
+        });
+    }
+
+    async closeRoom(roomId) {
+        await this.#firestoreDatabase.runTransaction(async transaction => {
+            const infoDoc = await transaction.get(this.#infoRef(roomId));
+            if (!infoDoc.exists) throw new RoomInfoDoesNotExistError();
+            transaction.update(infoDoc.ref, { closed: true, closedAt: FieldValue.serverTimestamp() });
+        });
+    }
+
+    /**
+     * Deletes all location documents of a member.
+     * @param {string} roomId
+     * @param {string} memberId
+     * @param {number} batchSize - The number of documents to delete in each batch. Default is 100. The batch size must be between 1 and 500.
+     * @returns {Promise<void>} A promise that resolves when all documents are deleted.
+     * @throws If the batch size is less than 1 or greater than 500
+     */
+    async #deleteLocations(roomId, memberId, batchSize = 100) {
+        if (batchSize < 1 || batchSize > 500) throw new Error('Batch size must be between 1 and 500');
+
+        // eslint-disable-next-line no-constant-condition
+        while (true) {
+            const snapshot = await this.#locationsRef(roomId, memberId).limit(batchSize).get();
+            if (snapshot.empty) break;
+            const batch = this.#firestoreDatabase.batch();
+            snapshot.docs.forEach(location => batch.delete(location.ref));
+            await batch.commit();
+            if (snapshot.size < batchSize) break;
+        }
+    }
+
+    async getMember(roomId, memberId) {
+        return (await this.#roomRef(roomId).doc(memberId).get()).data();
+    }
+
+    async setMemberLost(roomId, memberId, lost, resumeTokenHash = null) {
+        await this.#roomRef(roomId).doc(memberId).update({ lost, lostAt: lost ? FieldValue.serverTimestamp() : null, resumeTokenHash });
+    }
+
+    async setMemberArrived(roomId, memberId, arrived) {
+        await this.#roomRef(roomId).doc(memberId).update({ arrived });
+    }
+
+    async setMemberProfile(roomId, memberId, profile) {
+        await this.#roomRef(roomId).doc(memberId).update(profile);
+    }
+
+    async countMembers(roomId) {
+        const count = (await this.#roomRef(roomId).count().get()).data().count;
+        return (await this.roomExists(roomId)) ? count - 1 : count;
+    }
+
+    async getLastActivity(roomId) {
+        let lastActivity;
+        // listDocuments also returns members whose document is missing but whose locations are left behind
+        for (const memberRef of await this.#roomRef(roomId).listDocuments()) {
+            if (memberRef.id === 'info' || !ID_PATTERN.test(memberRef.id)) continue;
+            const memberDoc = await memberRef.get();
+            const latestLocation = (await this.#locationsRef(roomId, memberRef.id).orderBy('time', 'desc').limit(1).get()).docs[0];
+            for (const time of [memberDoc.get('joinedAt'), latestLocation?.get('time')]) {
+                if (time && (!lastActivity || time.toMillis() > lastActivity.toMillis())) lastActivity = time;
+            }
+        }
+        return lastActivity;
+    }
+
+    async addLocation(roomId, memberId, { lat, lng }) {
+        await this.#locationsRef(roomId, memberId).doc().set({
+            lat,
+            lng,
+            time: FieldValue.serverTimestamp()
+        });
+        await this.#pruneLocations(roomId, memberId);
+    }
+
+    /**
+     * Deletes the location documents of a member that fall out of the location retention.
+     * Only the oldest documents are deleted, so the latest location that feeds the location listeners is always kept.
+     * @param {string} roomId
+     * @param {string} memberId
+     * @returns {Promise<void>}
+     */
+    async #pruneLocations(roomId, memberId) {
+        const { maxCount, maxAge } = this.#locationRetention;
+        const locations = this.#locationsRef(roomId, memberId);
+        /** @type {Map<string, import('firebase-admin/firestore').DocumentReference>} */
+        const expired = new Map();
+        // Counting is much cheaper than reading the documents, and as pruning runs on every new location
+        // there are rarely more than a few documents to delete
+        const count = (await locations.count().get()).data().count;
+        if (maxCount !== undefined && count > maxCount) {
+            const oldest = await locations.orderBy('time').limit(Math.min(count - maxCount, 500)).get();
+            oldest.docs.forEach(doc => expired.set(doc.id, doc.ref));
+        }
+        if (maxAge !== undefined && count > 1) {
+            const old = await locations.where('time', '<', Timestamp.fromMillis(Date.now() - maxAge))
+                .orderBy('time').limit(Math.min(count - 1, 500)).get();
+            old.docs.forEach(doc => expired.set(doc.id, doc.ref));
+        }
+        if (!expired.size) return;
+        const batch = this.#firestoreDatabase.batch();
+        expired.forEach(ref => batch.delete(ref));
+        await batch.commit();
+    }
+
+    async getLocations(roomId, memberId) {
+        return (await this.#locationsRef(roomId, memberId).orderBy('time').get()).docs.map(doc => doc.data());
+    }
+
+    /**
+     * Updates a proposal and clears the agreed meeting point if it is this proposal.
+     * @param {string} roomId
+     * @param {string} proposerId
+     * @param {import('./roomStorage.mjs').StoredProposal | FieldValue} proposal The new proposal or a delete transform
+     * @returns {Promise<void>}
+     * @throws {RoomInfoDoesNotExistError} If the room does not exist
+     */
+    async #updateProposal(roomId, proposerId, proposal) {
+        await this.#firestoreDatabase.runTransaction(async transaction => {
+            const infoDoc = await transaction.get(this.#infoRef(roomId));
+            if (!infoDoc.exists) throw new RoomInfoDoesNotExistError();
+            transaction.update(infoDoc.ref, {
+                [`proposals.${proposerId}`]: proposal,
+                ...(infoDoc.get('meetingPoint')?.proposerId === proposerId ? { meetingPoint: null } : {})
+            });
+        });
+    }
+
+    async setProposal(roomId, proposerId, proposal) {
+        await this.#updateProposal(roomId, proposerId, proposal);
+    }
+
+    /**
+     * Updates the list of members that accepted a proposal, if the proposal exists.
+     * @param {string} roomId
+     * @param {string} proposerId
+     * @param {FieldValue} acceptedBy The array transform to apply
+     * @returns {Promise<void>}
+     * @throws {RoomInfoDoesNotExistError} If the room does not exist
+     * @throws {ProposalDoesNotExistError} If the proposer has no proposal
+     */
+    async #updateAcceptedBy(roomId, proposerId, acceptedBy) {
+        await this.#firestoreDatabase.runTransaction(async transaction => {
+            const infoDoc = await transaction.get(this.#infoRef(roomId));
+            if (!infoDoc.exists) throw new RoomInfoDoesNotExistError();
+            // Proposer IDs come from clients, so inherited keys like "constructor" must not be taken for proposals
+            if (!Object.hasOwn(infoDoc.get('proposals') ?? {}, proposerId)) throw new ProposalDoesNotExistError();
+            transaction.update(infoDoc.ref, { [`proposals.${proposerId}.acceptedBy`]: acceptedBy });
+        });
+    }
+
+    async acceptProposal(roomId, proposerId, memberId) {
+        await this.#updateAcceptedBy(roomId, proposerId, FieldValue.arrayUnion(memberId));
+    }
+
+    async revokeProposalAcceptance(roomId, proposerId, memberId) {
+        await this.#updateAcceptedBy(roomId, proposerId, FieldValue.arrayRemove(memberId));
+    }
+
+    async deleteProposal(roomId, proposerId) {
+        await this.#updateProposal(roomId, proposerId, FieldValue.delete());
+    }
+
+    async deleteExpiredProposals(roomId) {
+        return this.#firestoreDatabase.runTransaction(async transaction => {
+            const infoDoc = await transaction.get(this.#infoRef(roomId));
+            if (!infoDoc.exists) throw new RoomInfoDoesNotExistError();
+            const proposals = infoDoc.get('proposals') ?? {};
+            const expired = Object.keys(proposals).filter(proposerId => isProposalExpired(proposals[proposerId]));
+            if (!expired.length) return [];
+            transaction.update(infoDoc.ref, {
+                ...Object.fromEntries(expired.map(proposerId => [`proposals.${proposerId}`, FieldValue.delete()])),
+                ...(expired.includes(infoDoc.get('meetingPoint')?.proposerId) ? { meetingPoint: null } : {})
+            });
+            return expired;
+        });
+    }
+
+    async agreeOnMeetingPoint(roomId, quorum) {
+        return this.#firestoreDatabase.runTransaction(async transaction => {
+            const infoDoc = await transaction.get(this.#infoRef(roomId));
+            if (!infoDoc.exists) throw new RoomInfoDoesNotExistError();
+            const proposals = infoDoc.get('proposals') ?? {};
+            const memberIds = (await transaction.get(this.#roomRef(roomId).where('lost', '==', false))).docs.map(doc => doc.id);
+            const proposerId = reevaluateAgreedProposal(proposals, memberIds, quorum, infoDoc.get('meetingPoint')?.proposerId);
+            if (!proposerId) return undefined;
+            const meetingPoint = { proposerId, location: proposals[proposerId].location, agreedAt: Timestamp.now() };
+            transaction.update(infoDoc.ref, { meetingPoint });
+            return meetingPoint;
+        });
+    }
+
+    async clearMeetingPoint(roomId) {
+        await this.#firestoreDatabase.runTransaction(async transaction => {
+            const infoDoc = await transaction.get(this.#infoRef(roomId));
+            if (!infoDoc.exists) throw new RoomInfoDoesNotExistError();
+            const meetingPoint = infoDoc.get('meetingPoint');
+            if (!meetingPoint) throw new MeetingPointDoesNotExistError();
+            transaction.update(infoDoc.ref, {
+                meetingPoint: null,
+                ...(infoDoc.get('proposals')?.[meetingPoint.proposerId] ? { [`proposals.${meetingPoint.proposerId}.acceptedBy`]: [] } : {})
+            });
+        });
+    }
+
+    subscribeToRoom(roomId, { onInfoChange, onMemberChange }) {
+        let subscribed = true;
+        const unsubscribe = this.#roomRef(roomId).onSnapshot(snap => {
+            // A listener may unsubscribe while the changes of a snapshot are delivered
+            for (const { type, doc } of snap.docChanges()) {
+                if (!subscribed) return;
+                if (doc.id === 'info') onInfoChange(doc.data());
+                else onMemberChange(type, doc.id, doc.data());
+            }
+        });
+        return () => {
+            subscribed = false;
+            unsubscribe();
+        };
+    }
+
+    subscribeToLatestLocation(roomId, memberId, onLocation) {
+        return this.#locationsRef(roomId, memberId).orderBy('time', 'desc').limit(1).onSnapshot(snap => {
+            if (!snap.empty) onLocation(snap.docs[0].data());
+        });
+    }
+}
+
+/**
+ * Initializes the Firebase Admin SDK, if it is not initialized yet, and returns a FirestoreStorage for the configured
+ * database. Without a service account file, the application default credentials are used.
+ * @param {import('../config/config.mjs').FirebaseConfig} firebaseConfig
+ * @param {object} [options] The options of the FirestoreStorage
+ * @param {import('./roomStorage.mjs').LocationRetention} [options.locationRetention] Limits the location history of every member
+ * @returns {FirestoreStorage}
+ * @throws {Error} If the service account file can't be read
+ */
+export function createFirestoreStorage({ projectId, databaseId, storageBucket, credentialsPath }, options = {}) {
+    if (!getApps().length) {
+        initializeApp({
+            credential: credentialsPath ? cert(JSON.parse(readFileSync(credentialsPath, 'utf8'))) : applicationDefault(),
+            projectId,
+            storageBucket
+        });
+    }
+    return new FirestoreStorage(getFirestore(databaseId), options);
+}
@@ -0,0 +1,36 @@
+/**
+ * Wraps a storage backend, so that the duration of every asynchronous operation, e.g. a Firestore transaction,
+ * is recorded in the `findme_storage_operation_duration_seconds` histogram.
+ * Synchronous methods like the subscriptions are passed through unchanged.
+ * @template {import('./roomStorage.mjs').RoomStorage} T
+ * @param {T} storage
+ * @param {import('../metrics/metrics.mjs').MetricsRegistry} metrics
+ * @returns {T}
+ */
+export function instrumentStorage(storage, metrics) {
+    const duration = metrics.histogram(
+        'findme_storage_operation_duration_seconds',
+        'Duration of storage operations in seconds',
+        ['operation', 'result']
+    );
+    return new Proxy(storage, {
+        get(target, property) {
+            // Methods are called on the target, because private fields are not accessible through the proxy
+            const value = Reflect.get(target, property, target);
+            if (typeof value !== 'function' || property === 'constructor') return value;
+            return (...args) => {
+                const start = process.hrtime.bigint();
+                const observe = result => duration.observe({ operation: String(property), result }, Number(process.hrtime.bigint() - start) / 1e9);
+                const returnValue = value.apply(target, args);
+                if (!(returnValue instanceof Promise)) return returnValue;
+                return returnValue.then(result => {
+                    observe('success');
+                    return result;
+                }, error => {
+                    observe('error');
+                    throw error;
+                });
+            };
+        }
+    });
+}
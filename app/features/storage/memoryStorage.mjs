@@ -0,0 +1,415 @@
+import { Timestamp } from 'firebase-admin/firestore';
+import { randomUUID } from 'crypto';
+import { DEFAULT_LOCATION_RETENTION, RoomStorage, validateLocationRetention } from './roomStorage.mjs';
+import {
+    BannedError,
+    MeetingPointDoesNotExistError,
+    MemberDoesNotExistError,
+    ProposalDoesNotExistError,
+    RoomInfoDoesNotExistError,
+    RoomFullError,
+    RoomLockedError
+} from '../server/errors.mjs';
+import { reevaluateAgreedProposal } from '../room/meetingPoint.mjs';
+import { isProposalExpired } from '../room/proposal.mjs';
+import { EMPTY_PROFILE } from '../room/profile.mjs';
+import { DEFAULT_ROOM_SETTINGS, getRoomSettings, isRoomExpired } from '../room/settings.mjs';
+
+/**
+ * @typedef {import('./roomStorage.mjs').StoredRoomInfo} StoredRoomInfo
+ * @typedef {import('./roomStorage.mjs').StoredMember} StoredMember
+ * @typedef {import('./roomStorage.mjs').StoredLocation} StoredLocation
+ * @typedef {import('./roomStorage.mjs').RoomListener} RoomListener
+ * @typedef {import('./roomStorage.mjs').LocationRetention} LocationRetention
+ * @typedef {{
+ * info: StoredRoomInfo,
+ * members: Map<string, { data: StoredMember, locations: StoredLocation[] }>,
+ * listeners: Set<RoomListener>,
+ * locationListeners: Map<string, Set<(location: StoredLocation) => void>>
+ * }} MemoryRoom
+ */
+
+/**
+ * Stores rooms in memory. Nothing is persisted, so this storage is meant for tests and offline development.
+ * Like Firestore snapshot listeners, subscribers are notified asynchronously and not after they unsubscribed.
+ * @extends {RoomStorage}
+ */
+export class MemoryStorage extends RoomStorage {
+    /**
+     * All rooms by their ID.
+     * @private
+     * @type {Map<string, MemoryRoom>}
+     */
+    #rooms = new Map();
+
+    /**
+     * @private
+     * @type {LocationRetention}
+     */
+    #locationRetention;
+
+    /**
+     * @param {object} [options]
+     * @param {LocationRetention} [options.locationRetention] Limits the location history of every member
+     */
+    constructor({ locationRetention = DEFAULT_LOCATION_RETENTION } = {}) {
+        super();
+        this.#locationRetention = validateLocationRetention(locationRetention);
+    }
+
+    /**
+     * @param {string} roomId
+     * @returns {MemoryRoom}
+     * @throws {RoomInfoDoesNotExistError} If the room does not exist
+     */
+    #getRoom(roomId) {
+        const room = this.#rooms.get(roomId);
+        if (!room) throw new RoomInfoDoesNotExistError();
+        return room;
+    }
+
+    /**
+     * Copies the room info, so that callers can't change the stored data.
+     * @param {StoredRoomInfo} info
+     * @returns {StoredRoomInfo}
+     */
+    #copyInfo(info) {
+        return {
+            ...info,
+            proposals: Object.fromEntries(Object.entries(info.proposals).map(([proposerId, proposal]) => [
+                proposerId,
+                { ...proposal, acceptedBy: [...proposal.acceptedBy] }
+            ])),
+            meetingPoint: info.meetingPoint && { ...info.meetingPoint },
+            bannedUids: [...info.bannedUids],
+            removals: { ...info.removals },
+            settings: { ...info.settings }
+        };
+    }
+
+    /**
+     * Calls a room listener asynchronously, unless it unsubscribed in the meantime.
+     * @param {MemoryRoom} room
+     * @param {RoomListener} listener
+     * @param {(listener: RoomListener) => void} callback
+     */
+    #notify(room, listener, callback) {
+        queueMicrotask(() => {
+            if (room.listeners.has(listener)) callback(listener);
+        });
+    }
+
+    #notifyInfoChange(room) {
+        const info = this.#copyInfo(room.info);
+        room.listeners.forEach(listener => this.#notify(room, listener, ({ onInfoChange }) => onInfoChange(info)));
+    }
+
+    #notifyMemberChange(room, type, memberId, data) {
+        room.listeners.forEach(listener => this.#notify(room, listener, ({ onMemberChange }) => onMemberChange(type, memberId, { ...data })));
+    }
+
+    #notifyLocation(room, memberId, location) {
+        room.locationListeners.get(memberId)?.forEach(onLocation => queueMicrotask(() => {
+            if (room.locationListeners.get(memberId)?.has(onLocation)) onLocation({ ...location });
+        }));
+    }
+
+    #addMember(room, { lat, lng }, profile, uid) {
+        // Without dashes, the ID has the same format as Firestore document IDs
+        const memberId = randomUUID().replaceAll('-', '');
+        const data = { joinedAt: Timestamp.now(), lost: false, lostAt: null, arrived: false, uid, resumeTokenHash: null, ...profile };
+        room.members.set(memberId, { data, locations: [] });
+        this.#notifyMemberChange(room, 'added', memberId, data);
+        this.#addLocation(room, memberId, { lat, lng });
+        return memberId;
+    }
+
+    #addLocation(room, memberId, { lat, lng }) {
+        const member = room.members.get(memberId);
+        if (!member) throw new Error('Member does not exist');
+        const location = { lat, lng, time: Timestamp.now() };
+        member.locations.push(location);
+        this.#pruneLocations(member);
+        this.#notifyLocation(room, memberId, location);
+    }
+
+    /**
+     * Deletes the locations of a member that fall out of the location retention, except for the latest one.
+     * @param {{ locations: StoredLocation[] }} member
+     */
+    #pruneLocations(member) {
+        const { maxCount, maxAge } = this.#locationRetention;
+        if (maxAge !== undefined) {
+            const cutoff = Date.now() - maxAge;
+            const firstKept = member.locations.findIndex(({ time }) => time.toMillis() >= cutoff);
+            member.locations.splice(0, firstKept === -1 ? member.locations.length - 1 : firstKept);
+        }
+        if (maxCount !== undefined && member.locations.length > maxCount) {
+            member.locations.splice(0, member.locations.length - maxCount);
+        }
+    }
+
+    #getProposal(room, proposerId) {
+        // Proposer IDs come from clients, so inherited keys like "constructor" must not be taken for proposals
+        if (!Object.hasOwn(room.info.proposals, proposerId)) throw new ProposalDoesNotExistError();
+        return room.info.proposals[proposerId];
+    }
+
+    async createRoom(roomId, location, passcodeHash = null, profile = EMPTY_PROFILE, uid = null, settings = DEFAULT_ROOM_SETTINGS) {
+        if (this.#rooms.has(roomId)) return undefined;
+        const room = {
+            info: {
+                createdAt: Timestamp.now(),
+                proposals: {},
+                meetingPoint: null,
+                passcodeHash,
+                ownerId: null,
+                locked: false,
+                bannedUids: [],
+                removals: {},
+                closed: false,
+                closedAt: null,
+                settings: { ...settings }
+            },
+            members: new Map(),
+            listeners: new Set(),
+            locationListeners: new Map()
+        };
+        this.#rooms.set(roomId, room);
+        room.info.ownerId = this.#addMember(room, location, profile, uid);
+        return room.info.ownerId;
+    }
+
+    async checkHealth() { }
+
+    async listRoomIds() {
+        return [...this.#rooms.keys()];
+    }
+
+    async deleteRoom(roomId) {
+        const room = this.#rooms.get(roomId);
+        if (!room) return;
+        this.#rooms.delete(roomId);
+        room.members.forEach(({ data }, memberId) => this.#notifyMemberChange(room, 'removed', memberId, data));
+    }
+
+    async roomExists(roomId) {
+        return this.#rooms.has(roomId);
+    }
+
+    async getRoomInfo(roomId) {
+        const room = this.#rooms.get(roomId);
+        return room ? this.#copyInfo(room.info) : undefined;
+    }
+
+    async addMember(roomId, location, profile = EMPTY_PROFILE, uid = null) {
+        const room = this.#getRoom(roomId);
+        if (room.info.closed || isRoomExpired(room.info, Infinity)) throw new RoomInfoDoesNotExistError();
+        if (room.info.locked) throw new RoomLockedError();
+        if (uid && room.info.bannedUids.includes(uid)) throw new BannedError();
+        const { maxMembers } = getRoomSettings(room.info);
+        if (maxMembers !== null && [...room.members.values()].filter(({ data }) => !data.lost).length >= maxMembers) throw new RoomFullError();
+        return this.#addMember(room, location, profile, uid);
+    }
+
+    async removeMember(roomId, memberId) {
+        const room = this.#getRoom(roomId);
+        const member = room.members.get(memberId);
+        if (!member) return;
+        room.members.delete(memberId);
+        this.#notifyMemberChange(room, 'removed', memberId, member.data);
+        if (!room.members.size) {
+            this.#rooms.delete(roomId);
+            this.#notifyInfoChange(room);
+            return;
+        }
+        // Members are kept in the order they joined
+        if (room.info.ownerId === memberId) room.info.ownerId = room.members.keys().next().value;
+        this.#removeVotes(room, memberId);
+        this.#notifyInfoChange(room);
+    }
+
+    /**
+     * Removes the proposal and the acceptances of a member that left a room.
+     * If the member proposed the agreed meeting point, the agreed meeting point is cleared.
+     * @param {MemoryRoom} room
+     * @param {string} memberId
+     */
+    #removeVotes(room, memberId) {
+        delete room.info.proposals[memberId];
+        for (const proposal of Object.values(room.info.proposals)) proposal.acceptedBy = proposal.acceptedBy.filter(id => id !== memberId);
+        if (room.info.meetingPoint?.proposerId === memberId) room.info.meetingPoint = null;
+    }
+
+    async removeLostMembers(roomId, lostBefore) {
+        const room = this.#getRoom(roomId);
+        const lostMemberIds = [...room.members]
+            .filter(([, { data }]) => data.lost && data.lostAt.toMillis() < lostBefore)
+            .map(([memberId]) => memberId);
+        for (const memberId of lostMemberIds) await this.removeMember(roomId, memberId);
+        return lostMemberIds;
+    }
+
+    async kickMember(roomId, memberId, ban = false) {
+        const room = this.#getRoom(roomId);
+        const member = room.members.get(memberId);
+        if (!member) throw new MemberDoesNotExistError();
+        if (ban && member.data.uid && !room.info.bannedUids.includes(member.data.uid)) room.info.bannedUids.push(member.data.uid);
+        room.info.removals[memberId] = ban ? 'banned' : 'kicked';
+        this.#notifyInfoChange(room);
+        await this.removeMember(roomId, memberId);
+    }
+
+    async setRoomLocked(roomId, locked) {
+        const room = this.#getRoom(roomId);
+        if (room.info.locked === locked) return;
+        room.info.locked = locked;
+        this.#notifyInfoChange(room);
+    }
+
+    async setRoomSettings(roomId, settings) {
+        const room = this.#getRoom(roomId);
+        room.info.settings = { ...getRoomSettings(room.info), ...settings };
+        this.#notifyInfoChange(room);
+    }
+
+    async closeRoom(roomId) {
+        const room = this.#getRoom(roomId);
+        room.info.closed = true;
+        room.info.closedAt = Timestamp.now();
+        this.#notifyInfoChange(room);
+    }
+
+    async getMember(roomId, memberId) {
+        const member = this.#rooms.get(roomId)?.members.get(memberId);
+        return member ? { ...member.data } : undefined;
+    }
+
+    async setMemberLost(roomId, memberId, lost, resumeTokenHash = null) {
+        const room = this.#getRoom(roomId);
+        const member = room.members.get(memberId);
+        if (!member) throw new Error('Member does not exist');
+        if (member.data.lost === lost && member.data.resumeTokenHash === resumeTokenHash) return;
+        member.data.lost = lost;
+        member.data.lostAt = lost ? Timestamp.now() : null;
+        member.data.resumeTokenHash = resumeTokenHash;
+        this.#notifyMemberChange(room, 'modified', memberId, member.data);
+    }
+
+    async setMemberArrived(roomId, memberId, arrived) {
+        const room = this.#getRoom(roomId);
+        const member = room.members.get(memberId);
+        if (!member) throw new Error('Member does not exist');
+        if (member.data.arrived === arrived) return;
+        member.data.arrived = arrived;
+        this.#notifyMemberChange(room, 'modified', memberId, member.data);
+    }
+
+    async setMemberProfile(roomId, memberId, profile) {
+        const room = this.#getRoom(roomId);
+        const member = room.members.get(memberId);
+        if (!member) throw new Error('Member does not exist');
+        Object.assign(member.data, profile);
+        this.#notifyMemberChange(room, 'modified', memberId, member.data);
+    }
+
+    async countMembers(roomId) {
+        return this.#rooms.get(roomId)?.members.size ?? 0;
+    }
+
+    async getLastActivity(roomId) {
+        let lastActivity;
+        this.#rooms.get(roomId)?.members.forEach(({ data, locations }) => {
+            for (const time of [data.joinedAt, locations.at(-1)?.time]) {
+                if (time && (!lastActivity || time.toMillis() > lastActivity.toMillis())) lastActivity = time;
+            }
+        });
+        return lastActivity;
+    }
+
+    async addLocation(roomId, memberId, location) {
+        this.#addLocation(this.#getRoom(roomId), memberId, location);
+    }
+
+    async getLocations(roomId, memberId) {
+        return (this.#rooms.get(roomId)?.members.get(memberId)?.locations ?? []).map(location => ({ ...location }));
+    }
+
+    async setProposal(roomId, proposerId, proposal) {
+        const room = this.#getRoom(roomId);
+        room.info.proposals[proposerId] = { ...proposal, acceptedBy: [...proposal.acceptedBy] };
+        if (room.info.meetingPoint?.proposerId === proposerId) room.info.meetingPoint = null;
+        this.#notifyInfoChange(room);
+    }
+
+    async acceptProposal(roomId, proposerId, memberId) {
+        const room = this.#getRoom(roomId);
+        const proposal = this.#getProposal(room, proposerId);
+        if (!proposal.acceptedBy.includes(memberId)) proposal.acceptedBy.push(memberId);
+        this.#notifyInfoChange(room);
+    }
+
+    async revokeProposalAcceptance(roomId, proposerId, memberId) {
+        const room = this.#getRoom(roomId);
+        const proposal = this.#getProposal(room, proposerId);
+        proposal.acceptedBy = proposal.acceptedBy.filter(id => id !== memberId);
+        this.#notifyInfoChange(room);
+    }
+
+    async deleteProposal(roomId, proposerId) {
+        const room = this.#getRoom(roomId);
+        delete room.info.proposals[proposerId];
+        if (room.info.meetingPoint?.proposerId === proposerId) room.info.meetingPoint = null;
+        this.#notifyInfoChange(room);
+    }
+
+    async deleteExpiredProposals(roomId) {
+        const room = this.#getRoom(roomId);
+        const expired = Object.keys(room.info.proposals).filter(proposerId => isProposalExpired(room.info.proposals[proposerId]));
+        if (!expired.length) return [];
+        expired.forEach(proposerId => delete room.info.proposals[proposerId]);
+        if (expired.includes(room.info.meetingPoint?.proposerId)) room.info.meetingPoint = null;
+        this.#notifyInfoChange(room);
+        return expired;
+    }
+
+    async agreeOnMeetingPoint(roomId, quorum) {
+        const room = this.#getRoom(roomId);
+        const memberIds = [...room.members].filter(([, { data }]) => !data.lost).map(([memberId]) => memberId);
+        const proposerId = reevaluateAgreedProposal(room.info.proposals, memberIds, quorum, room.info.meetingPoint?.proposerId);
+        if (!proposerId) return undefined;
+        room.info.meetingPoint = { proposerId, location: room.info.proposals[proposerId].location, agreedAt: Timestamp.now() };
+        this.#notifyInfoChange(room);
+        return { ...room.info.meetingPoint };
+    }
+
+    async clearMeetingPoint(roomId) {
+        const room = this.#getRoom(roomId);
+        const { meetingPoint } = room.info;
+        if (!meetingPoint) throw new MeetingPointDoesNotExistError();
+        const proposal = room.info.proposals[meetingPoint.proposerId];
+        if (proposal) proposal.acceptedBy = [];
+        room.info.meetingPoint = null;
+        this.#notifyInfoChange(room);
+    }
+
+    subscribeToRoom(roomId, listener) {
+        const room = this.#getRoom(roomId);
+        room.listeners.add(listener);
+        const info = this.#copyInfo(room.info);
+        this.#notify(room, listener, ({ onInfoChange }) => onInfoChange(info));
+        room.members.forEach(({ data }, memberId) => this.#notify(room, listener, ({ onMemberChange }) => onMemberChange('added', memberId, { ...data })));
+        return () => room.listeners.delete(listener);
+    }
+
+    subscribeToLatestLocation(roomId, memberId, onLocation) {
+        const room = this.#getRoom(roomId);
+        if (!room.locationListeners.has(memberId)) room.locationListeners.set(memberId, new Set());
+        room.locationListeners.get(memberId).add(onLocation);
+        const latest = room.members.get(memberId)?.locations.at(-1);
+        if (latest) queueMicrotask(() => {
+            if (room.locationListeners.get(memberId)?.has(onLocation)) onLocation({ ...latest });
+        });
+        return () => room.locationListeners.get(memberId)?.delete(onLocation);
+    }
+}
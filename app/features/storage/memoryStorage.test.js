@@ -0,0 +1,109 @@
+import { describe, expect, test, vi } from "vitest";
+import { GeoPoint } from "firebase-admin/firestore";
+import { MemoryStorage } from "./memoryStorage.mjs";
+import { RoomInfoDoesNotExistError } from "../server/errors.mjs";
+
+describe('MemoryStorage', () => {
+    test('should not create a room with an existing ID', async () => {
+        const storage = new MemoryStorage();
+        expect(await storage.createRoom('abcd', { lat: 0, lng: 0 })).toEqual(expect.any(String));
+        expect(await storage.createRoom('abcd', { lat: 1, lng: 1 })).toBeUndefined();
+        expect(await storage.countMembers('abcd')).toBe(1);
+    });
+
+    test('should throw if a member joins a room that does not exist', async () => {
+        const storage = new MemoryStorage();
+        await expect(storage.addMember('abcd', { lat: 0, lng: 0 })).rejects.toThrow(RoomInfoDoesNotExistError);
+    });
+
+    test('should delete the room when the last member is removed', async () => {
+        const storage = new MemoryStorage();
+        const openerId = await storage.createRoom('abcd', { lat: 0, lng: 0 });
+        const joinerId = await storage.addMember('abcd', { lat: 1, lng: 1 });
+        await storage.removeMember('abcd', joinerId);
+        expect(await storage.roomExists('abcd')).toBe(true);
+        expect(await storage.getLocations('abcd', joinerId)).toEqual([]);
+        await storage.removeMember('abcd', openerId);
+        expect(await storage.roomExists('abcd')).toBe(false);
+    });
+
+    test('should notify room listeners about the current state and later changes', async () => {
+        const storage = new MemoryStorage();
+        const openerId = await storage.createRoom('abcd', { lat: 0, lng: 0 });
+        const listener = { onInfoChange: vi.fn(), onMemberChange: vi.fn() };
+        const unsubscribe = storage.subscribeToRoom('abcd', listener);
+        await expect.poll(() => listener.onMemberChange).toHaveBeenCalledWith('added', openerId, expect.objectContaining({ lost: false }));
+        await storage.setProposal('abcd', openerId, { location: new GeoPoint(5, 10), acceptedBy: [] });
+        await expect.poll(() => listener.onInfoChange).toHaveBeenLastCalledWith(expect.objectContaining({
+            proposals: { [openerId]: { location: new GeoPoint(5, 10), acceptedBy: [] } }
+        }));
+        unsubscribe();
+        await storage.addMember('abcd', { lat: 1, lng: 1 });
+        await new Promise(resolve => setImmediate(resolve));
+        expect(listener.onMemberChange).toHaveBeenCalledTimes(1);
+    });
+
+    test('should notify location listeners about the latest location', async () => {
+        const storage = new MemoryStorage();
+        const openerId = await storage.createRoom('abcd', { lat: 0, lng: 0 });
+        const onLocation = vi.fn();
+        storage.subscribeToLatestLocation('abcd', openerId, onLocation);
+        await expect.poll(() => onLocation).toHaveBeenCalledWith(expect.objectContaining({ lat: 0, lng: 0 }));
+        await storage.addLocation('abcd', openerId, { lat: 2, lng: 2 });
+        await expect.poll(() => onLocation).toHaveBeenLastCalledWith(expect.objectContaining({ lat: 2, lng: 2 }));
+    });
+
+    test('should delete a room with all members and notify room listeners', async () => {
+        const storage = new MemoryStorage();
+        const openerId = await storage.createRoom('abcd', { lat: 0, lng: 0 });
+        const listener = { onInfoChange: vi.fn(), onMemberChange: vi.fn() };
+        storage.subscribeToRoom('abcd', listener);
+        expect(await storage.listRoomIds()).toEqual(['abcd']);
+        await storage.deleteRoom('abcd');
+        await expect.poll(() => listener.onMemberChange).toHaveBeenCalledWith('removed', openerId, expect.any(Object));
+        expect(await storage.listRoomIds()).toEqual([]);
+        expect(await storage.getLocations('abcd', openerId)).toEqual([]);
+    });
+
+    test('should return the time of the latest join or location as last activity', async () => {
+        const storage = new MemoryStorage();
+        expect(await storage.getLastActivity('abcd')).toBeUndefined();
+        const openerId = await storage.createRoom('abcd', { lat: 0, lng: 0 });
+        await storage.addLocation('abcd', openerId, { lat: 1, lng: 1 });
+        const [, latest] = await storage.getLocations('abcd', openerId);
+        expect(await storage.getLastActivity('abcd')).toEqual(latest.time);
+    });
+
+    test('should only keep the latest locations of a member', async () => {
+        const storage = new MemoryStorage({ locationRetention: { maxCount: 2 } });
+        const openerId = await storage.createRoom('abcd', { lat: 0, lng: 0 });
+        await storage.addLocation('abcd', openerId, { lat: 1, lng: 1 });
+        await storage.addLocation('abcd', openerId, { lat: 2, lng: 2 });
+        expect(await storage.getLocations('abcd', openerId)).toEqual([
+            expect.objectContaining({ lat: 1, lng: 1 }),
+            expect.objectContaining({ lat: 2, lng: 2 })
+        ]);
+    });
+
+    test('should delete old locations but keep the latest one', async () => {
+        const storage = new MemoryStorage({ locationRetention: { maxAge: 1000 } });
+        const now = vi.spyOn(Date, 'now').mockReturnValue(0);
+        const openerId = await storage.createRoom('abcd', { lat: 0, lng: 0 });
+        now.mockReturnValue(500);
+        await storage.addLocation('abcd', openerId, { lat: 1, lng: 1 });
+        now.mockReturnValue(1200);
+        await storage.addLocation('abcd', openerId, { lat: 2, lng: 2 });
+        expect(await storage.getLocations('abcd', openerId)).toEqual([
+            expect.objectContaining({ lat: 1, lng: 1 }),
+            expect.objectContaining({ lat: 2, lng: 2 })
+        ]);
+        now.mockRestore();
+        const onLocation = vi.fn();
+        storage.subscribeToLatestLocation('abcd', openerId, onLocation);
+        await expect.poll(() => onLocation).toHaveBeenCalledWith(expect.objectContaining({ lat: 2, lng: 2 }));
+    });
+
+    test('should reject an invalid location retention', () => {
+        expect(() => new MemoryStorage({ locationRetention: { maxCount: 0 } })).toThrow('maxCount must be a positive integer');
+    });
+});
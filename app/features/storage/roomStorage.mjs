@@ -0,0 +1,406 @@
+import { EMPTY_PROFILE } from '../room/profile.mjs';
+import { DEFAULT_ROOM_SETTINGS } from '../room/settings.mjs';
+
+/**
+ * @typedef {{ lat: number, lng: number, time: import('firebase-admin/firestore').Timestamp }} StoredLocation
+ * @typedef {{ joinedAt: import('firebase-admin/firestore').Timestamp, lost: boolean, lostAt: import('firebase-admin/firestore').Timestamp | null, arrived: boolean, uid: string | null, resumeTokenHash: string | null } & import('../room/profile.mjs').StoredProfile} StoredMember
+ * A member of a room. While it is lost, the hash of its resume token lets every server resume its session.
+ * Lost members don't count towards the quorum and the maximum number of members of their room.
+ * @typedef {{ location: import('firebase-admin/firestore').GeoPoint, acceptedBy: string[] } & import('../room/proposal.mjs').StoredProposalDetails} StoredProposal
+ * @typedef {{ proposerId: string, location: import('firebase-admin/firestore').GeoPoint, agreedAt: import('firebase-admin/firestore').Timestamp }} StoredMeetingPoint
+ * The proposal the members of a room agreed on
+ * @typedef {object} StoredRoomInfo
+ * @property {import('firebase-admin/firestore').Timestamp} createdAt
+ * @property {Object<string, StoredProposal>} proposals
+ * @property {StoredMeetingPoint | null} meetingPoint
+ * @property {string | null} passcodeHash
+ * @property {string | null} ownerId The ID of the member that owns the room. Ownership passes to the longest member when the owner leaves.
+ * @property {boolean} locked Whether new members can't join the room
+ * @property {string[]} bannedUids The user IDs that can't join the room
+ * @property {Object<string, 'kicked' | 'banned'>} removals Why the owner removed members, by member ID. Removed members
+ * read their reason here, because the write that removes them may reach them before or without the change of the info.
+ * @property {boolean} closed Whether the owner closed the room. Closed rooms are kept until the janitor removes them,
+ * so that all subscribers learn that the room was closed instead of seeing it disappear.
+ * @property {import('firebase-admin/firestore').Timestamp | null} closedAt When the owner closed the room
+ * @property {import('../room/settings.mjs').StoredRoomSettings} settings How the room behaves. Rooms created before
+ * rooms had settings don't have them, see {@link import('../room/settings.mjs').getRoomSettings}.
+ * @typedef {'added' | 'modified' | 'removed'} ChangeType
+ * @typedef {() => void} Unsubscribe
+ */
+
+/**
+ * The format of room and member IDs. Other IDs can't exist, and IDs with slashes would address other Firestore paths.
+ */
+export const ID_PATTERN = /^[A-Za-z0-9]{1,32}$/;
+
+/**
+ * @typedef {object} LocationRetention
+ * @property {number} [maxCount] The number of latest locations to keep per member
+ * @property {number} [maxAge] The time in milliseconds to keep locations. The latest location of a member is always kept.
+ */
+
+/**
+ * The location retention that is used if a storage backend is created without one.
+ * @type {LocationRetention}
+ */
+export const DEFAULT_LOCATION_RETENTION = { maxCount: 100 };
+
+/**
+ * Validates a location retention policy.
+ * @param {LocationRetention} retention
+ * @returns {LocationRetention}
+ * @throws {Error} If maxCount is not a positive integer or maxAge is not a positive number
+ */
+export function validateLocationRetention({ maxCount, maxAge } = {}) {
+    if (maxCount !== undefined && (!Number.isInteger(maxCount) || maxCount < 1)) throw new Error('maxCount must be a positive integer');
+    if (maxAge !== undefined && (typeof maxAge !== 'number' || !(maxAge > 0))) throw new Error('maxAge must be a positive number');
+    return { maxCount, maxAge };
+}
+
+/**
+ * @typedef {object} RoomListener
+ * @property {(info: StoredRoomInfo) => void} onInfoChange Called whenever the room's info changes, starting with its current state.
+ * @property {(type: ChangeType, memberId: string, member: StoredMember) => void} onMemberChange Called for every member that is added to, modified in or removed from the room, starting with all current members as 'added'.
+ */
+
+/**
+ * The storage backend used by Room and RoomMember. It holds the room info, the room members, their location history
+ * and notifies subscribers about changes. Every storage backend must extend this class and implement all methods.
+ * Storage backends limit the location history of every member with a {@link LocationRetention}.
+ * @abstract
+ */
+export class RoomStorage {
+    /**
+     * Creates a room with the given ID and adds its first member, if no room with this ID exists yet. The first member owns the room.
+     * @param {string} roomId The ID of the room to create
+     * @param {{ lat: number, lng: number }} location The first location of the room's first member
+     * @param {string | null} [passcodeHash] The hashed passcode of a private room, or null for a public room
+     * @param {import('../room/profile.mjs').StoredProfile} [profile] The profile of the room's first member
+     * @param {string | null} [uid] The verified user ID of the room's first member
+     * @param {import('../room/settings.mjs').StoredRoomSettings} [settings] The settings of the room
+     * @returns {Promise<string | undefined>} The ID of the first member, or undefined if the room ID is already taken
+     */
+    async createRoom(roomId, location, passcodeHash = null, profile = EMPTY_PROFILE, uid = null, settings = DEFAULT_ROOM_SETTINGS) {
+        throw new Error('createRoom is not implemented');
+    }
+
+    /**
+     * Checks if the storage backend is reachable.
+     * @returns {Promise<void>}
+     * @throws {Error} If the storage backend is not reachable
+     */
+    async checkHealth() {
+        throw new Error('checkHealth is not implemented');
+    }
+
+    /**
+     * Returns the IDs of all rooms, including the remains of rooms whose info was deleted while members or
+     * locations were left behind. Only IDs that match {@link ID_PATTERN} are returned, so that other data stored
+     * next to the rooms is never mistaken for a room.
+     * @returns {Promise<string[]>}
+     */
+    async listRoomIds() {
+        throw new Error('listRoomIds is not implemented');
+    }
+
+    /**
+     * Deletes a room with its info, all of its members and their location histories.
+     * @param {string} roomId
+     * @returns {Promise<void>}
+     */
+    async deleteRoom(roomId) {
+        throw new Error('deleteRoom is not implemented');
+    }
+
+    /**
+     * Checks if a room exists.
+     * @param {string} roomId
+     * @returns {Promise<boolean>}
+     */
+    async roomExists(roomId) {
+        throw new Error('roomExists is not implemented');
+    }
+
+    /**
+     * Returns the info of a room.
+     * @param {string} roomId
+     * @returns {Promise<StoredRoomInfo | undefined>} The info of the room, or undefined if the room does not exist
+     */
+    async getRoomInfo(roomId) {
+        throw new Error('getRoomInfo is not implemented');
+    }
+
+    /**
+     * Adds a new member to an existing room.
+     * @param {string} roomId The ID of the room to join
+     * @param {{ lat: number, lng: number }} location The first location of the new member
+     * @param {import('../room/profile.mjs').StoredProfile} [profile] The profile of the new member
+     * @param {string | null} [uid] The verified user ID of the new member
+     * @returns {Promise<string>} The ID of the new member
+     * @throws {RoomInfoDoesNotExistError} If the room does not exist, was closed or outlived its lifetime
+     * @throws {RoomLockedError} If the room is locked
+     * @throws {BannedError} If the user ID is banned from the room
+     * @throws {RoomFullError} If the room has its maximum number of members
+     */
+    async addMember(roomId, location, profile = EMPTY_PROFILE, uid = null) {
+        throw new Error('addMember is not implemented');
+    }
+
+    /**
+     * Removes a member and its location history from a room. The room is deleted if no other member is left.
+     * If the member owns the room, the member that joined first of the remaining ones becomes the owner.
+     * The member's proposal and acceptances are removed, too, and if it proposed the agreed meeting point, that is cleared.
+     * @param {string} roomId
+     * @param {string} memberId
+     * @returns {Promise<void>}
+     * @throws {RoomInfoDoesNotExistError} If the room does not exist
+     */
+    async removeMember(roomId, memberId) {
+        throw new Error('removeMember is not implemented');
+    }
+
+    /**
+     * Removes a member on behalf of the room's owner. The reason is stored in the room's removals before the member is removed.
+     * @param {string} roomId
+     * @param {string} memberId
+     * @param {boolean} [ban] Whether the member's user ID is banned from the room, too
+     * @returns {Promise<void>}
+     * @throws {RoomInfoDoesNotExistError} If the room does not exist
+     * @throws {MemberDoesNotExistError} If the member is not in the room
+     */
+    async kickMember(roomId, memberId, ban = false) {
+        throw new Error('kickMember is not implemented');
+    }
+
+    /**
+     * Removes the members of a room that were lost before a time, like {@link RoomStorage#removeMember} does.
+     * @param {string} roomId
+     * @param {number} lostBefore The time in milliseconds since the epoch
+     * @returns {Promise<string[]>} The IDs of the removed members
+     * @throws {RoomInfoDoesNotExistError} If the room does not exist
+     */
+    async removeLostMembers(roomId, lostBefore) {
+        throw new Error('removeLostMembers is not implemented');
+    }
+
+    /**
+     * Locks or unlocks a room. Locked rooms can't be joined.
+     * @param {string} roomId
+     * @param {boolean} locked
+     * @returns {Promise<void>}
+     * @throws {RoomInfoDoesNotExistError} If the room does not exist
+     */
+    async setRoomLocked(roomId, locked) {
+        throw new Error('setRoomLocked is not implemented');
+    }
+
+    /**
+     * Changes some of the settings of a room. The other settings keep their value.
+     * @param {string} roomId
+     * @param {Partial<import('../room/settings.mjs').StoredRoomSettings>} settings The changed settings
+     * @returns {Promise<void>}
+     * @throws {RoomInfoDoesNotExistError} If the room does not exist
+     */
+    async setRoomSettings(roomId, settings) {
+        throw new Error('setRoomSettings is not implemented');
+    }
+
+    /**
+     * Marks a room as closed, so that its subscribers learn that the owner closed it. The room and its members are kept
+     * until the janitor removes the room, so that every subscriber sees the change.
+     * @param {string} roomId
+     * @returns {Promise<void>}
+     * @throws {RoomInfoDoesNotExistError} If the room does not exist
+     */
+    async closeRoom(roomId) {
+        throw new Error('closeRoom is not implemented');
+    }
+
+    /**
+     * Returns a member of a room.
+     * @param {string} roomId
+     * @param {string} memberId
+     * @returns {Promise<StoredMember | undefined>} The member, or undefined if it does not exist
+     */
+    async getMember(roomId, memberId) {
+        throw new Error('getMember is not implemented');
+    }
+
+    /**
+     * Marks a member as lost or found. The time a member got lost is stored, so that it can be removed when it doesn't come back.
+     * @param {string} roomId
+     * @param {string} memberId
+     * @param {boolean} lost
+     * @param {string | null} [resumeTokenHash] The hash of the resume token a lost member can be resumed with
+     * @returns {Promise<void>}
+     */
+    async setMemberLost(roomId, memberId, lost, resumeTokenHash = null) {
+        throw new Error('setMemberLost is not implemented');
+    }
+
+    /**
+     * Marks a member as arrived at or departed from the agreed meeting point of its room.
+     * @param {string} roomId
+     * @param {string} memberId
+     * @param {boolean} arrived
+     * @returns {Promise<void>}
+     */
+    async setMemberArrived(roomId, memberId, arrived) {
+        throw new Error('setMemberArrived is not implemented');
+    }
+
+    /**
+     * Changes the profile of a member. Fields that are not given keep their value.
+     * @param {string} roomId
+     * @param {string} memberId
+     * @param {Partial<import('../room/profile.mjs').StoredProfile>} profile The changed fields
+     * @returns {Promise<void>}
+     */
+    async setMemberProfile(roomId, memberId, profile) {
+        throw new Error('setMemberProfile is not implemented');
+    }
+
+    /**
+     * Returns the number of members in a room.
+     * @param {string} roomId
+     * @returns {Promise<number>}
+     */
+    async countMembers(roomId) {
+        throw new Error('countMembers is not implemented');
+    }
+
+    /**
+     * Returns the latest time a member joined a room or sent a location.
+     * @param {string} roomId
+     * @returns {Promise<import('firebase-admin/firestore').Timestamp | undefined>} The time, or undefined if the room has no members
+     */
+    async getLastActivity(roomId) {
+        throw new Error('getLastActivity is not implemented');
+    }
+
+    /**
+     * Adds a location to the location history of a member.
+     * Locations that fall out of the storage's location retention are deleted.
+     * @param {string} roomId
+     * @param {string} memberId
+     * @param {{ lat: number, lng: number }} location
+     * @returns {Promise<void>}
+     */
+    async addLocation(roomId, memberId, location) {
+        throw new Error('addLocation is not implemented');
+    }
+
+    /**
+     * Returns the location history of a member.
+     * @param {string} roomId
+     * @param {string} memberId
+     * @returns {Promise<StoredLocation[]>}
+     */
+    async getLocations(roomId, memberId) {
+        throw new Error('getLocations is not implemented');
+    }
+
+    /**
+     * Sets the meeting point proposal of a member. An existing proposal of this member is replaced.
+     * If the replaced proposal is the agreed meeting point, the agreed meeting point is cleared.
+     * @param {string} roomId
+     * @param {string} proposerId
+     * @param {StoredProposal} proposal
+     * @returns {Promise<void>}
+     */
+    async setProposal(roomId, proposerId, proposal) {
+        throw new Error('setProposal is not implemented');
+    }
+
+    /**
+     * Adds a member to the list of members that accepted a proposal.
+     * @param {string} roomId
+     * @param {string} proposerId
+     * @param {string} memberId
+     * @returns {Promise<void>}
+     * @throws {ProposalDoesNotExistError} If the proposer has no proposal
+     */
+    async acceptProposal(roomId, proposerId, memberId) {
+        throw new Error('acceptProposal is not implemented');
+    }
+
+    /**
+     * Removes a member from the list of members that accepted a proposal.
+     * @param {string} roomId
+     * @param {string} proposerId
+     * @param {string} memberId
+     * @returns {Promise<void>}
+     * @throws {ProposalDoesNotExistError} If the proposer has no proposal
+     */
+    async revokeProposalAcceptance(roomId, proposerId, memberId) {
+        throw new Error('revokeProposalAcceptance is not implemented');
+    }
+
+    /**
+     * Deletes the meeting point proposal of a member. If it is the agreed meeting point, the agreed meeting point is cleared.
+     * @param {string} roomId
+     * @param {string} proposerId
+     * @returns {Promise<void>}
+     */
+    async deleteProposal(roomId, proposerId) {
+        throw new Error('deleteProposal is not implemented');
+    }
+
+    /**
+     * Deletes the proposals of a room whose expiry has passed. If one of them is the agreed meeting point,
+     * the agreed meeting point is cleared.
+     * @param {string} roomId
+     * @returns {Promise<string[]>} The IDs of the proposers whose proposals were deleted
+     * @throws {RoomInfoDoesNotExistError} If the room does not exist
+     */
+    async deleteExpiredProposals(roomId) {
+        throw new Error('deleteExpiredProposals is not implemented');
+    }
+
+    /**
+     * Atomically agrees on the proposal that reached the quorum of the room's current members, see
+     * {@link import('../room/meetingPoint.mjs').findAgreedProposal}. An agreed meeting point is re-evaluated with the current
+     * members and only replaced if it lost the quorum and another proposal reached it, see
+     * {@link import('../room/meetingPoint.mjs').reevaluateAgreedProposal}.
+     * @param {string} roomId
+     * @param {number} quorum The fraction of members that has to accept a proposal
+     * @returns {Promise<StoredMeetingPoint | undefined>} The new agreed meeting point, or undefined if none was agreed on
+     * @throws {RoomInfoDoesNotExistError} If the room does not exist
+     */
+    async agreeOnMeetingPoint(roomId, quorum) {
+        throw new Error('agreeOnMeetingPoint is not implemented');
+    }
+
+    /**
+     * Clears the agreed meeting point of a room. The acceptances of its proposal are reset,
+     * so that the members don't agree on it again right away.
+     * @param {string} roomId
+     * @returns {Promise<void>}
+     * @throws {RoomInfoDoesNotExistError} If the room does not exist
+     * @throws {MeetingPointDoesNotExistError} If the room has no agreed meeting point
+     */
+    async clearMeetingPoint(roomId) {
+        throw new Error('clearMeetingPoint is not implemented');
+    }
+
+    /**
+     * Listens to changes of a room's info and members.
+     * @param {string} roomId
+     * @param {RoomListener} listener
+     * @returns {Unsubscribe}
+     */
+    subscribeToRoom(roomId, listener) {
+        throw new Error('subscribeToRoom is not implemented');
+    }
+
+    /**
+     * Listens to the latest location of a member, starting with the current one.
+     * @param {string} roomId
+     * @param {string} memberId
+     * @param {(location: StoredLocation) => void} onLocation
+     * @returns {Unsubscribe}
+     */
+    subscribeToLatestLocation(roomId, memberId, onLocation) {
+        throw new Error('subscribeToLatestLocation is not implemented');
+    }
+}
@@ -0,0 +1,152 @@
+import { afterEach, describe, expect, test, vi } from "vitest";
+import { randomUUID } from "crypto";
+import { GeoPoint } from "firebase-admin/firestore";
+import { MemoryStorage } from "./memoryStorage.mjs";
+import { createFirestoreStorage } from "./firestoreStorage.mjs";
+import { loadConfig } from "../config/config.mjs";
+import { createRoomSettings } from "../room/settings.mjs";
+import { ProposalDoesNotExistError, RoomFullError, RoomInfoDoesNotExistError } from "../server/errors.mjs";
+
+/**
+ * The storage backends every contract test runs against. FirestoreStorage only runs against the Firestore emulator,
+ * see the test:firestore script, so that the tests never touch a real database.
+ * @type {[string, () => import('./roomStorage.mjs').RoomStorage][]}
+ */
+const backends = [
+    ['MemoryStorage', () => new MemoryStorage()],
+    ...(process.env.FIRESTORE_EMULATOR_HOST ? [['FirestoreStorage', () => createFirestoreStorage(loadConfig().firebase)]] : [])
+];
+
+describe.each(backends)('RoomStorage contract of %s', (_name, createStorage) => {
+    const storage = createStorage();
+    /** @type {string[]} */
+    const roomIds = [];
+
+    /**
+     * Creates a room ID that no other test uses, so that the tests don't interfere in a shared database.
+     * @returns {string}
+     */
+    function createRoomId() {
+        const roomId = randomUUID().replaceAll('-', '');
+        roomIds.push(roomId);
+        return roomId;
+    }
+
+    afterEach(async () => {
+        await Promise.all(roomIds.splice(0).map(roomId => storage.deleteRoom(roomId)));
+    });
+
+    test('should create a room only once and make its first member the owner', async () => {
+        const roomId = createRoomId();
+        const openerId = await storage.createRoom(roomId, { lat: 0, lng: 0 });
+        expect(await storage.createRoom(roomId, { lat: 1, lng: 1 })).toBeUndefined();
+        expect(await storage.roomExists(roomId)).toBe(true);
+        expect(await storage.countMembers(roomId)).toBe(1);
+        expect(await storage.getRoomInfo(roomId)).toMatchObject({ ownerId: openerId, proposals: {}, meetingPoint: null, locked: false });
+        expect(await storage.getMember(roomId, openerId)).toMatchObject({ lost: false, lostAt: null, arrived: false, resumeTokenHash: null });
+    });
+
+    test('should throw if a member joins a room that does not exist', async () => {
+        await expect(storage.addMember(createRoomId(), { lat: 0, lng: 0 })).rejects.toThrow(RoomInfoDoesNotExistError);
+    });
+
+    test('should pass the ownership on and delete the room when the last member is removed', async () => {
+        const roomId = createRoomId();
+        const openerId = await storage.createRoom(roomId, { lat: 0, lng: 0 });
+        const joinerId = await storage.addMember(roomId, { lat: 1, lng: 1 });
+        await storage.removeMember(roomId, openerId);
+        expect((await storage.getRoomInfo(roomId)).ownerId).toBe(joinerId);
+        expect(await storage.getLocations(roomId, openerId)).toEqual([]);
+        await storage.removeMember(roomId, joinerId);
+        expect(await storage.roomExists(roomId)).toBe(false);
+    });
+
+    test('should accept and revoke proposals', async () => {
+        const roomId = createRoomId();
+        const openerId = await storage.createRoom(roomId, { lat: 0, lng: 0 });
+        const joinerId = await storage.addMember(roomId, { lat: 1, lng: 1 });
+        await storage.setProposal(roomId, openerId, { location: new GeoPoint(5, 10), acceptedBy: [] });
+        await storage.acceptProposal(roomId, openerId, joinerId);
+        expect((await storage.getRoomInfo(roomId)).proposals[openerId].acceptedBy).toEqual([joinerId]);
+        expect(await storage.agreeOnMeetingPoint(roomId, 0.5)).toMatchObject({ proposerId: openerId, location: new GeoPoint(5, 10) });
+        await storage.revokeProposalAcceptance(roomId, openerId, joinerId);
+        expect((await storage.getRoomInfo(roomId)).proposals[openerId].acceptedBy).toEqual([]);
+    });
+
+    test('should not take inherited keys for proposals', async () => {
+        const roomId = createRoomId();
+        const openerId = await storage.createRoom(roomId, { lat: 0, lng: 0 });
+        for (const proposerId of ['constructor', 'toString', '__proto__']) {
+            await expect(storage.acceptProposal(roomId, proposerId, openerId)).rejects.toThrow(ProposalDoesNotExistError);
+            await expect(storage.revokeProposalAcceptance(roomId, proposerId, openerId)).rejects.toThrow(ProposalDoesNotExistError);
+        }
+        expect((await storage.getRoomInfo(roomId)).proposals).toEqual({});
+    });
+
+    test('should store when a member was lost and with which resume token hash', async () => {
+        const roomId = createRoomId();
+        const openerId = await storage.createRoom(roomId, { lat: 0, lng: 0 });
+        await storage.setMemberLost(roomId, openerId, true, 'hash');
+        expect(await storage.getMember(roomId, openerId)).toMatchObject({ lost: true, lostAt: expect.any(Object), resumeTokenHash: 'hash' });
+        await storage.setMemberLost(roomId, openerId, false);
+        expect(await storage.getMember(roomId, openerId)).toMatchObject({ lost: false, lostAt: null, resumeTokenHash: null });
+    });
+
+    test('should leave lost members out of the capacity and the quorum', async () => {
+        const roomId = createRoomId();
+        const openerId = await storage.createRoom(roomId, { lat: 0, lng: 0 }, null, undefined, null, createRoomSettings({ maxMembers: 2 }));
+        const joinerId = await storage.addMember(roomId, { lat: 1, lng: 1 });
+        await expect(storage.addMember(roomId, { lat: 2, lng: 2 })).rejects.toThrow(RoomFullError);
+        await storage.setProposal(roomId, openerId, { location: new GeoPoint(5, 10), acceptedBy: [] });
+        await storage.setMemberLost(roomId, joinerId, true);
+        const thirdId = await storage.addMember(roomId, { lat: 2, lng: 2 });
+        // The opener and the third member are the only members that count, so the room agrees once both do
+        expect(await storage.agreeOnMeetingPoint(roomId, 1)).toBeUndefined();
+        await storage.acceptProposal(roomId, openerId, thirdId);
+        expect(await storage.agreeOnMeetingPoint(roomId, 1)).toMatchObject({ proposerId: openerId });
+    });
+
+    test('should remove the members that were lost before a time', async () => {
+        const roomId = createRoomId();
+        const openerId = await storage.createRoom(roomId, { lat: 0, lng: 0 });
+        const joinerId = await storage.addMember(roomId, { lat: 1, lng: 1 });
+        await storage.setMemberLost(roomId, joinerId, true, 'hash');
+        expect(await storage.removeLostMembers(roomId, Date.now() - 60 * 1000)).toEqual([]);
+        expect(await storage.removeLostMembers(roomId, Date.now() + 60 * 1000)).toEqual([joinerId]);
+        expect(await storage.getMember(roomId, joinerId)).toBeUndefined();
+        expect(await storage.getMember(roomId, openerId)).toBeDefined();
+        await expect(storage.removeLostMembers(createRoomId(), Date.now())).rejects.toThrow(RoomInfoDoesNotExistError);
+    });
+
+    test('should notify room listeners about the current state and later changes', async () => {
+        const roomId = createRoomId();
+        const openerId = await storage.createRoom(roomId, { lat: 0, lng: 0 });
+        const listener = { onInfoChange: vi.fn(), onMemberChange: vi.fn() };
+        const unsubscribe = storage.subscribeToRoom(roomId, listener);
+        try {
+            await expect.poll(() => listener.onMemberChange).toHaveBeenCalledWith('added', openerId, expect.objectContaining({ lost: false }));
+            const joinerId = await storage.addMember(roomId, { lat: 1, lng: 1 });
+            await expect.poll(() => listener.onMemberChange).toHaveBeenCalledWith('added', joinerId, expect.objectContaining({ lost: false }));
+            await storage.setProposal(roomId, openerId, { location: new GeoPoint(5, 10), acceptedBy: [] });
+            await expect.poll(() => listener.onInfoChange).toHaveBeenLastCalledWith(expect.objectContaining({
+                proposals: { [openerId]: { location: new GeoPoint(5, 10), acceptedBy: [] } }
+            }));
+        } finally {
+            unsubscribe();
+        }
+    });
+
+    test('should notify location listeners about the latest location', async () => {
+        const roomId = createRoomId();
+        const openerId = await storage.createRoom(roomId, { lat: 0, lng: 0 });
+        const onLocation = vi.fn();
+        const unsubscribe = storage.subscribeToLatestLocation(roomId, openerId, onLocation);
+        try {
+            await expect.poll(() => onLocation).toHaveBeenCalledWith(expect.objectContaining({ lat: 0, lng: 0 }));
+            await storage.addLocation(roomId, openerId, { lat: 2, lng: 2 });
+            await expect.poll(() => onLocation).toHaveBeenLastCalledWith(expect.objectContaining({ lat: 2, lng: 2 }));
+        } finally {
+            unsubscribe();
+        }
+    });
+});
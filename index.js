@@ -1,15 +1,64 @@
 import { FindMeServer } from "./app/features/server/server.mjs";
+import { MemoryStorage } from "./app/features/storage/memoryStorage.mjs";
+import { createFirestoreStorage } from "./app/features/storage/firestoreStorage.mjs";
+import { createDevelopmentTokenVerifier, createFirebaseTokenVerifier } from "./app/features/server/auth.mjs";
+import { createHttpHandler } from "./app/features/server/httpHandler.mjs";
+import { loadConfig } from "./app/features/config/config.mjs";
+import { MetricsRegistry } from "./app/features/metrics/metrics.mjs";
+import { instrumentStorage } from "./app/features/storage/instrumentedStorage.mjs";
+import { Logger } from "./app/features/logging/logger.mjs";
 import { createServer } from "http";
 
 const httpServer = createServer();
+let config;
+let findMeServer;
+let logger = new Logger();
 
 try {
-    new FindMeServer({ server: httpServer });
+    config = loadConfig();
+    logger = new Logger(config.logging);
+    const storageOptions = { locationRetention: config.locationRetention };
+    const metrics = new MetricsRegistry();
+    const storage = instrumentStorage(
+        config.storage === 'memory' ? new MemoryStorage(storageOptions) : createFirestoreStorage(config.firebase, storageOptions),
+        metrics
+    );
+    const verifyIdToken = config.insecureAuth ? createDevelopmentTokenVerifier() : createFirebaseTokenVerifier();
+    httpServer.on('request', createHttpHandler({ storage, metrics, logger, verifyIdToken }));
+    findMeServer = new FindMeServer({ server: httpServer }, {
+        ...config.server,
+        storage,
+        metrics,
+        logger,
+        verifyIdToken
+    });
+    if (config.insecureAuth) logger.warn('Insecure authentication is on, every ID token is accepted', { event: 'insecureAuth' });
 } catch (error) {
-    console.error("Error starting server:", error);
+    logger.error("Error starting server", error.name === 'ConfigError' ? { problems: error.problems } : { error });
     process.exit(1);
 }
 
-httpServer.listen(8080, () => {
-    console.log(`Test server runs on ${httpServer.address().address}:${httpServer.address().port}`);
-});
\ No newline at end of file
+httpServer.listen(config.port, () => {
+    logger.info(`Server listens on ${httpServer.address().address}:${httpServer.address().port}`, { event: 'listening', port: httpServer.address().port });
+});
+
+/**
+ * Stops accepting connections, shuts the FindMeServer down and exits once the HTTP server is closed.
+ * If that takes longer than the shutdown timeout, the process exits anyway.
+ * @param {NodeJS.Signals} signal
+ */
+async function shutdown(signal) {
+    logger.info(`Received ${signal}`, { event: 'signal', signal });
+    setTimeout(() => {
+        logger.error('Shutdown did not finish in time', { event: 'shutdownTimeout' });
+        process.exit(1);
+    }, config.server.shutdownTimeout + 1000).unref();
+    const httpServerClosed = new Promise(resolve => httpServer.close(resolve));
+    await findMeServer.shutdown();
+    httpServer.closeIdleConnections();
+    await httpServerClosed;
+    process.exit(0);
+}
+
+process.once('SIGTERM', shutdown);
+process.once('SIGINT', shutdown);